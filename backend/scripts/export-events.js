@@ -0,0 +1,109 @@
+import { parseArgs } from 'util';
+import { createWriteStream } from 'fs';
+import { writeFile } from 'fs/promises';
+import { DatabaseService } from '../src/services/database';
+import {
+  formatCsv,
+  formatNdjson,
+  formatParquet,
+  getColumns,
+  validateExportFormat
+} from '../src/services/export';
+
+const USAGE = `Usage: bun scripts/export-events.js --site <siteId> [options]
+
+Options:
+  --format <csv|ndjson|parquet>  Output format (default: ndjson)
+  --start <date>                 Period start (default: 30 days ago)
+  --end <date>                   Period end (default: now)
+  --out <file>                   Output file (default: stdout; required for parquet)
+  --page-size <n>                Events read per query (default: 1000)`;
+
+/**
+ * Read every page of a site's export
+ * @param {DatabaseService} db - Database service
+ * @param {string} siteId - Site ID
+ * @param {Object} options - Export options
+ * @yields {Object[]} Rows of one page
+ */
+async function* readPages(db, siteId, options) {
+  let cursor;
+  do {
+    const page = await db.exportEvents(siteId, { ...options, cursor });
+    if (page.rows.length > 0) yield page.rows;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+async function exportEvents() {
+  const { values } = parseArgs({
+    options: {
+      site: { type: 'string' },
+      format: { type: 'string', default: 'ndjson' },
+      start: { type: 'string' },
+      end: { type: 'string' },
+      out: { type: 'string' },
+      'page-size': { type: 'string', default: '1000' }
+    }
+  });
+
+  if (!values.site) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  validateExportFormat(values.format);
+  if (values.format === 'parquet' && !values.out) {
+    console.error('Parquet output needs --out <file>');
+    process.exit(1);
+  }
+
+  const db = new DatabaseService();
+  const options = { startDate: values.start, endDate: values.end, limit: values['page-size'] };
+  let total = 0;
+
+  try {
+    if (values.format === 'parquet') {
+      // Parquet is columnar, so the whole export is built in memory
+      const rows = [];
+      for await (const page of readPages(db, values.site, options)) {
+        rows.push(...page);
+      }
+      await writeFile(values.out, Buffer.from(formatParquet(rows)));
+      total = rows.length;
+    } else {
+      const output = values.out ? createWriteStream(values.out) : process.stdout;
+
+      // CSV needs every property column up front, so scan once for the header
+      let columns;
+      if (values.format === 'csv') {
+        const seen = new Set();
+        for await (const page of readPages(db, values.site, options)) {
+          getColumns(page).forEach(column => seen.add(column));
+        }
+        columns = getColumns([Object.fromEntries([...seen].map(column => [column, null]))]);
+        output.write(formatCsv([], columns));
+      }
+
+      for await (const page of readPages(db, values.site, options)) {
+        output.write(values.format === 'csv'
+          ? formatCsv(page, columns, { header: false })
+          : formatNdjson(page));
+        total += page.length;
+      }
+
+      if (values.out) {
+        await new Promise(resolve => output.end(resolve));
+      }
+    }
+
+    console.error(`Exported ${total} events`);
+  } catch (error) {
+    console.error('Export failed:', error);
+    process.exit(1);
+  } finally {
+    await db.close();
+  }
+}
+
+// Run export
+exportEvents().catch(console.error);
@@ -0,0 +1,74 @@
+/**
+ * Authentication middleware for Simplitics API
+ */
+
+import { hash } from '../utils/encryption';
+import { ANONYMOUS_ACTOR } from '../services/audit';
+
+/**
+ * Create a beforeHandle hook that requires a valid X-API-Key for the
+ * site named in the route's :siteId parameter
+ * @param {import('../services/database').DatabaseService} db - Database service
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQuery=false] - Also accept an apiKey query parameter,
+ *   for clients such as EventSource that can't set headers
+ * @returns {function(object): Promise<?Object>} Elysia beforeHandle hook, answering
+ *   401 with an error body if the key is missing or does not belong to the site
+ */
+export function requireApiKey(db, { allowQuery = false } = {}) {
+  // Errors thrown from beforeHandle reach the client as 500 whatever onError
+  // returns, so the hook sets the status and answers itself
+  const reject = (ctx, message) => {
+    ctx.set.status = 401;
+    return { error: message };
+  };
+
+  return async (ctx) => {
+    const apiKey = ctx.request.headers.get('X-API-Key') || (allowQuery ? ctx.query?.apiKey : null);
+    if (!apiKey) {
+      return reject(ctx, 'API key is required');
+    }
+
+    const site = await db.verifyApiKey(ctx.params.siteId, apiKey);
+    if (!site) {
+      return reject(ctx, 'Invalid API key');
+    }
+  };
+}
+
+/**
+ * Identify the API key a request was made with, for the audit log. The ID is
+ * a prefix of the key's stored hash, so it names the key without revealing it.
+ * @param {object} ctx - Elysia context
+ * @returns {Promise<string>} key_<id>, or anonymous without a key
+ */
+export async function getRequestActor(ctx) {
+  const apiKey = ctx.request.headers.get('X-API-Key') || ctx.query?.apiKey;
+  if (!apiKey) return ANONYMOUS_ACTOR;
+
+  return `key_${(await hash(apiKey)).slice(0, 12)}`;
+}
+
+/**
+ * Check that a browser request comes from the site's registered domain.
+ * Requests without an Origin header (server-side senders) are allowed.
+ * @param {object} ctx - Elysia context
+ * @param {object} site - Registered site
+ * @throws {Error} If the origin does not match the site's domain
+ */
+export function validateSiteOrigin(ctx, site) {
+  const origin = ctx.request.headers.get('Origin');
+  if (!origin || !site.domain) return;
+
+  let hostname;
+  try {
+    hostname = new URL(origin).hostname.toLowerCase();
+  } catch {
+    throw new Error('Origin does not match site domain');
+  }
+
+  const domain = site.domain.toLowerCase();
+  if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+    throw new Error('Origin does not match site domain');
+  }
+}
@@ -3,18 +3,168 @@ import { cors } from '@elysiajs/cors';
 import { swagger } from '@elysiajs/swagger';
 import { DatabaseService } from './services/database';
 import { CleanupService } from './services/cleanup';
+import { VisitorService } from './services/visitors';
+import { DataSubjectService } from './services/dataSubjects';
+import { GeoService, getClientIp } from './services/geo';
+import { live } from './services/live';
+import { formatExport, validateExportFormat, EXPORT_CONTENT_TYPES } from './services/export';
 import { addSecurityHeaders, validateOrigin, rateLimit, validatePayloadSize } from './middleware/security';
+import { requireApiKey, validateSiteOrigin, getRequestActor } from './middleware/auth';
 import { hash } from './utils/encryption';
+import { validateEvent, validateBatch } from './utils/validation';
+import { detectBot, getBotFiltering, validateBotFiltering } from './utils/bots';
+import { parseUserAgent } from './utils/userAgent';
+import { validateGoals } from './services/goals';
+
+/**
+ * Parse a JSON request body sent as plain text
+ * @param {string} text - Raw body
+ * @returns {Object|null} Parsed body, or null if it isn't valid JSON
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Drop the API key EventSource clients send as a query parameter from a
+ * request URL, so it never reaches the logs
+ * @param {string} url - Request URL
+ * @returns {string} URL without its apiKey parameter
+ */
+function redactApiKey(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete('apiKey');
+  return parsed.toString();
+}
 
 // Initialize services
 const db = new DatabaseService();
+const visitors = new VisitorService(db);
+const dataSubjects = new DataSubjectService(db);
+const geo = new GeoService({
+  path: process.env.GEOIP_DATABASE,
+  includeRegion: process.env.GEOIP_REGION === 'true'
+});
 const cleanup = new CleanupService();
 cleanup.start();
+const authenticate = requireApiKey(db);
+const authenticateStream = requireApiKey(db, { allowQuery: true });
+
+// Error messages (by prefix) caused by invalid client input
+const BAD_REQUEST_ERRORS = [
+  'Events must be a non-empty array',
+  'Batch size',
+  'Invalid interval',
+  'Invalid timezone',
+  'Too many buckets',
+  'Invalid breakdown',
+  'Invalid include',
+  'Invalid funnel',
+  'Invalid retention',
+  'Invalid export format',
+  'Invalid data subject',
+  'Invalid bot filtering',
+  'Invalid goals',
+  'Invalid purchase'
+];
+
+/**
+ * Classify a request as bot traffic under the site's filtering mode. Runs on
+ * the raw headers, before the user agent is hashed.
+ * @param {Request} request - Incoming request
+ * @param {object} site - Registered site
+ * @returns {?{reason: string, action: string}} Bot reason and whether to drop or flag, or null
+ */
+function classifyBot(request, site) {
+  const mode = getBotFiltering(site);
+  if (mode === 'off') return null;
+
+  const reason = detectBot(request.headers);
+  return reason && { reason, action: mode === 'drop' ? 'dropped' : 'flagged' };
+}
+
+/**
+ * Check the settings sent to create or update a site
+ * @param {?Object} settings - Site settings
+ * @throws {Error} If a setting is invalid
+ */
+function validateSiteSettings(settings) {
+  if (settings?.botFiltering !== undefined) {
+    validateBotFiltering(settings.botFiltering);
+  }
+  if (settings?.goals !== undefined) {
+    validateGoals(settings.goals);
+  }
+}
+
+/**
+ * Site fields tracked in the audit log, with settings parsed
+ * @param {Object} site - Stored site
+ * @returns {Object} Auditable fields
+ */
+function toAuditView(site) {
+  return {
+    name: site.name,
+    domain: site.domain,
+    settings: parseJson(site.settings),
+    retentionDays: site.retentionDays
+  };
+}
+
+// Site fields safe to return; the API key hash never leaves the server
+const SITE_FIELDS = ['siteId', 'name', 'domain', 'settings', 'retentionDays', 'createdAt', 'updatedAt'];
+
+/**
+ * Pick the fields of a site that may be returned
+ * @param {Object} site - Stored site
+ * @returns {Object} Public site fields
+ */
+function toPublicSite(site) {
+  return Object.fromEntries(SITE_FIELDS.map(field => [field, site[field]]));
+}
+
+/**
+ * Look up the site events are sent for and check the sender's origin
+ * @param {object} ctx - Elysia context
+ * @param {string} siteId - Site ID from the request
+ * @returns {Promise<object>} Registered site
+ */
+async function resolveIngestionSite(ctx, siteId) {
+  const site = await db.getSite(siteId);
+  if (!site) {
+    throw new Error('Site not found');
+  }
+  validateSiteOrigin(ctx, site);
+  return site;
+}
+
+/**
+ * Erase a data subject's events and record who asked for it
+ * @param {object} ctx - Elysia context
+ * @returns {Promise<Object>} Erasure result
+ */
+async function eraseSubject(ctx) {
+  const { params, query } = ctx;
+  const result = await dataSubjects.erase(params.siteId, query);
+
+  await db.audit.record({
+    siteId: params.siteId,
+    actor: await getRequestActor(ctx),
+    action: 'events.erase',
+    target: `subject:${result.subjectType}`,
+    after: { requestId: result.requestId, deleted: result.deleted }
+  });
+  return result;
+}
 
 const app = new Elysia()
   // Handle errors with custom responses
   .onError(({ code, error, request }) => {
-    console.error(`Error ${code} for ${request.method} ${request.url}:`, error);
+    console.error(`Error ${code} for ${request.method} ${redactApiKey(request.url)}:`, error);
 
     if (error.message === 'Origin not allowed') {
       return new Response(JSON.stringify({ error: 'Origin not allowed' }), { status: 403 });
@@ -25,13 +175,19 @@ const app = new Elysia()
     if (error.message === 'Payload too large') {
       return new Response(JSON.stringify({ error: 'Payload too large' }), { status: 413 });
     }
+    if (error.message === 'Origin does not match site domain') {
+      return new Response(JSON.stringify({ error: error.message }), { status: 403 });
+    }
     if (error.message === 'Site ID is required') {
       return new Response(JSON.stringify({ error: 'Site ID is required' }), { status: 400 });
     }
+    if (BAD_REQUEST_ERRORS.some(prefix => error.message.startsWith(prefix))) {
+      return new Response(JSON.stringify({ error: error.message }), { status: 400 });
+    }
     if (error.message.includes('not found')) {
       return new Response(JSON.stringify({ error: error.message }), { status: 404 });
     }
-    if (error.message.includes('already exists')) {
+    if (error.message.includes('already exists') || error.message.includes('cannot be reused')) {
       return new Response(JSON.stringify({ error: error.message }), { status: 409 });
     }
 
@@ -78,9 +234,10 @@ const app = new Elysia()
   // Simple root endpoint
   .get('/', () => 'Simplitics API')
 
-  // Register a new site
+  // Register a new site; the response is the only place the raw API key appears
   .post('/sites', async (ctx) => {
     const { body } = ctx;
+    validateSiteSettings(body.settings);
     const site = await db.registerSite({
       siteId: body.siteId,
       name: body.name,
@@ -88,6 +245,13 @@ const app = new Elysia()
       settings: body.settings,
       retentionDays: body.retentionDays
     });
+    await db.audit.record({
+      siteId: site.siteId,
+      actor: await getRequestActor(ctx),
+      action: 'site.register',
+      target: `site:${site.siteId}`,
+      after: toAuditView(site)
+    });
     return { success: true, site };
   })
 
@@ -100,6 +264,13 @@ const app = new Elysia()
     if (!siteId) {
       throw new Error('Site ID is required');
     }
+    const site = await resolveIngestionSite(ctx, siteId);
+
+    const bot = classifyBot(request, site);
+    if (bot?.action === 'dropped') {
+      await db.recordBotTraffic(siteId, bot.reason, bot.action);
+      return { success: true, filtered: bot.reason };
+    }
 
     // Hash sensitive data
     const ip = request.headers.get('X-Forwarded-For') || request.headers.get('X-Real-IP');
@@ -111,79 +282,286 @@ const app = new Elysia()
       properties: body.properties,
       ip: ip ? await hash(ip) : null,
       userAgent: userAgent ? await hash(userAgent) : null,
+      visitorId: await visitors.getVisitorId(siteId, ip, userAgent),
       sessionId: body.sessionId,
-      timestamp: body.timestamp
+      timestamp: body.timestamp,
+      url: body.url,
+      bot: bot?.reason,
+      // Coarse categories only; the raw user agent and IP are never stored
+      ...parseUserAgent(userAgent),
+      ...(await geo.lookup(getClientIp(request.headers)))
     });
+    if (!event) {
+      return { success: true, duplicate: true };
+    }
+    if (bot) {
+      await db.recordBotTraffic(siteId, bot.reason, bot.action);
+    }
 
     return { success: true, event };
   })
 
+  // Track a batch of events under one site ID
+  .post('/events/batch', async (ctx) => {
+    const { request, query } = ctx;
+
+    // sendBeacon can't set headers, so beacons carry the site ID in the query
+    // and post the batch as text/plain
+    const siteId = request.headers.get('X-Site-ID') || query.siteId;
+    if (!siteId) {
+      throw new Error('Site ID is required');
+    }
+    const site = await resolveIngestionSite(ctx, siteId);
+
+    const body = typeof ctx.body === 'string' ? parseJson(ctx.body) : ctx.body;
+    const events = body?.events;
+    validateBatch(events);
+
+    const bot = classifyBot(request, site);
+    if (bot?.action === 'dropped') {
+      await db.recordBotTraffic(siteId, bot.reason, bot.action, events.length);
+      return {
+        success: true,
+        accepted: 0,
+        rejected: 0,
+        filtered: events.length,
+        results: events.map((event, index) => ({ index, status: 'filtered', reason: bot.reason }))
+      };
+    }
+
+    const ip = request.headers.get('X-Forwarded-For') || request.headers.get('X-Real-IP');
+    const userAgent = request.headers.get('User-Agent');
+    const hashedIp = ip ? await hash(ip) : null;
+    const hashedUserAgent = userAgent ? await hash(userAgent) : null;
+    const visitorId = await visitors.getVisitorId(siteId, ip, userAgent);
+    const client = { ...parseUserAgent(userAgent), ...(await geo.lookup(getClientIp(request.headers))) };
+
+    // Validate each event on its own so one bad event doesn't fail the batch
+    const accepted = [];
+    const results = events.map((event, index) => {
+      try {
+        validateEvent(event);
+      } catch (error) {
+        return { index, status: 'rejected', error: error.message };
+      }
+
+      accepted.push({
+        siteId,
+        type: event.type,
+        properties: event.properties,
+        ip: hashedIp,
+        userAgent: hashedUserAgent,
+        visitorId,
+        sessionId: event.sessionId,
+        timestamp: event.timestamp,
+        url: event.url,
+        bot: bot?.reason,
+        ...client
+      });
+      return { index, status: 'accepted' };
+    });
+
+    const stored = await db.storeEvents(accepted);
+    if (bot && stored > 0) {
+      await db.recordBotTraffic(siteId, bot.reason, bot.action, stored);
+    }
+
+    return {
+      success: true,
+      accepted: accepted.length,
+      rejected: events.length - accepted.length,
+      // Purchases of orders already stored
+      duplicates: accepted.length - stored,
+      results
+    };
+  })
+
   // Get insights
   .get('/insights/:siteId', async (ctx) => {
     const { params, query } = ctx;
     const insights = await db.getInsights(params.siteId, {
       startDate: query.startDate,
       endDate: query.endDate,
-      eventTypes: query.eventTypes?.split(',')
+      eventTypes: query.eventTypes?.split(','),
+      interval: query.interval,
+      timezone: query.timezone,
+      breakdowns: query.breakdown?.split(','),
+      include: query.include?.split(','),
+      limit: query.limit
     });
     return insights;
-  })
+  }, { beforeHandle: authenticate })
 
-  // Delete events for GDPR compliance
-  .delete('/events/:siteId', async (ctx) => {
+  // Analyze conversion through an ordered list of steps
+  .post('/funnels/:siteId', async (ctx) => {
+    const { params, body } = ctx;
+    return db.getFunnel(params.siteId, {
+      steps: body?.steps,
+      conversionWindow: body?.conversionWindow,
+      startDate: body?.startDate,
+      endDate: body?.endDate
+    });
+  }, { beforeHandle: authenticate })
+
+  // Web Vitals percentiles per page and device class
+  .get('/web-vitals/:siteId', async (ctx) => {
+    const { params, query } = ctx;
+    return db.getWebVitals(params.siteId, {
+      startDate: query.startDate,
+      endDate: query.endDate,
+      limit: query.limit
+    });
+  }, { beforeHandle: authenticate })
+
+  // Retention of cohorts grouped by first-seen day or week
+  .get('/retention/:siteId', async (ctx) => {
     const { params, query } = ctx;
-    const { userId, sessionId } = query;
+    return db.getRetention(params.siteId, {
+      interval: query.interval,
+      periods: query.periods,
+      identity: query.identity,
+      returnEvent: query.returnEvent,
+      timezone: query.timezone,
+      startDate: query.startDate,
+      endDate: query.endDate
+    });
+  }, { beforeHandle: authenticate })
 
-    if (!userId && !sessionId) {
-      throw new Error('Either userId or sessionId is required');
-    }
+  // Stream new events and the live visitor count as Server-Sent Events
+  .get('/live/:siteId', (ctx) => {
+    const { params } = ctx;
+    return new Response(live.stream(params.siteId), {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      }
+    });
+  }, { beforeHandle: authenticateStream })
 
-    const where = {
-      siteId: params.siteId,
-      ...(userId && { properties: { contains: userId } }),
-      ...(sessionId && { properties: { contains: sessionId } })
-    };
+  // Export raw events page by page; follow X-Next-Cursor until it is absent
+  .get('/export/:siteId', async (ctx) => {
+    const { params, query } = ctx;
+    const format = query.format || 'ndjson';
+    validateExportFormat(format);
 
-    await db.prisma.event.deleteMany({ where });
-    return { success: true };
-  })
+    const { rows, nextCursor } = await db.exportEvents(params.siteId, {
+      startDate: query.startDate,
+      endDate: query.endDate,
+      cursor: query.cursor,
+      limit: query.limit
+    });
+
+    return new Response(formatExport(rows, format), {
+      headers: {
+        'Content-Type': EXPORT_CONTENT_TYPES[format],
+        ...(nextCursor && { 'X-Next-Cursor': nextCursor })
+      }
+    });
+  }, { beforeHandle: authenticate })
+
+  // Data subject access report: every event held about a user or session
+  .get('/subjects/:siteId', async (ctx) => {
+    const { params, query } = ctx;
+    return dataSubjects.access(params.siteId, query);
+  }, { beforeHandle: authenticate })
+
+  // Data subject erasure: deletes exactly the subject's events
+  .delete('/subjects/:siteId', async (ctx) => {
+    return { success: true, ...(await eraseSubject(ctx)) };
+  }, { beforeHandle: authenticate })
+
+  // Record of handled access and erasure requests
+  .get('/subjects/:siteId/requests', async (ctx) => {
+    const { params, query } = ctx;
+    return dataSubjects.listRequests(params.siteId, { limit: query.limit });
+  }, { beforeHandle: authenticate })
+
+  // Delete events for GDPR compliance; kept for existing integrations
+  .delete('/events/:siteId', async (ctx) => {
+    return { success: true, ...(await eraseSubject(ctx)) };
+  }, { beforeHandle: authenticate })
 
   // Get site settings
   .get('/sites/:siteId', async (ctx) => {
     const { params } = ctx;
-    const site = await db.prisma.site.findUnique({
-      where: { siteId: params.siteId },
-      select: {
-        siteId: true,
-        name: true,
-        domain: true,
-        settings: true,
-        retentionDays: true,
-        createdAt: true,
-        updatedAt: true
-      }
-    });
+    const site = await db.getSite(params.siteId);
 
     if (!site) {
       throw new Error('Site not found');
     }
-    return site;
-  })
+    return toPublicSite(site);
+  }, { beforeHandle: authenticate })
 
   // Update site settings
   .patch('/sites/:siteId', async (ctx) => {
     const { params, body } = ctx;
-    const site = await db.prisma.site.update({
-      where: { siteId: params.siteId },
-      data: {
-        name: body.name,
-        domain: body.domain,
-        settings: JSON.stringify(body.settings || {}),
-        retentionDays: body.retentionDays
-      }
+    validateSiteSettings(body.settings);
+    const current = await db.getSite(params.siteId);
+    if (!current) {
+      throw new Error('Site not found');
+    }
+
+    const site = await db.updateSite(params.siteId, {
+      name: body.name,
+      domain: body.domain,
+      // Goals and bot filtering live in settings; a PATCH without them keeps them
+      settings: body.settings === undefined ? undefined : JSON.stringify(body.settings || {}),
+      retentionDays: body.retentionDays
     });
-    return { success: true, site };
-  })
+    await db.audit.record({
+      siteId: params.siteId,
+      actor: await getRequestActor(ctx),
+      action: 'site.update',
+      target: `site:${params.siteId}`,
+      before: toAuditView(current),
+      after: toAuditView(site)
+    });
+    return { success: true, site: toPublicSite(site) };
+  }, { beforeHandle: authenticate })
+
+  // Delete a site and all of its events; the audit trail is kept
+  .delete('/sites/:siteId', async (ctx) => {
+    const { params } = ctx;
+    const site = await db.getSite(params.siteId);
+
+    await db.deleteSite(params.siteId);
+    await db.audit.record({
+      siteId: params.siteId,
+      actor: await getRequestActor(ctx),
+      action: 'site.delete',
+      target: `site:${params.siteId}`,
+      before: toAuditView(site)
+    });
+    return { success: true };
+  }, { beforeHandle: authenticate })
+
+  // Rotate a site's API key; the new key is only returned here
+  .post('/sites/:siteId/api-key', async (ctx) => {
+    const { params } = ctx;
+    const apiKey = await db.rotateApiKey(params.siteId);
+    // Recorded under the key that asked for the rotation
+    await db.audit.record({
+      siteId: params.siteId,
+      actor: await getRequestActor(ctx),
+      action: 'site.api_key_rotate',
+      target: `site:${params.siteId}`
+    });
+    return { success: true, apiKey };
+  }, { beforeHandle: authenticate })
+
+  // Review administrative actions on a site
+  .get('/audit/:siteId', async (ctx) => {
+    const { params, query } = ctx;
+    return db.audit.list(params.siteId, {
+      action: query.action,
+      actor: query.actor,
+      startDate: query.startDate,
+      endDate: query.endDate,
+      cursor: query.cursor,
+      limit: query.limit
+    });
+  }, { beforeHandle: authenticate })
   .compile();
 
 // Only start server if not in test mode
@@ -0,0 +1,421 @@
+/**
+ * Aggregation helpers for insights
+ * Pure functions over stored event records, independent of the database
+ */
+
+import validator from 'validator';
+
+export const INTERVALS = ['hour', 'day', 'week', 'month'];
+const MAX_BUCKETS = 1000;
+
+// Creating formatters is expensive, so keep one per timezone
+const formatters = new Map();
+
+/**
+ * Validate a time-series interval and timezone
+ * @param {string} interval - One of INTERVALS
+ * @param {string} timeZone - IANA timezone name
+ * @throws {Error} If either value is not supported
+ */
+export function validateTimeSeriesOptions(interval, timeZone) {
+  if (!INTERVALS.includes(interval)) {
+    throw new Error(`Invalid interval: must be one of ${INTERVALS.join(', ')}`);
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error('Invalid timezone');
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(ms, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(new Date(ms))
+      .filter(p => p.type !== 'literal')
+      .map(p => [p.type, Number(p.value)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds
+ */
+function getOffset(ms, timeZone) {
+  const p = getZonedParts(ms, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Whether a timezone is a whole number of hours away from UTC throughout a
+ * period, so UTC hours fall entirely within its hours and days. Checks the
+ * period's ends and both halves of each year in it, to see standard and
+ * daylight saving time.
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end
+ * @returns {boolean} False for e.g. Asia/Kolkata (+05:30) or Asia/Kathmandu (+05:45)
+ */
+export function hasWholeHourOffsets(timeZone, start, end) {
+  const instants = [start.getTime(), end.getTime()];
+  for (let year = start.getUTCFullYear(); year <= end.getUTCFullYear(); year++) {
+    instants.push(Date.UTC(year, 0, 1), Date.UTC(year, 6, 1));
+  }
+  return instants.every(ms => getOffset(ms, timeZone) % (60 * 60 * 1000) === 0);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to epoch milliseconds
+ * @param {number} year
+ * @param {number} month - 1-12, may overflow
+ * @param {number} day - May overflow
+ * @param {number} hour - May overflow
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Epoch milliseconds
+ */
+function zonedToUtc(year, month, day, hour, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+  const guess = wallClock - getOffset(wallClock, timeZone);
+  // Re-check the offset at the result to handle DST transitions
+  return wallClock - getOffset(guess, timeZone);
+}
+
+/**
+ * Start of the bucket containing an instant
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} interval - One of INTERVALS
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Bucket start in epoch milliseconds
+ */
+export function getBucketStart(ms, interval, timeZone) {
+  const p = getZonedParts(ms, timeZone);
+
+  switch (interval) {
+    case 'hour':
+      return zonedToUtc(p.year, p.month, p.day, p.hour, timeZone);
+    case 'day':
+      return zonedToUtc(p.year, p.month, p.day, 0, timeZone);
+    case 'week': {
+      // ISO weeks start on Monday
+      const weekday = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+      return zonedToUtc(p.year, p.month, p.day - ((weekday + 6) % 7), 0, timeZone);
+    }
+    case 'month':
+      return zonedToUtc(p.year, p.month, 1, 0, timeZone);
+    default:
+      throw new Error(`Invalid interval: must be one of ${INTERVALS.join(', ')}`);
+  }
+}
+
+/**
+ * Start of the bucket following the one that starts at an instant
+ * @param {number} bucketStart - Bucket start in epoch milliseconds
+ * @param {string} interval - One of INTERVALS
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Next bucket start in epoch milliseconds
+ */
+function getNextBucketStart(bucketStart, interval, timeZone) {
+  if (interval === 'hour') {
+    return bucketStart + 60 * 60 * 1000;
+  }
+
+  const p = getZonedParts(bucketStart, timeZone);
+  if (interval === 'day') return zonedToUtc(p.year, p.month, p.day + 1, 0, timeZone);
+  if (interval === 'week') return zonedToUtc(p.year, p.month, p.day + 7, 0, timeZone);
+  return zonedToUtc(p.year, p.month + 1, 1, 0, timeZone);
+}
+
+/**
+ * Format a bucket start as an ISO 8601 string with the timezone's offset
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} e.g. 2025-02-08T00:00:00+01:00
+ */
+export function formatZoned(ms, timeZone) {
+  const p = getZonedParts(ms, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  const offsetMinutes = Math.round(getOffset(ms, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * List the bucket starts covering a period
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end
+ * @param {string} interval - One of INTERVALS
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number[]} Bucket starts in epoch milliseconds
+ * @throws {Error} If the period would produce too many buckets
+ */
+export function getBuckets(start, end, interval, timeZone) {
+  const buckets = [];
+  let bucket = getBucketStart(start.getTime(), interval, timeZone);
+
+  while (bucket <= end.getTime()) {
+    buckets.push(bucket);
+    if (buckets.length > MAX_BUCKETS) {
+      throw new Error(`Too many buckets: use a larger interval or a shorter period (max ${MAX_BUCKETS})`);
+    }
+    bucket = getNextBucketStart(bucket, interval, timeZone);
+  }
+
+  return buckets;
+}
+
+/**
+ * Count events per type in time buckets, filling empty buckets with zero
+ * @param {Array<{type: string, timestamp: Date, count?: number}>} events - Stored events, or
+ *   pre-aggregated counts that stand for `count` events each
+ * @param {Object} options
+ * @param {Date} options.start - Period start
+ * @param {Date} options.end - Period end
+ * @param {string} [options.interval='day'] - One of INTERVALS
+ * @param {string} [options.timeZone='UTC'] - IANA timezone name
+ * @returns {{interval: string, timezone: string, series: Array<{type: string, points: Array<{start: string, count: number}>}>}}
+ */
+export function buildTimeSeries(events, { start, end, interval = 'day', timeZone = 'UTC' }) {
+  validateTimeSeriesOptions(interval, timeZone);
+
+  const buckets = getBuckets(start, end, interval, timeZone);
+  const index = new Map(buckets.map((bucket, i) => [bucket, i]));
+  const counts = new Map();
+
+  for (const event of events) {
+    const bucket = getBucketStart(new Date(event.timestamp).getTime(), interval, timeZone);
+    const i = index.get(bucket);
+    if (i === undefined) continue;
+
+    if (!counts.has(event.type)) {
+      counts.set(event.type, new Array(buckets.length).fill(0));
+    }
+    counts.get(event.type)[i] += event.count ?? 1;
+  }
+
+  const labels = buckets.map(bucket => formatZoned(bucket, timeZone));
+
+  return {
+    interval,
+    timezone: timeZone,
+    series: [...counts.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([type, values]) => ({
+        type,
+        points: values.map((count, i) => ({ start: labels[i], count }))
+      }))
+  };
+}
+
+const BREAKDOWN_DIMENSIONS = ['page', 'referrer', 'browser', 'browserVersion', 'os', 'device', 'country', 'region'];
+const PROPERTY_KEY_PATTERN = /^[a-zA-Z0-9_]+$/;
+export const MAX_BREAKDOWN_LIMIT = 100;
+
+/**
+ * Parse the stored properties JSON of an event
+ * @param {string} json - Stored properties
+ * @returns {Object} Properties, or an empty object if they can't be parsed
+ */
+export function parseProperties(json) {
+  try {
+    const properties = JSON.parse(json || '{}');
+    return properties && typeof properties === 'object' ? properties : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Parse a stored (HTML-escaped) URL
+ * @param {any} value - Stored URL
+ * @returns {URL|null} Parsed URL, or null if it isn't a URL
+ */
+function parseStoredUrl(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  try {
+    return new URL(validator.unescape(value));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a stored (HTML-escaped) numeric property
+ * @param {any} value - Stored property value
+ * @param {Object} [range] - Plausible values; others come from broken clocks or tampered events
+ * @param {number} [range.min=-Infinity]
+ * @param {number} [range.max=Infinity]
+ * @returns {number|null} The number, or null if it is missing, not a number or out of range
+ */
+export function readNumber(value, { min = -Infinity, max = Infinity } = {}) {
+  const number = typeof value === 'number' ? value
+    : typeof value === 'string' && value.trim() !== '' ? Number(validator.unescape(value))
+      : NaN;
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Validate a breakdown dimension: page, referrer, browser, browserVersion,
+ * os, device, country, region or property:<key>
+ * @param {string} dimension - Dimension name
+ * @throws {Error} If the dimension is not supported
+ */
+export function validateBreakdown(dimension) {
+  if (BREAKDOWN_DIMENSIONS.includes(dimension)) return;
+
+  if (dimension?.startsWith('property:') && PROPERTY_KEY_PATTERN.test(dimension.slice('property:'.length))) {
+    return;
+  }
+
+  throw new Error(`Invalid breakdown: ${dimension}`);
+}
+
+/**
+ * Get the value an event contributes to a breakdown dimension
+ * @param {Object} record - Event record with parsed properties
+ * @param {string} dimension - Dimension name
+ * @returns {string|null} Dimension value, or null if the event has none
+ */
+export function getDimensionValue(record, dimension) {
+  const { properties } = record;
+
+  if (dimension === 'page') {
+    return parseStoredUrl(properties.url)?.pathname ?? null;
+  }
+
+  if (dimension === 'referrer') {
+    return parseStoredUrl(properties.referrer)?.hostname || '(direct)';
+  }
+
+  // Events stored before user agents were classified, or without
+  // geolocation, have no value for these
+  if (dimension === 'browserVersion') {
+    return record.browser ? [record.browser, record.browserVersion].filter(Boolean).join(' ') : null;
+  }
+  if (!dimension.startsWith('property:')) {
+    return record[dimension] ?? null;
+  }
+
+  // Report values as sent, like exports and funnel steps do
+  const value = properties[dimension.slice('property:'.length)];
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') return validator.unescape(value);
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Rank the values of a dimension by event count
+ * @param {Array<{properties: Object, sessionId: ?string}>} records - Event records
+ * @param {string} dimension - page, referrer, browser, browserVersion, os, device, country, region
+ *   or property:<key>
+ * @param {number} [limit=10] - Number of values to return
+ * @returns {Array<{value: string, count: number, sessions: number}>} Top values
+ */
+export function buildBreakdown(records, dimension, limit = 10) {
+  validateBreakdown(dimension);
+
+  const values = new Map();
+  for (const record of records) {
+    const value = getDimensionValue(record, dimension);
+    if (value === null) continue;
+
+    if (!values.has(value)) {
+      values.set(value, { count: 0, sessions: new Set() });
+    }
+    const entry = values.get(value);
+    entry.count++;
+    if (record.sessionId) {
+      entry.sessions.add(record.sessionId);
+    }
+  }
+
+  return [...values.entries()]
+    .map(([value, { count, sessions }]) => ({ value, count, sessions: sessions.size }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, limit);
+}
+
+export const SESSION_TIMEOUT = 30 * 60 * 1000;
+
+// Events the SDK sends by itself, which don't show the visitor interacting
+const PASSIVE_EVENT_TYPES = ['session_start', 'engagement', 'web_vitals'];
+
+/**
+ * Whether an event counts as an interaction for bounce rates
+ * @param {{type: string}} event - Event record
+ * @returns {boolean}
+ */
+export function isInteraction(event) {
+  return !PASSIVE_EVENT_TYPES.includes(event.type);
+}
+
+/**
+ * Group events into sessions. Events are keyed by the SDK's session ID,
+ * falling back to the visitor ID, and split after 30 minutes of inactivity.
+ * @param {Array<{type: string, timestamp: Date, sessionId: ?string, visitorId: ?string}>} records - Event records
+ * @returns {Array<{key: string, events: Object[]}>} Sessions with their events in time order
+ */
+export function groupSessions(records) {
+  const byKey = new Map();
+  for (const record of records) {
+    const key = record.sessionId || record.visitorId;
+    if (!key) continue;
+
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(record);
+  }
+
+  const sessions = [];
+  for (const [key, events] of byKey) {
+    events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    let current = null;
+    for (const event of events) {
+      const time = new Date(event.timestamp).getTime();
+      if (!current || time - current.lastSeen > SESSION_TIMEOUT) {
+        current = { key, events: [], lastSeen: time };
+        sessions.push(current);
+      }
+      current.events.push(event);
+      current.lastSeen = time;
+    }
+  }
+
+  return sessions.map(({ key, events }) => ({ key, events }));
+}
@@ -0,0 +1,95 @@
+/**
+ * Audit log
+ * Append-only record of administrative actions: who did what to which site,
+ * with the fields that changed. Entries are only ever created and read.
+ */
+
+import { sanitizeInput } from '../utils/sanitization';
+
+export const SYSTEM_ACTOR = 'system';
+export const ANONYMOUS_ACTOR = 'anonymous';
+const MAX_AUDIT_PAGE_SIZE = 1000;
+
+/**
+ * Keep only the fields that differ between two states
+ * @param {?Object} before - State before the action
+ * @param {?Object} after - State after the action
+ * @returns {{before: ?Object, after: ?Object}} Changed fields on each side
+ */
+export function diffChanges(before, after) {
+  if (!before || !after) {
+    return { before: before || null, after: after || null };
+  }
+
+  const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+  return {
+    before: Object.fromEntries(changed.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(changed.map(key => [key, after[key] ?? null]))
+  };
+}
+
+export class AuditService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry
+   * @param {string} entry.siteId - Site the action applies to
+   * @param {string} entry.actor - API key ID, or system / anonymous
+   * @param {string} entry.action - Dotted action name, e.g. site.update
+   * @param {string} entry.target - What was acted on, e.g. site:<siteId>
+   * @param {Object} [entry.before] - State before the action
+   * @param {Object} [entry.after] - State after the action
+   * @returns {Promise<Object>} Stored entry
+   */
+  async record({ siteId, actor, action, target, before = null, after = null }) {
+    const diff = diffChanges(before, after);
+
+    return this.db.storage.appendAuditEntry({
+      siteId: sanitizeInput(siteId),
+      actor,
+      action,
+      target,
+      before: diff.before ? JSON.stringify(diff.before) : null,
+      after: diff.after ? JSON.stringify(diff.after) : null
+    });
+  }
+
+  /**
+   * List a site's entries, newest first
+   * @param {string} siteId - Site ID
+   * @param {Object} [options]
+   * @param {string} [options.action] - Only this action
+   * @param {string} [options.actor] - Only this actor
+   * @param {string} [options.startDate] - Earliest entry
+   * @param {string} [options.endDate] - Latest entry
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @param {number} [options.limit=100] - Page size
+   * @returns {Promise<{entries: Object[], nextCursor: ?string}>} Entries with parsed before/after
+   */
+  async list(siteId, { action, actor, startDate, endDate, cursor, limit = 100 } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_AUDIT_PAGE_SIZE);
+
+    const entries = await this.db.storage.listAuditEntries(sanitizeInput(siteId), {
+      action,
+      actor,
+      start: startDate ? new Date(startDate) : undefined,
+      end: endDate ? new Date(endDate) : undefined,
+      cursor,
+      limit: take
+    });
+
+    return {
+      entries: entries.map(entry => ({
+        ...entry,
+        before: entry.before ? JSON.parse(entry.before) : null,
+        after: entry.after ? JSON.parse(entry.after) : null
+      })),
+      nextCursor: entries.length === take ? entries[entries.length - 1].id : null
+    };
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Retention / cohort analysis
+ *
+ * Cookieless visitor IDs rotate daily and can't be followed from one period
+ * to the next, so cohorts follow the hashed userId property the SDK's
+ * PrivacyEnhancer produces, or the SDK session ID.
+ */
+
+import { getBucketStart, getBuckets, formatZoned } from './analytics';
+
+export const COHORT_INTERVALS = ['day', 'week'];
+export const COHORT_IDENTITIES = ['user', 'session'];
+const MAX_PERIODS = 52;
+const EVENT_TYPE_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+/**
+ * Validate retention options
+ * @param {Object} options
+ * @param {string} options.interval - day or week
+ * @param {number} options.periods - Number of periods after the first
+ * @param {string} options.identity - user or session
+ * @param {string} [options.returnEvent] - Event type that counts as a return
+ * @throws {Error} If an option is not supported
+ */
+export function validateRetention({ interval, periods, identity, returnEvent }) {
+  if (!COHORT_INTERVALS.includes(interval)) {
+    throw new Error(`Invalid retention: interval must be one of ${COHORT_INTERVALS.join(', ')}`);
+  }
+  if (!Number.isInteger(periods) || periods < 1 || periods > MAX_PERIODS) {
+    throw new Error(`Invalid retention: periods must be between 1 and ${MAX_PERIODS}`);
+  }
+  if (!COHORT_IDENTITIES.includes(identity)) {
+    throw new Error(`Invalid retention: identity must be one of ${COHORT_IDENTITIES.join(', ')}`);
+  }
+  if (returnEvent !== undefined && !EVENT_TYPE_PATTERN.test(returnEvent)) {
+    throw new Error('Invalid retention: returnEvent must be a valid event type');
+  }
+}
+
+/**
+ * Number of periods that fit in a site's retention horizon
+ * @param {number} retentionDays - Site retention in days
+ * @param {string} interval - day or week
+ * @returns {number} Maximum number of periods after the first
+ */
+export function getMaxPeriods(retentionDays, interval) {
+  const periodDays = interval === 'week' ? 7 : 1;
+  return Math.max(1, Math.min(MAX_PERIODS, Math.floor(retentionDays / periodDays) - 1));
+}
+
+/**
+ * Get the identity an event belongs to
+ * @param {Object} record - Event record with parsed properties
+ * @param {string} identity - user or session
+ * @returns {?string} Identity key
+ */
+function getIdentity(record, identity) {
+  if (identity === 'session') return record.sessionId || null;
+
+  const userId = record.properties.userId;
+  return userId === undefined || userId === null ? null : String(userId);
+}
+
+/**
+ * Build a retention matrix: cohorts by first-seen period, and how many of
+ * each cohort came back in every later period
+ * @param {Array<{type: string, timestamp: Date, properties: Object, sessionId: ?string}>} records - Event records
+ * @param {Object} options
+ * @param {Date} options.start - Period start
+ * @param {Date} options.end - Period end
+ * @param {string} [options.interval='week'] - day or week
+ * @param {number} [options.periods=8] - Number of periods after the first
+ * @param {string} [options.identity='user'] - user or session
+ * @param {string} [options.returnEvent] - Only this event type counts as a return
+ * @param {string} [options.timeZone='UTC'] - IANA timezone used for bucketing
+ * @returns {{interval: string, identity: string, cohorts: Array<{cohort: string, size: number, retained: number[], rates: number[]}>}}
+ *   retained[0] is the cohort size; retained[n] is how many returned n periods later
+ */
+export function buildRetention(records, {
+  start,
+  end,
+  interval = 'week',
+  periods = 8,
+  identity = 'user',
+  returnEvent,
+  timeZone = 'UTC'
+}) {
+  validateRetention({ interval, periods, identity, returnEvent });
+
+  const buckets = getBuckets(start, end, interval, timeZone);
+  const bucketIndex = new Map(buckets.map((bucket, i) => [bucket, i]));
+
+  // Bucket index of every event per identity
+  const firstSeen = new Map();
+  const returns = new Map();
+  for (const record of records) {
+    const key = getIdentity(record, identity);
+    if (!key) continue;
+
+    const i = bucketIndex.get(getBucketStart(new Date(record.timestamp).getTime(), interval, timeZone));
+    if (i === undefined) continue;
+
+    if (!firstSeen.has(key) || i < firstSeen.get(key)) {
+      firstSeen.set(key, i);
+    }
+    if (!returnEvent || record.type === returnEvent) {
+      if (!returns.has(key)) returns.set(key, new Set());
+      returns.get(key).add(i);
+    }
+  }
+
+  const cohorts = buckets.map(() => ({ size: 0, retained: new Array(periods + 1).fill(0) }));
+  for (const [key, first] of firstSeen) {
+    const cohort = cohorts[first];
+    cohort.size++;
+    cohort.retained[0]++;
+
+    for (const i of returns.get(key) || []) {
+      const offset = i - first;
+      if (offset > 0 && offset <= periods) {
+        cohort.retained[offset]++;
+      }
+    }
+  }
+
+  return {
+    interval,
+    identity,
+    ...(returnEvent && { returnEvent }),
+    cohorts: cohorts
+      .map((cohort, i) => {
+        // Later periods that haven't happened yet are left out
+        const retained = cohort.retained.slice(0, Math.min(periods, buckets.length - 1 - i) + 1);
+        return {
+          cohort: formatZoned(buckets[i], timeZone),
+          size: cohort.size,
+          retained,
+          rates: retained.map(count => (cohort.size > 0 ? Math.round((count / cohort.size) * 10000) / 10000 : 0))
+        };
+      })
+      .filter(cohort => cohort.size > 0)
+  };
+}
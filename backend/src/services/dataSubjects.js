@@ -0,0 +1,215 @@
+/**
+ * Data subject requests (GDPR access and erasure)
+ *
+ * Subjects are found by the hashed userId the SDK's PrivacyEnhancer stores,
+ * or by SDK session ID. Every request is recorded so it can be shown later
+ * that it was handled; the record keeps only hashes, never the raw ID.
+ */
+
+import { decrypt, hash } from '../utils/encryption';
+import { sanitizeInput } from '../utils/sanitization';
+import { parseProperties } from './analytics';
+import { toExportRow } from './export';
+
+const HASHED_ID_PATTERN = /^[a-f0-9]{64}$/;
+const SCAN_PAGE_SIZE = 1000;
+const DELETE_CHUNK_SIZE = 500;
+
+/**
+ * Work out which subject a request is about
+ * @param {Object} query
+ * @param {string} [query.userId] - Raw user ID, hashed here the way the SDK hashes it
+ * @param {string} [query.userIdHash] - User ID already hashed by the SDK
+ * @param {string} [query.sessionId] - SDK session ID
+ * @returns {Promise<{type: string, id: string}>} Subject
+ * @throws {Error} If not exactly one identifier is given
+ */
+export async function resolveSubject({ userId, userIdHash, sessionId } = {}) {
+  const given = [userId, userIdHash, sessionId].filter(value => value !== undefined && value !== '');
+  if (given.length !== 1) {
+    throw new Error('Invalid data subject: provide exactly one of userId, userIdHash or sessionId');
+  }
+
+  if (sessionId !== undefined && sessionId !== '') {
+    return { type: 'session', id: String(sessionId) };
+  }
+
+  const id = userIdHash !== undefined && userIdHash !== ''
+    ? String(userIdHash).toLowerCase()
+    : await hash(String(userId));
+  if (!HASHED_ID_PATTERN.test(id)) {
+    throw new Error('Invalid data subject: userIdHash must be a SHA-256 hex digest');
+  }
+  return { type: 'user', id };
+}
+
+/**
+ * Summarize a subject's events
+ * @param {Object[]} events - Stored events
+ * @returns {{events: number, firstSeen: ?string, lastSeen: ?string, eventTypes: Object<string, number>}}
+ */
+export function summarizeEvents(events) {
+  const eventTypes = {};
+  let first = null;
+  let last = null;
+
+  for (const event of events) {
+    eventTypes[event.type] = (eventTypes[event.type] || 0) + 1;
+    const time = new Date(event.timestamp).getTime();
+    if (first === null || time < first) first = time;
+    if (last === null || time > last) last = time;
+  }
+
+  return {
+    events: events.length,
+    firstSeen: first === null ? null : new Date(first).toISOString(),
+    lastSeen: last === null ? null : new Date(last).toISOString(),
+    eventTypes
+  };
+}
+
+export class DataSubjectService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Find every stored event of a subject on a site
+   * @param {string} siteId - Site ID
+   * @param {{type: string, id: string}} subject - Subject from resolveSubject
+   * @returns {Promise<Object[]>} Stored events, oldest first
+   */
+  async findEvents(siteId, subject) {
+    return subject.type === 'user'
+      ? this.findUserEvents(siteId, subject.id)
+      : this.findSessionEvents(siteId, subject.id);
+  }
+
+  /**
+   * Find events whose userId property is exactly the hashed ID. The string
+   * match only narrows the scan; each candidate is parsed and compared.
+   * @param {string} siteId - Site ID
+   * @param {string} userIdHash - Hashed user ID
+   * @returns {Promise<Object[]>} Matching events
+   */
+  async findUserEvents(siteId, userIdHash) {
+    const candidates = await this.db.storage.findEvents({
+      siteId: sanitizeInput(siteId),
+      search: userIdHash,
+      includeBots: true
+    });
+
+    return candidates
+      .filter(event => parseProperties(event.properties).userId === userIdHash)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Find events of a session. Session IDs are stored encrypted with a random
+   * IV, so the site's events are scanned page by page and decrypted.
+   * @param {string} siteId - Site ID
+   * @param {string} sessionId - Raw session ID
+   * @returns {Promise<Object[]>} Matching events
+   */
+  async findSessionEvents(siteId, sessionId) {
+    const matches = [];
+    let cursor;
+
+    do {
+      const page = await this.db.storage.findEvents({
+        siteId: sanitizeInput(siteId),
+        withSession: true,
+        includeBots: true,
+        cursor,
+        limit: SCAN_PAGE_SIZE
+      });
+
+      for (const event of page) {
+        const decrypted = await decrypt(event.sessionId).catch(() => null);
+        if (decrypted === sessionId) matches.push(event);
+      }
+      cursor = page.length === SCAN_PAGE_SIZE ? page[page.length - 1].id : null;
+    } while (cursor);
+
+    return matches.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Record a handled request
+   * @param {string} siteId - Site ID
+   * @param {string} action - access or erasure
+   * @param {{type: string, id: string}} subject - Subject
+   * @param {number} eventCount - Events reported or erased
+   * @returns {Promise<Object>} Stored request record
+   */
+  async recordRequest(siteId, action, subject, eventCount) {
+    return this.db.storage.createDataSubjectRequest({
+      siteId: sanitizeInput(siteId),
+      action,
+      subjectType: subject.type,
+      // User IDs are already hashed; session IDs are hashed before they're kept
+      subject: subject.type === 'user' ? subject.id : await hash(subject.id),
+      eventCount
+    });
+  }
+
+  /**
+   * Report everything held about a subject
+   * @param {string} siteId - Site ID
+   * @param {Object} query - userId, userIdHash or sessionId
+   * @returns {Promise<Object>} Request ID, summary and the subject's events as export rows
+   */
+  async access(siteId, query) {
+    const subject = await resolveSubject(query);
+    const events = await this.findEvents(siteId, subject);
+    const request = await this.recordRequest(siteId, 'access', subject, events.length);
+
+    return {
+      requestId: request.id,
+      subjectType: subject.type,
+      ...summarizeEvents(events),
+      data: events.map(toExportRow)
+    };
+  }
+
+  /**
+   * Delete exactly the events of a subject
+   * @param {string} siteId - Site ID
+   * @param {Object} query - userId, userIdHash or sessionId
+   * @returns {Promise<Object>} Request ID, number of deleted events and a summary of what was deleted
+   */
+  async erase(siteId, query) {
+    const subject = await resolveSubject(query);
+    const events = await this.findEvents(siteId, subject);
+    const summary = summarizeEvents(events);
+
+    let deleted = 0;
+    for (let i = 0; i < events.length; i += DELETE_CHUNK_SIZE) {
+      const ids = events.slice(i, i + DELETE_CHUNK_SIZE).map(event => event.id);
+      deleted += await this.db.storage.deleteEventsByIds(ids);
+    }
+
+    const request = await this.recordRequest(siteId, 'erasure', subject, deleted);
+
+    return {
+      requestId: request.id,
+      subjectType: subject.type,
+      deleted,
+      ...summary
+    };
+  }
+
+  /**
+   * List handled requests for a site, newest first
+   * @param {string} siteId - Site ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=100] - Maximum number of records
+   * @returns {Promise<Object[]>} Request records
+   */
+  async listRequests(siteId, { limit = 100 } = {}) {
+    return this.db.storage.listDataSubjectRequests(
+      sanitizeInput(siteId),
+      Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)
+    );
+  }
+}
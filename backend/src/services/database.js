@@ -1,27 +1,100 @@
-import { PrismaClient } from '@prisma/client';
-import { encrypt, decrypt } from '../utils/encryption';
+import { encrypt, decrypt, hash, safeCompare, generateApiKey } from '../utils/encryption';
 import { sanitizeInput } from '../utils/sanitization';
+import {
+  buildTimeSeries,
+  validateTimeSeriesOptions,
+  hasWholeHourOffsets,
+  buildBreakdown,
+  validateBreakdown,
+  parseProperties,
+  MAX_BREAKDOWN_LIMIT
+} from './analytics';
+import { buildFunnel, validateFunnel } from './funnels';
+import { buildRetention, validateRetention, getMaxPeriods } from './cohorts';
+import { buildGoals, getGoals } from './goals';
+import { buildRevenue } from './revenue';
+import { buildEngagement, ENGAGEMENT_EVENT } from './engagement';
+import { buildWebVitals, WEB_VITALS_EVENT } from './webVitals';
+import { validatePurchase, PURCHASE_EVENT } from '../utils/validation';
+import { live } from './live';
+import { toExportRow } from './export';
+import { AuditService, SYSTEM_ACTOR } from './audit';
+import {
+  RollupService,
+  ROLLUP_DIMENSIONS,
+  sumRollups,
+  buildRollupBreakdown,
+  sumVisitorRollups
+} from './rollups';
+import { getStorage } from '../storage';
 
-const prisma = new PrismaClient();
+const MAX_EXPORT_PAGE_SIZE = 10000;
+// Insights sections read from the events still kept, so they are only built when asked for
+const EVENT_SECTIONS = ['engagement', 'goals'];
+// Stored API keys are SHA-256 hex digests; older sites store the encrypted key they were given
+const HASHED_API_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// Properties holding a page or referrer URL, of which only the origin and path are stored
+const URL_PROPERTIES = ['url', 'referrer'];
+
+/**
+ * Reduce a page or referrer URL to what the page and referrer breakdowns
+ * need; query strings and fragments can carry tokens or emails
+ * @param {any} url - URL as sent
+ * @returns {string|null} Origin and path, or null if the URL is unusable
+ */
+function toPageUrl(url) {
+  if (typeof url !== 'string') return null;
+
+  try {
+    const { origin, pathname } = new URL(url);
+    return origin === 'null' ? null : `${origin}${pathname}`;
+  } catch {
+    return null;
+  }
+}
 
 export class DatabaseService {
-  constructor() {
-    this.prisma = prisma;
+  /**
+   * @param {Object} [storage] - Storage adapter, defaults to the one configured by STORAGE
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.audit = new AuditService(this);
+    this.rollups = new RollupService(this);
   }
 
   /**
-   * Store an event in the database
+   * Sanitize and encrypt an event before it is written
    * @param {Object} event - Event data
-   * @returns {Promise<Object>} Stored event
+   * @returns {Promise<Object>} Event record ready for storage
    */
-  async storeEvent(event) {
-    // Sanitize input
-    const sanitizedEvent = {
+  async prepareEvent(event) {
+    const properties = { ...event.properties };
+    for (const key of URL_PROPERTIES) {
+      if (properties[key] === undefined) continue;
+
+      const url = toPageUrl(properties[key]);
+      if (url) {
+        properties[key] = url;
+      } else {
+        delete properties[key];
+      }
+    }
+
+    // Keep the page URL the SDK sends alongside every event, so any event
+    // type can be broken down by page
+    const pageUrl = toPageUrl(event.url);
+    if (pageUrl && !properties.url) {
+      properties.url = pageUrl;
+    }
+
+    return {
       siteId: sanitizeInput(event.siteId),
       type: sanitizeInput(event.type),
       properties: JSON.stringify(
         Object.fromEntries(
-          Object.entries(event.properties || {}).filter(([k]) => {
+          Object.entries(properties).filter(([k]) => {
             const key = k.toLowerCase();
             return !key.includes('email') && !key.includes('phone') && 
                    !key.includes('address') && !key.includes('name');
@@ -31,83 +104,481 @@ export class DatabaseService {
       ip: event.ip ? await encrypt(event.ip) : null,
       userAgent: event.userAgent ? await encrypt(event.userAgent) : null,
       sessionId: event.sessionId ? await encrypt(event.sessionId) : null,
+      visitorId: event.visitorId || null,
+      bot: event.bot || null,
+      browser: event.browser ? sanitizeInput(event.browser) : null,
+      browserVersion: event.browserVersion ? sanitizeInput(event.browserVersion) : null,
+      os: event.os ? sanitizeInput(event.os) : null,
+      device: event.device ? sanitizeInput(event.device) : null,
+      country: event.country ? sanitizeInput(event.country) : null,
+      region: event.region ? sanitizeInput(event.region) : null,
       timestamp: new Date(event.timestamp || Date.now())
     };
+  }
 
-    return this.prisma.event.create({
-      data: sanitizedEvent
-    });
+  /**
+   * Store an event in the database
+   * @param {Object} event - Event data
+   * @returns {Promise<?Object>} Stored event, or null for a purchase of an order already stored
+   */
+  async storeEvent(event) {
+    if (!(await this.recordOrder(event))) {
+      return null;
+    }
+
+    let sanitizedEvent;
+    let stored;
+    try {
+      sanitizedEvent = await this.prepareEvent(event);
+      stored = await this.storage.insertEvent(sanitizedEvent);
+    } catch (error) {
+      // A retry of the purchase must not be taken for a duplicate
+      await this.discardOrder(event);
+      throw error;
+    }
+    await this.rollups.reopen(sanitizedEvent.siteId, [sanitizedEvent.timestamp]);
+    this.publishEvent(sanitizedEvent, event);
+    return stored;
+  }
+
+  /**
+   * Store several events in a single bulk write
+   * @param {Object[]} events - Event data, already validated
+   * @returns {Promise<number>} Number of stored events; purchases of orders already stored are skipped
+   */
+  async storeEvents(events) {
+    const unique = [];
+    for (const event of events) {
+      if (await this.recordOrder(event)) unique.push(event);
+    }
+    if (unique.length === 0) return 0;
+
+    let data;
+    let count;
+    try {
+      data = await Promise.all(unique.map(event => this.prepareEvent(event)));
+      count = await this.storage.insertEvents(data);
+    } catch (error) {
+      for (const event of unique) {
+        await this.discardOrder(event);
+      }
+      throw error;
+    }
+    for (const siteId of new Set(data.map(record => record.siteId))) {
+      await this.rollups.reopen(siteId, data.filter(record => record.siteId === siteId).map(record => record.timestamp));
+    }
+    data.forEach((record, i) => this.publishEvent(record, unique[i]));
+    return count;
+  }
+
+  /**
+   * Store the typed order of a purchase event. Flagged bot traffic places
+   * no orders.
+   * @param {Object} event - Event data
+   * @returns {Promise<boolean>} False if the site already has an order with
+   *   this ID; true otherwise, including for other event types
+   * @throws {Error} If the purchase doesn't follow the schema
+   */
+  async recordOrder(event) {
+    if (event.type !== PURCHASE_EVENT || event.bot) return true;
+
+    const order = validatePurchase(event.properties);
+    try {
+      await this.storage.createOrder({
+        siteId: sanitizeInput(event.siteId),
+        orderId: sanitizeInput(order.orderId),
+        amount: order.amount,
+        currency: order.currency,
+        items: JSON.stringify(sanitizeInput(order.items)),
+        timestamp: new Date(event.timestamp || Date.now())
+      });
+      return true;
+    } catch (error) {
+      if (error.message.includes('already exists')) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the order recorded for a purchase event whose insert failed
+   * @param {Object} event - Event data passed to recordOrder
+   * @returns {Promise<void>}
+   */
+  async discardOrder(event) {
+    if (event.type !== PURCHASE_EVENT || event.bot) return;
+
+    const { orderId } = validatePurchase(event.properties);
+    await this.storage.deleteOrder(sanitizeInput(event.siteId), sanitizeInput(orderId));
   }
 
   /**
-   * Get aggregated insights for a site
+   * Push a stored event to live subscribers, without IP, user agent or session data.
+   * Flagged bot events aren't live traffic and are not pushed.
+   * @param {Object} record - Prepared event record
+   * @param {Object} event - Original event, for the live visitor count
+   */
+  publishEvent(record, event) {
+    if (record.bot) return;
+
+    live.publish(record.siteId, {
+      type: record.type,
+      properties: parseProperties(record.properties),
+      timestamp: record.timestamp
+    }, event.visitorId || event.sessionId);
+  }
+
+  /**
+   * Get aggregated insights for a site. Counts, time series, page and
+   * referrer rankings and visitor metrics come from rollups and revenue
+   * from orders, so they cover periods whose events have been cleaned up;
+   * other breakdowns and the included engagement and goals sections read
+   * the events still kept.
    * @param {string} siteId - Site ID
    * @param {Object} options - Query options
+   * @param {string} [options.interval] - hour, day, week or month; adds a time series
+   * @param {string} [options.timezone='UTC'] - IANA timezone used for bucketing
+   * @param {string[]} [options.breakdowns] - page, referrer or property:<key> rankings to add
+   * @param {string[]} [options.include] - engagement and/or goals sections to add
+   * @param {number} [options.limit=10] - Number of values per breakdown and of engagement pages
    * @returns {Promise<Object>} Aggregated insights
    */
   async getInsights(siteId, options = {}) {
-    const { startDate, endDate, eventTypes } = options;
-    const where = {
-      siteId: sanitizeInput(siteId),
-      timestamp: {
-        gte: startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-        lte: endDate ? new Date(endDate) : new Date()
-      },
-      ...(eventTypes && { type: { in: eventTypes.map(t => sanitizeInput(t)) } })
+    const {
+      startDate,
+      endDate,
+      eventTypes,
+      interval,
+      timezone = 'UTC',
+      breakdowns = [],
+      include = [],
+      limit = 10
+    } = options;
+    if (interval) {
+      validateTimeSeriesOptions(interval, timezone);
+    }
+    breakdowns.forEach(validateBreakdown);
+    for (const section of include) {
+      if (!EVENT_SECTIONS.includes(section)) {
+        throw new Error(`Invalid include: ${section}`);
+      }
+    }
+
+    const query = this.buildEventFilter(siteId, { startDate, endDate, eventTypes });
+    // UTC hours only fit into the buckets of zones a whole number of hours
+    // from UTC; series in e.g. Asia/Kolkata are bucketed from the events kept
+    const seriesFromRollups = Boolean(interval) && hasWholeHourOffsets(timezone, query.start, query.end);
+    // Daily rollups are UTC days, so hourly series and other timezones need hourly ones
+    const { rollups, visitorRollups } = await this.rollups.load(query, {
+      hourly: seriesFromRollups && (interval === 'hour' || timezone !== 'UTC')
+    });
+
+    const insights = {
+      ...sumRollups(rollups),
+      bots: await this.getBotTraffic(siteId, query.start, query.end),
+      period: {
+        start: query.start,
+        end: query.end
+      }
     };
 
-    const [events, pageViews, totalEvents] = await Promise.all([
-      // Get events grouped by type
-      this.prisma.event.groupBy({
-        by: ['type'],
-        where,
-        _count: true,
-        orderBy: { _count: { type: 'desc' } }
-      }),
-      // Get total page views
-      this.prisma.event.count({
-        where: { ...where, type: 'pageview' }
-      }),
-      // Get total events
-      this.prisma.event.count({ where })
-    ]);
+    insights.visitors = sumVisitorRollups(visitorRollups);
+    insights.revenue = buildRevenue(
+      await this.storage.findOrders({ siteId: query.siteId, start: query.start, end: query.end }),
+      interval ? { start: query.start, end: query.end, interval, timeZone: timezone } : {}
+    );
+
+    const topN = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_BREAKDOWN_LIMIT);
+    if (include.includes('engagement')) {
+      insights.engagement = buildEngagement(
+        await this.findEventRecords({ ...query, types: [ENGAGEMENT_EVENT] }),
+        topN
+      );
+    }
+
+    if (interval) {
+      insights.timeSeries = buildTimeSeries(
+        seriesFromRollups
+          ? rollups.map(row => ({ type: row.type, timestamp: row.bucket, count: row.count }))
+          : await this.storage.findEvents(query),
+        { start: query.start, end: query.end, interval, timeZone: timezone }
+      );
+    }
+
+    if (breakdowns.length > 0) {
+      // Pages and referrers rank pageviews unless other event types were asked for
+      const pageRollups = eventTypes ? rollups : rollups.filter(row => row.type === 'pageview');
+      const records = breakdowns.some(dimension => !ROLLUP_DIMENSIONS.includes(dimension))
+        ? await this.findEventRecords(query)
+        : [];
+      const pageRecords = eventTypes ? records : records.filter(r => r.type === 'pageview');
+
+      insights.breakdowns = Object.fromEntries(
+        breakdowns.map(dimension => [
+          dimension,
+          ROLLUP_DIMENSIONS.includes(dimension)
+            ? buildRollupBreakdown(pageRollups, dimension, topN)
+            : buildBreakdown(dimension.startsWith('property:') ? records : pageRecords, dimension, topN)
+        ])
+      );
+    }
+
+    if (include.includes('goals')) {
+      const goals = getGoals(await this.getSite(siteId));
+      // Conversion rates are against all sessions, whatever eventTypes asks for
+      const records = goals.length > 0 ? await this.findEventRecords({ ...query, types: undefined }) : [];
+      insights.goals = buildGoals(records, goals);
+    }
+
+    return insights;
+  }
+
+  /**
+   * Analyze how sessions progress through an ordered list of steps
+   * @param {string} siteId - Site ID
+   * @param {Object} options - Query options
+   * @param {Array<{type: string, properties?: Object}>} options.steps - Funnel steps in order
+   * @param {number} [options.conversionWindow] - Seconds from the first step in which later steps count
+   * @param {string} [options.startDate] - Period start
+   * @param {string} [options.endDate] - Period end
+   * @returns {Promise<Object>} Per-step session counts, conversion rates and timings
+   */
+  async getFunnel(siteId, options = {}) {
+    const { steps, conversionWindow, startDate, endDate } = options;
+    validateFunnel(steps, conversionWindow);
+
+    const query = this.buildEventFilter(siteId, {
+      startDate,
+      endDate,
+      eventTypes: [...new Set(steps.map(step => step.type))]
+    });
+    const records = await this.findEventRecords(query);
+
+    return {
+      ...buildFunnel(records, steps, conversionWindow),
+      period: {
+        start: query.start,
+        end: query.end
+      }
+    };
+  }
+
+  /**
+   * Report Web Vitals percentiles per page and per device class
+   * @param {string} siteId - Site ID
+   * @param {Object} options - Query options
+   * @param {string} [options.startDate] - Period start
+   * @param {string} [options.endDate] - Period end
+   * @param {number} [options.limit=10] - Number of pages
+   * @returns {Promise<Object>} p50, p75 and p95 of LCP, CLS, INP, FCP and TTFB
+   */
+  async getWebVitals(siteId, options = {}) {
+    const { startDate, endDate, limit = 10 } = options;
+
+    const query = this.buildEventFilter(siteId, { startDate, endDate, eventTypes: [WEB_VITALS_EVENT] });
+    const records = await this.findEventRecords(query);
+
+    return {
+      ...buildWebVitals(records, Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_BREAKDOWN_LIMIT)),
+      period: {
+        start: query.start,
+        end: query.end
+      }
+    };
+  }
+
+  /**
+   * Build a retention matrix of cohorts by first-seen day or week
+   * @param {string} siteId - Site ID
+   * @param {Object} options - Query options
+   * @param {string} [options.interval='week'] - day or week
+   * @param {number} [options.periods] - Periods after the first; capped by the site's retention horizon
+   * @param {string} [options.identity='user'] - Follow the hashed userId property or the session ID
+   * @param {string} [options.returnEvent] - Only this event type counts as a return
+   * @param {string} [options.timezone='UTC'] - IANA timezone used for bucketing
+   * @param {string} [options.startDate] - Period start, no earlier than the retention horizon
+   * @param {string} [options.endDate] - Period end
+   * @returns {Promise<Object>} Retention matrix
+   */
+  async getRetention(siteId, options = {}) {
+    const site = await this.getSite(siteId);
+    if (!site) {
+      throw new Error('Site not found');
+    }
+
+    const {
+      interval = 'week',
+      identity = 'user',
+      returnEvent,
+      timezone = 'UTC',
+      startDate,
+      endDate
+    } = options;
+    const maxPeriods = getMaxPeriods(site.retentionDays, interval);
+    const periods = options.periods === undefined
+      ? Math.min(8, maxPeriods)
+      : Math.min(parseInt(options.periods, 10), maxPeriods);
+    validateRetention({ interval, periods, identity, returnEvent });
+    validateTimeSeriesOptions(interval, timezone);
+
+    // Events beyond the retention horizon have been deleted, so never look further back
+    const horizon = new Date(Date.now() - site.retentionDays * 24 * 60 * 60 * 1000);
+    const start = startDate && new Date(startDate) > horizon ? new Date(startDate) : horizon;
+    const query = this.buildEventFilter(siteId, { startDate: start, endDate });
+
+    const records = await this.findEventRecords(query);
 
     return {
-      events: events.map(e => ({
-        type: e.type,
-        count: e._count
-      })),
-      pageViews,
-      totalEvents,
+      ...buildRetention(records, {
+        start: query.start,
+        end: query.end,
+        interval,
+        periods,
+        identity,
+        returnEvent,
+        timeZone: timezone
+      }),
       period: {
-        start: where.timestamp.gte,
-        end: where.timestamp.lte
+        start: query.start,
+        end: query.end
       }
     };
   }
 
   /**
-   * Delete old events based on site retention policy
+   * Read one page of raw events for export, oldest first. Encrypted fields
+   * are never read; properties are flattened into columns.
+   * @param {string} siteId - Site ID
+   * @param {Object} options
+   * @param {string} [options.startDate] - Period start
+   * @param {string} [options.endDate] - Period end
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @param {number} [options.limit=1000] - Page size
+   * @returns {Promise<{rows: Object[], nextCursor: ?string}>} Export rows and the cursor of the next page
+   */
+  async exportEvents(siteId, { startDate, endDate, cursor, limit = 1000 } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || 1000, 1), MAX_EXPORT_PAGE_SIZE);
+
+    const events = await this.storage.findEvents({
+      ...this.buildEventFilter(siteId, { startDate, endDate }),
+      cursor,
+      limit: take
+    });
+
+    return {
+      rows: events.map(toExportRow),
+      nextCursor: events.length === take ? events[events.length - 1].id : null
+    };
+  }
+
+  /**
+   * Build the storage query for a site's events in a period. Events flagged
+   * as bot traffic are left out.
+   * @param {string} siteId - Site ID
+   * @param {Object} options
+   * @param {string} [options.startDate] - Period start, defaults to 30 days ago
+   * @param {string} [options.endDate] - Period end, defaults to now
+   * @param {string[]} [options.eventTypes] - Restrict to these event types
+   * @returns {import('../storage/query').EventQuery} Event query
+   */
+  buildEventFilter(siteId, { startDate, endDate, eventTypes } = {}) {
+    return {
+      siteId: sanitizeInput(siteId),
+      start: startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      end: endDate ? new Date(endDate) : new Date(),
+      ...(eventTypes && { types: eventTypes.map(t => sanitizeInput(t)) })
+    };
+  }
+
+  /**
+   * Count bot traffic that was dropped or flagged at ingestion
+   * @param {string} siteId - Site ID
+   * @param {string} reason - Why the traffic was classified as a bot
+   * @param {string} action - dropped or flagged
+   * @param {number} [count=1] - Number of events
+   * @returns {Promise<void>}
+   */
+  async recordBotTraffic(siteId, reason, action, count = 1) {
+    const day = new Date().toISOString().slice(0, 10);
+    const key = { siteId: sanitizeInput(siteId), day, reason, action };
+
+    await this.storage.incrementFilteredTraffic(key, count);
+  }
+
+  /**
+   * Summarize a site's bot traffic over the UTC days of a period
+   * @param {string} siteId - Site ID
+   * @param {Date} start - Period start
+   * @param {Date} end - Period end
+   * @returns {Promise<{filtered: number, dropped: number, flagged: number, reasons: Object<string, number>}>}
+   */
+  async getBotTraffic(siteId, start, end) {
+    const rows = await this.storage.listFilteredTraffic(
+      sanitizeInput(siteId),
+      start.toISOString().slice(0, 10),
+      end.toISOString().slice(0, 10)
+    );
+
+    const summary = { filtered: 0, dropped: 0, flagged: 0, reasons: {} };
+    for (const { action, reason, count } of rows) {
+      summary.filtered += count;
+      summary[action] += count;
+      summary.reasons[reason] = (summary.reasons[reason] || 0) + count;
+    }
+    return summary;
+  }
+
+  /**
+   * Load events for aggregation, with parsed properties and decrypted session IDs
+   * @param {import('../storage/query').EventQuery} query - Event query
+   * @returns {Promise<Array<{type: string, timestamp: Date, properties: Object, sessionId: ?string, visitorId: ?string,
+   *   browser: ?string, browserVersion: ?string, os: ?string, device: ?string, country: ?string, region: ?string}>>}
+   */
+  async findEventRecords(query) {
+    const events = await this.storage.findEvents(query);
+
+    return Promise.all(events.map(async event => ({
+      type: event.type,
+      timestamp: event.timestamp,
+      properties: parseProperties(event.properties),
+      sessionId: await decrypt(event.sessionId).catch(() => null),
+      visitorId: event.visitorId ?? null,
+      browser: event.browser ?? null,
+      browserVersion: event.browserVersion ?? null,
+      os: event.os ?? null,
+      device: event.device ?? null,
+      country: event.country ?? null,
+      region: event.region ?? null
+    })));
+  }
+
+  /**
+   * Delete old events based on site retention policy, recording each
+   * site's cleanup in the audit log. Each site's ended days are rolled up
+   * first, so no event is deleted before it's counted.
    * @returns {Promise<number>} Number of deleted events
    */
   async cleanupOldEvents() {
-    const sites = await this.prisma.site.findMany();
+    const sites = await this.storage.listSites();
     let totalDeleted = 0;
 
     for (const site of sites) {
+      await this.rollups.rollUpSite(site);
+
       const cutoffDate = new Date(
         Date.now() - site.retentionDays * 24 * 60 * 60 * 1000
       );
 
-      const { count } = await this.prisma.event.deleteMany({
-        where: {
-          siteId: site.siteId,
-          timestamp: {
-            lt: cutoffDate
-          }
-        }
-      });
+      const count = await this.storage.deleteEventsBefore(site.siteId, cutoffDate);
 
+      if (count > 0) {
+        await this.audit.record({
+          siteId: site.siteId,
+          actor: SYSTEM_ACTOR,
+          action: 'events.retention_cleanup',
+          target: `site:${site.siteId}`,
+          after: { deleted: count, cutoff: cutoffDate.toISOString(), retentionDays: site.retentionDays }
+        });
+      }
       totalDeleted += count;
     }
 
@@ -117,20 +588,101 @@ export class DatabaseService {
   /**
    * Register a new site
    * @param {Object} site - Site data
-   * @returns {Promise<Object>} Created site
+   * @returns {Promise<Object>} Created site, carrying the raw API key. Only its
+   *   hash is stored, so this is the only time the key can be read.
+   * @throws {Error} If the site ID is taken, including by a deleted site whose
+   *   audit log and data subject requests are kept
    */
   async registerSite(site) {
-    const apiKey = await encrypt(crypto.randomUUID());
-    
-    return this.prisma.site.create({
-      data: {
-        siteId: sanitizeInput(site.siteId),
-        name: sanitizeInput(site.name),
-        domain: site.domain ? sanitizeInput(site.domain) : null,
-        settings: JSON.stringify(site.settings || {}),
-        apiKey,
-        retentionDays: site.retentionDays || 30
-      }
+    const siteId = sanitizeInput(site.siteId);
+    const [auditEntry] = await this.storage.listAuditEntries(siteId, { limit: 1 });
+    const [request] = await this.storage.listDataSubjectRequests(siteId, 1);
+    if (auditEntry || request) {
+      throw new Error(`Site ID ${siteId} belonged to a deleted site and cannot be reused`);
+    }
+
+    const apiKey = generateApiKey();
+    const created = await this.storage.createSite({
+      siteId,
+      name: sanitizeInput(site.name),
+      domain: site.domain ? sanitizeInput(site.domain) : null,
+      settings: JSON.stringify(site.settings || {}),
+      apiKey: await hash(apiKey),
+      retentionDays: site.retentionDays || 30
     });
+
+    return { ...created, apiKey };
+  }
+
+  /**
+   * Get a site by its site ID
+   * @param {string} siteId - Site ID
+   * @returns {Promise<Object|null>} Site, or null if it doesn't exist
+   */
+  async getSite(siteId) {
+    return this.storage.getSite(sanitizeInput(siteId));
+  }
+
+  /**
+   * Update a site; fields left undefined keep their value
+   * @param {string} siteId - Site ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated site
+   * @throws {Error} If the site doesn't exist
+   */
+  async updateSite(siteId, data) {
+    return this.storage.updateSite(sanitizeInput(siteId), data);
+  }
+
+  /**
+   * Delete a site and all of its events
+   * @param {string} siteId - Site ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the site doesn't exist
+   */
+  async deleteSite(siteId) {
+    await this.storage.deleteSite(sanitizeInput(siteId));
+  }
+
+  /**
+   * Check an API key against a site's stored key hash
+   * @param {string} siteId - Site ID
+   * @param {string} apiKey - Raw API key
+   * @returns {Promise<Object|null>} Site if the key is valid, otherwise null
+   */
+  async verifyApiKey(siteId, apiKey) {
+    const site = await this.getSite(siteId);
+    if (!site || !apiKey) return null;
+
+    const hashed = await hash(apiKey);
+    if (HASHED_API_KEY_PATTERN.test(site.apiKey)) {
+      return safeCompare(hashed, site.apiKey) ? site : null;
+    }
+
+    // Sites registered before keys were hashed were handed the stored value
+    // itself; accept it and store its hash, so it keeps working from then on
+    if (!safeCompare(hashed, await hash(site.apiKey))) return null;
+    return this.storage.updateSite(site.siteId, { apiKey: hashed });
+  }
+
+  /**
+   * Replace a site's API key
+   * @param {string} siteId - Site ID
+   * @returns {Promise<string>} The new raw API key
+   */
+  async rotateApiKey(siteId) {
+    const apiKey = generateApiKey();
+
+    await this.storage.updateSite(sanitizeInput(siteId), { apiKey: await hash(apiKey) });
+
+    return apiKey;
+  }
+
+  /**
+   * Close the storage connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.storage.close();
   }
 }
@@ -0,0 +1,58 @@
+/**
+ * Engagement reporting
+ * The SDK's opt-in engagement tracker sends an `engagement` event when a
+ * page is left, with the time it was actively looked at and how far it was
+ * scrolled. This averages them per page.
+ */
+
+import { getDimensionValue, readNumber } from './analytics';
+
+export const ENGAGEMENT_EVENT = 'engagement';
+// Longer times come from clocks jumping or tampered events, not from reading
+const MAX_ENGAGED_TIME = 24 * 60 * 60 * 1000;
+
+/**
+ * Average engaged time and scroll depth, overall and per page
+ * @param {Array<{type: string, properties: Object}>} records - Engagement event records
+ * @param {number} [limit=10] - Number of pages to return
+ * @returns {{views: number, averageEngagedTime: number, averageScrollDepth: number,
+ *   pages: Array<{page: string, views: number, averageEngagedTime: number, averageScrollDepth: number}>}}
+ *   Engaged times in seconds and scroll depths in percent; pages with the most views first
+ */
+export function buildEngagement(records, limit = 10) {
+  const total = { views: 0, engagedTime: 0, scrollDepth: 0 };
+  const pages = new Map();
+
+  for (const record of records) {
+    if (record.type !== ENGAGEMENT_EVENT) continue;
+
+    const engagedTime = readNumber(record.properties.engagedTime, { min: 0, max: MAX_ENGAGED_TIME });
+    if (engagedTime === null) continue;
+    const scrollDepth = Math.min(Math.max(readNumber(record.properties.scrollDepth) ?? 0, 0), 100);
+
+    const page = getDimensionValue(record, 'page');
+    if (page !== null && !pages.has(page)) {
+      pages.set(page, { page, views: 0, engagedTime: 0, scrollDepth: 0 });
+    }
+
+    for (const entry of page === null ? [total] : [total, pages.get(page)]) {
+      entry.views++;
+      entry.engagedTime += engagedTime;
+      entry.scrollDepth += scrollDepth;
+    }
+  }
+
+  const averages = ({ views, engagedTime, scrollDepth }) => ({
+    views,
+    averageEngagedTime: views ? Math.round(engagedTime / views / 1000) : 0,
+    averageScrollDepth: views ? Math.round(scrollDepth / views) : 0
+  });
+
+  return {
+    ...averages(total),
+    pages: [...pages.values()]
+      .sort((a, b) => b.views - a.views || a.page.localeCompare(b.page))
+      .slice(0, limit)
+      .map(entry => ({ page: entry.page, ...averages(entry) }))
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * Raw event export
+ * Formats stored events as CSV, NDJSON or Parquet for warehouse loading
+ */
+
+import validator from 'validator';
+import { parquetWriteBuffer } from 'hyparquet-writer';
+import { parseProperties } from './analytics';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  parquet: 'application/vnd.apache.parquet'
+};
+
+// Always exported, in this order; encrypted fields (ip, userAgent, sessionId) never are
+export const BASE_COLUMNS = ['id', 'siteId', 'type', 'timestamp', 'visitorId', 'browser', 'browserVersion', 'os', 'device', 'country', 'region'];
+
+/**
+ * Validate an export format
+ * @param {string} format - csv, ndjson or parquet
+ * @throws {Error} If the format is not supported
+ */
+export function validateExportFormat(format) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid export format: must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Flatten nested properties into dotted column names
+ * @param {Object} properties - Parsed properties
+ * @param {string} [prefix='properties'] - Column name prefix
+ * @param {Object} [columns={}] - Accumulator
+ * @returns {Object} Flat map of column name to value
+ */
+function flattenProperties(properties, prefix = 'properties', columns = {}) {
+  for (const [key, value] of Object.entries(properties)) {
+    const column = `${prefix}.${key}`;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenProperties(value, column, columns);
+    } else if (Array.isArray(value)) {
+      columns[column] = JSON.stringify(value);
+    } else {
+      // Values are HTML-escaped at ingestion; export them as sent
+      columns[column] = typeof value === 'string' ? validator.unescape(value) : value;
+    }
+  }
+  return columns;
+}
+
+/**
+ * Turn a stored event into a flat export row
+ * @param {Object} event - Stored event
+ * @returns {Object} Row keyed by column name
+ */
+export function toExportRow(event) {
+  return {
+    id: event.id,
+    siteId: event.siteId,
+    type: event.type,
+    timestamp: new Date(event.timestamp).toISOString(),
+    visitorId: event.visitorId ?? null,
+    browser: event.browser ?? null,
+    browserVersion: event.browserVersion ?? null,
+    os: event.os ?? null,
+    device: event.device ?? null,
+    country: event.country ?? null,
+    region: event.region ?? null,
+    ...flattenProperties(parseProperties(event.properties))
+  };
+}
+
+/**
+ * Collect the columns of a set of rows, base columns first
+ * @param {Object[]} rows - Export rows
+ * @returns {string[]} Column names
+ */
+export function getColumns(rows) {
+  const propertyColumns = new Set();
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!BASE_COLUMNS.includes(column)) propertyColumns.add(column);
+    }
+  }
+  return [...BASE_COLUMNS, ...[...propertyColumns].sort()];
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {any} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV
+ * @param {Object[]} rows - Export rows
+ * @param {string[]} [columns] - Columns to write, defaults to all columns of the rows
+ * @param {Object} [options]
+ * @param {boolean} [options.header=true] - Write a header line
+ * @returns {string} CSV text
+ */
+export function formatCsv(rows, columns = getColumns(rows), { header = true } = {}) {
+  const lines = rows.map(row => columns.map(column => csvField(row[column])).join(','));
+  if (header) lines.unshift(columns.map(csvField).join(','));
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Format rows as newline-delimited JSON
+ * @param {Object[]} rows - Export rows
+ * @returns {string} NDJSON text
+ */
+export function formatNdjson(rows) {
+  return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+}
+
+/**
+ * Format rows as a Parquet file. Property columns are written as strings
+ * because a key can hold different types across events.
+ * @param {Object[]} rows - Export rows
+ * @param {string[]} [columns] - Columns to write, defaults to all columns of the rows
+ * @returns {ArrayBuffer} Parquet file
+ */
+export function formatParquet(rows, columns = getColumns(rows)) {
+  return parquetWriteBuffer({
+    columnData: columns.map(column => {
+      if (column === 'timestamp') {
+        return { name: column, data: rows.map(row => new Date(row.timestamp)), type: 'TIMESTAMP' };
+      }
+      return {
+        name: column,
+        data: rows.map(row => (row[column] === undefined || row[column] === null ? null : String(row[column]))),
+        type: 'STRING'
+      };
+    })
+  });
+}
+
+/**
+ * Format rows in an export format
+ * @param {Object[]} rows - Export rows
+ * @param {string} format - csv, ndjson or parquet
+ * @returns {string|ArrayBuffer} Formatted body
+ */
+export function formatExport(rows, format) {
+  validateExportFormat(format);
+
+  if (format === 'csv') return formatCsv(rows);
+  if (format === 'ndjson') return formatNdjson(rows);
+  return formatParquet(rows);
+}
@@ -0,0 +1,157 @@
+/**
+ * Funnel analysis
+ * Follows sessions through an ordered list of steps
+ */
+
+import validator from 'validator';
+import { groupSessions } from './analytics';
+
+const MIN_STEPS = 2;
+const MAX_STEPS = 10;
+const EVENT_TYPE_PATTERN = /^[a-zA-Z0-9_]+$/;
+export const DEFAULT_CONVERSION_WINDOW = 24 * 60 * 60; // seconds
+const MAX_CONVERSION_WINDOW = 30 * 24 * 60 * 60;
+
+/**
+ * Validate funnel steps and conversion window
+ * @param {Array<{type: string, properties?: Object}>} steps - Funnel steps
+ * @param {number} [conversionWindow] - Window in seconds
+ * @throws {Error} If the funnel definition is invalid
+ */
+export function validateFunnel(steps, conversionWindow) {
+  if (!Array.isArray(steps) || steps.length < MIN_STEPS || steps.length > MAX_STEPS) {
+    throw new Error(`Invalid funnel: provide between ${MIN_STEPS} and ${MAX_STEPS} steps`);
+  }
+
+  steps.forEach((step, i) => {
+    if (!step || typeof step.type !== 'string' || !EVENT_TYPE_PATTERN.test(step.type)) {
+      throw new Error(`Invalid funnel: step ${i + 1} needs a valid event type`);
+    }
+
+    if (step.properties === undefined) return;
+
+    if (!step.properties || typeof step.properties !== 'object' || Array.isArray(step.properties)) {
+      throw new Error(`Invalid funnel: step ${i + 1} properties must be an object`);
+    }
+    for (const value of Object.values(step.properties)) {
+      if (value === null || typeof value === 'object') {
+        throw new Error(`Invalid funnel: step ${i + 1} property filters must be strings, numbers or booleans`);
+      }
+    }
+  });
+
+  if (conversionWindow !== undefined &&
+      (typeof conversionWindow !== 'number' || conversionWindow <= 0 || conversionWindow > MAX_CONVERSION_WINDOW)) {
+    throw new Error(`Invalid funnel: conversionWindow must be between 1 and ${MAX_CONVERSION_WINDOW} seconds`);
+  }
+}
+
+/**
+ * Check whether an event satisfies a funnel step
+ * @param {Object} record - Event record with parsed properties
+ * @param {{type: string, properties?: Object}} step - Funnel step
+ * @returns {boolean}
+ */
+export function matchesStep(record, step) {
+  if (record.type !== step.type) return false;
+
+  // Stored property values are HTML-escaped
+  return Object.entries(step.properties || {}).every(([key, expected]) => {
+    const actual = record.properties[key];
+    return actual !== undefined && actual !== null &&
+      validator.unescape(String(actual)) === String(expected);
+  });
+}
+
+/**
+ * Walk one session through the funnel, trying each occurrence of the first
+ * step and keeping the attempt that gets furthest
+ * @param {Object[]} events - Session events in time order
+ * @param {Object[]} steps - Funnel steps
+ * @param {number} windowMs - Conversion window in milliseconds
+ * @returns {number[]} Timestamps (ms) of each reached step
+ */
+function walkSession(events, steps, windowMs) {
+  let best = [];
+
+  events.forEach((event, startIndex) => {
+    if (!matchesStep(event, steps[0])) return;
+
+    const start = new Date(event.timestamp).getTime();
+    const reached = [start];
+    let cursor = startIndex + 1;
+
+    for (let s = 1; s < steps.length; s++) {
+      let found = false;
+      for (; cursor < events.length; cursor++) {
+        const time = new Date(events[cursor].timestamp).getTime();
+        if (time - start > windowMs) break;
+        if (matchesStep(events[cursor], steps[s])) {
+          reached.push(time);
+          cursor++;
+          found = true;
+          break;
+        }
+      }
+      if (!found) break;
+    }
+
+    if (reached.length > best.length) {
+      best = reached;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values
+ * @returns {?number} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Count how many sessions reach each funnel step
+ * @param {Array<{type: string, timestamp: Date, properties: Object, sessionId: ?string, visitorId: ?string}>} records - Event records
+ * @param {Array<{type: string, properties?: Object}>} steps - Funnel steps in order
+ * @param {number} [conversionWindow] - Seconds from the first step in which later steps count
+ * @returns {{conversionWindow: number, steps: Array<Object>}} Per step: sessions reaching it,
+ *   conversion from the first and previous step, and median seconds since the previous step
+ */
+export function buildFunnel(records, steps, conversionWindow = DEFAULT_CONVERSION_WINDOW) {
+  validateFunnel(steps, conversionWindow);
+
+  const reachedCounts = new Array(steps.length).fill(0);
+  const stepDurations = steps.map(() => []);
+
+  for (const { events } of groupSessions(records)) {
+    const reached = walkSession(events, steps, conversionWindow * 1000);
+    reached.forEach((time, i) => {
+      reachedCounts[i]++;
+      if (i > 0) {
+        stepDurations[i].push((time - reached[i - 1]) / 1000);
+      }
+    });
+  }
+
+  const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+  return {
+    conversionWindow,
+    steps: steps.map((step, i) => ({
+      type: step.type,
+      ...(step.properties && { properties: step.properties }),
+      sessions: reachedCounts[i],
+      conversionRate: rate(reachedCounts[i], reachedCounts[0]),
+      stepConversionRate: rate(reachedCounts[i], reachedCounts[Math.max(i - 1, 0)]),
+      medianTimeFromPrevious: i === 0 ? null : median(stepDurations[i])
+    }))
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * Coarse IP geolocation
+ *
+ * Looks up country (and optionally region) in a local copy of a GeoLite2
+ * CSV database: a directory with *-Blocks-IPv4.csv, *-Blocks-IPv6.csv and
+ * *-Locations-en.csv files, from either the Country or the City edition.
+ * Nothing leaves the server and the IP itself is never stored.
+ */
+
+import { createReadStream } from 'fs';
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+import { createInterface } from 'readline';
+
+/**
+ * Split a CSV line into fields, honoring quotes
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+export function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Read a CSV file row by row as objects keyed by its header
+ * @param {string} file - CSV path
+ * @yields {Object<string, string>} Row
+ */
+async function* readCsv(file) {
+  let header;
+  const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    const fields = parseCsvLine(line);
+    if (!header) {
+      header = fields;
+      continue;
+    }
+    yield Object.fromEntries(header.map((name, i) => [name, fields[i] ?? '']));
+  }
+}
+
+/**
+ * Parse an IP address into a number (IPv4) or a bigint (IPv6). IPv4-mapped
+ * IPv6 addresses are returned as IPv4.
+ * @param {string} ip - IP address
+ * @returns {?{version: number, value: number|bigint}} Parsed address, or null if invalid
+ */
+export function parseIp(ip) {
+  if (!ip) return null;
+  const address = ip.trim().replace(/^\[|\]$/g, '').split('%')[0];
+
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return parseIp(mapped[1]);
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+    const octets = address.split('.').map(Number);
+    if (octets.some(octet => octet > 255)) return null;
+    return { version: 4, value: octets.reduce((acc, octet) => acc * 256 + octet, 0) };
+  }
+
+  if (!address.includes(':')) return null;
+
+  // Expand an embedded IPv4 tail into two groups
+  let text = address;
+  const tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const v4 = parseIp(tail[1]);
+    if (!v4) return null;
+    text = text.slice(0, -tail[1].length) +
+      `${Math.floor(v4.value / 65536).toString(16)}:${(v4.value % 65536).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - rest.length;
+  if ((halves.length === 1 && missing !== 0) || missing < 0) return null;
+
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+  return { version: 6, value: groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n) };
+}
+
+/**
+ * Turn a CIDR network into its first and last address
+ * @param {string} network - CIDR, e.g. 192.0.2.0/24
+ * @returns {?{version: number, start: number|bigint, end: number|bigint}} Range, or null if invalid
+ */
+export function parseNetwork(network) {
+  const [address, prefixText] = network.split('/');
+  const parsed = parseIp(address);
+  const prefix = Number(prefixText);
+  if (!parsed || !Number.isInteger(prefix)) return null;
+
+  if (parsed.version === 4) {
+    const size = 2 ** (32 - prefix);
+    const start = Math.floor(parsed.value / size) * size;
+    return { version: 4, start, end: start + size - 1 };
+  }
+
+  const size = 1n << BigInt(128 - prefix);
+  const start = (parsed.value / size) * size;
+  return { version: 6, start, end: start + size - 1n };
+}
+
+/**
+ * Find the range containing a value
+ * @param {Array<{start: number|bigint, end: number|bigint}>} ranges - Ranges sorted by start
+ * @param {number|bigint} value - Address
+ * @returns {?Object} Matching range
+ */
+function findRange(ranges, value) {
+  let low = 0;
+  let high = ranges.length - 1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const range = ranges[middle];
+    if (value < range.start) {
+      high = middle - 1;
+    } else if (value > range.end) {
+      low = middle + 1;
+    } else {
+      return range;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the client IP from proxy headers; the first X-Forwarded-For entry is the client
+ * @param {Headers} headers - Request headers
+ * @returns {?string} Client IP
+ */
+export function getClientIp(headers) {
+  const forwarded = headers.get('X-Forwarded-For');
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return headers.get('X-Real-IP');
+}
+
+export class GeoService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] - Directory of the GeoLite2 CSV files; geolocation is off without it
+   * @param {boolean} [options.includeRegion=false] - Also report the first-level subdivision (City edition only)
+   */
+  constructor({ path, includeRegion = false } = {}) {
+    this.path = path;
+    this.includeRegion = includeRegion;
+    this.loading = null;
+  }
+
+  /**
+   * Whether a database is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Boolean(this.path);
+  }
+
+  /**
+   * Load the database once; later calls share the same promise. A database
+   * that can't be read turns geolocation off rather than failing ingestion.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readDatabase().catch(error => {
+        console.error('Error loading GeoIP database:', error);
+        this.path = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the locations and network blocks into memory
+   * @returns {Promise<void>}
+   */
+  async readDatabase() {
+    const files = await readdir(this.path);
+    const find = suffix => files.find(file => file.endsWith(suffix));
+
+    const locationsFile = find('-Locations-en.csv');
+    if (!locationsFile) {
+      throw new Error(`GeoIP database not found in ${this.path}`);
+    }
+
+    const locations = new Map();
+    for await (const row of readCsv(join(this.path, locationsFile))) {
+      if (!row.country_iso_code) continue;
+
+      locations.set(row.geoname_id, {
+        country: row.country_iso_code,
+        region: row.subdivision_1_iso_code ? `${row.country_iso_code}-${row.subdivision_1_iso_code}` : null
+      });
+    }
+
+    this.ranges = { 4: [], 6: [] };
+    for (const suffix of ['-Blocks-IPv4.csv', '-Blocks-IPv6.csv']) {
+      const blocksFile = find(suffix);
+      if (!blocksFile) continue;
+
+      for await (const row of readCsv(join(this.path, blocksFile))) {
+        const location = locations.get(row.geoname_id) || locations.get(row.registered_country_geoname_id);
+        const range = location && parseNetwork(row.network);
+        if (range) {
+          this.ranges[range.version].push({ start: range.start, end: range.end, location });
+        }
+      }
+    }
+
+    for (const ranges of Object.values(this.ranges)) {
+      ranges.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    }
+  }
+
+  /**
+   * Look up where an IP address is
+   * @param {?string} ip - Raw client IP
+   * @returns {Promise<{country: ?string, region: ?string}>} ISO country code and ISO 3166-2
+   *   region; nulls when geolocation is off or the address is unknown
+   */
+  async lookup(ip) {
+    const unknown = { country: null, region: null };
+    const parsed = parseIp(ip);
+    if (!this.enabled || !parsed) return unknown;
+
+    await this.load();
+    if (!this.enabled) return unknown;
+
+    const range = findRange(this.ranges[parsed.version], parsed.value);
+    if (!range) return unknown;
+
+    return {
+      country: range.location.country,
+      region: this.includeRegion ? range.location.region : null
+    };
+  }
+}
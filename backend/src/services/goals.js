@@ -0,0 +1,117 @@
+/**
+ * Goals and conversions
+ * Goals are kept in a site's settings, e.g.
+ *   { "goals": [
+ *     { "id": "signup", "type": "signup", "properties": { "plan": "pro" } },
+ *     { "id": "thanks", "type": "pageview", "path": "/thank-you*", "value": "amount" }
+ *   ] }
+ * An event completes a goal when its type, property filters and page path
+ * all match; `value` names a numeric property summed as the goal's value.
+ */
+
+import { getDimensionValue, groupSessions, readNumber } from './analytics';
+import { matchesStep } from './funnels';
+
+const MAX_GOALS = 20;
+const GOAL_ID_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+const EVENT_TYPE_PATTERN = /^[a-zA-Z0-9_]+$/;
+const PROPERTY_KEY_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+/**
+ * Validate the goals of a site's settings
+ * @param {Array<{id: string, name?: string, type: string, properties?: Object, path?: string, value?: string}>} goals
+ * @throws {Error} If a goal is invalid
+ */
+export function validateGoals(goals) {
+  if (!Array.isArray(goals) || goals.length > MAX_GOALS) {
+    throw new Error(`Invalid goals: provide a list of at most ${MAX_GOALS} goals`);
+  }
+
+  const ids = new Set();
+  goals.forEach((goal, i) => {
+    if (!goal || typeof goal.id !== 'string' || !GOAL_ID_PATTERN.test(goal.id)) {
+      throw new Error(`Invalid goals: goal ${i + 1} needs an id of letters, digits, _ or -`);
+    }
+    if (ids.has(goal.id)) {
+      throw new Error(`Invalid goals: duplicate goal id ${goal.id}`);
+    }
+    ids.add(goal.id);
+
+    if (goal.name !== undefined && (typeof goal.name !== 'string' || goal.name.length > 100)) {
+      throw new Error(`Invalid goals: goal ${goal.id} name must be a string of at most 100 characters`);
+    }
+    if (typeof goal.type !== 'string' || !EVENT_TYPE_PATTERN.test(goal.type)) {
+      throw new Error(`Invalid goals: goal ${goal.id} needs a valid event type`);
+    }
+    if (goal.properties !== undefined) {
+      if (!goal.properties || typeof goal.properties !== 'object' || Array.isArray(goal.properties) ||
+          Object.values(goal.properties).some(value => value === null || typeof value === 'object')) {
+        throw new Error(`Invalid goals: goal ${goal.id} properties must map to strings, numbers or booleans`);
+      }
+    }
+    if (goal.path !== undefined && (typeof goal.path !== 'string' || !goal.path.startsWith('/'))) {
+      throw new Error(`Invalid goals: goal ${goal.id} path must start with /`);
+    }
+    if (goal.value !== undefined && (typeof goal.value !== 'string' || !PROPERTY_KEY_PATTERN.test(goal.value))) {
+      throw new Error(`Invalid goals: goal ${goal.id} value must be a property name`);
+    }
+  });
+}
+
+/**
+ * Get the goals from a site's settings
+ * @param {Object} site - Stored site
+ * @returns {Object[]} Goals, or an empty list if none are set
+ */
+export function getGoals(site) {
+  let settings;
+  try {
+    settings = JSON.parse(site?.settings || '{}');
+  } catch {
+    settings = {};
+  }
+  return Array.isArray(settings?.goals) ? settings.goals : [];
+}
+
+/**
+ * Turn a goal path into a regular expression; * matches any characters
+ * @param {string} path - e.g. /thank-you or /docs/*
+ * @returns {RegExp}
+ */
+function toPathPattern(path) {
+  const escaped = path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Count goal completions and conversions
+ * @param {Array<{type: string, timestamp: Date, properties: Object, sessionId: ?string, visitorId: ?string}>} records
+ *   Event records of every type, so all sessions are counted
+ * @param {Object[]} goals - Validated goals
+ * @returns {Array<{id: string, name: string, completions: number, conversions: number, conversionRate: number, value?: number}>}
+ *   Per goal: matching events, sessions with at least one, their share of
+ *   all sessions and, when the goal has one, the summed value
+ */
+export function buildGoals(records, goals) {
+  const sessions = groupSessions(records);
+  const patterns = goals.map(goal => goal.path && toPathPattern(goal.path));
+
+  return goals.map((goal, i) => {
+    const matches = event => matchesStep(event, goal) &&
+      (!patterns[i] || patterns[i].test(getDimensionValue(event, 'page') ?? ''));
+
+    const completed = records.filter(matches);
+    const conversions = sessions.filter(({ events }) => events.some(matches)).length;
+
+    return {
+      id: goal.id,
+      name: goal.name || goal.id,
+      completions: completed.length,
+      conversions,
+      conversionRate: sessions.length ? Math.round((conversions / sessions.length) * 10000) / 10000 : 0,
+      ...(goal.value && {
+        value: Math.round(completed.reduce((sum, event) => sum + (readNumber(event.properties[goal.value]) ?? 0), 0) * 100) / 100
+      })
+    };
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * Live traffic
+ * In-process pub/sub for newly stored events, served as Server-Sent Events
+ */
+
+const ACTIVE_WINDOW = 5 * 60 * 1000;
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+export class LiveService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.activeWindow] - How long a visitor counts as live, in ms
+   * @param {number} [options.heartbeatInterval] - How often streams resend the visitor count, in ms
+   */
+  constructor({ activeWindow = ACTIVE_WINDOW, heartbeatInterval = HEARTBEAT_INTERVAL } = {}) {
+    this.activeWindow = activeWindow;
+    this.heartbeatInterval = heartbeatInterval;
+    this.subscribers = new Map();
+    this.lastSeen = new Map();
+    this.lastPruned = 0;
+  }
+
+  /**
+   * Announce a newly stored event
+   * @param {string} siteId - Site ID
+   * @param {Object} event - Public view of the event (no IP, user agent or session data)
+   * @param {?string} visitorKey - Visitor or session identifier used for the live count
+   * @param {number} [now] - Current time in ms
+   */
+  publish(siteId, event, visitorKey, now = Date.now()) {
+    if (visitorKey) {
+      if (!this.lastSeen.has(siteId)) this.lastSeen.set(siteId, new Map());
+      this.lastSeen.get(siteId).set(visitorKey, now);
+    }
+
+    // Sites nobody streams are never counted, so forget their visitors here
+    if (now - this.lastPruned >= this.activeWindow) {
+      this.lastPruned = now;
+      for (const key of [...this.lastSeen.keys()]) {
+        this.prune(key, now);
+      }
+    }
+
+    // The event is already stored, so a broken stream must not fail the write
+    for (const listener of this.subscribers.get(siteId) || []) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Error publishing live event for ${siteId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Listen for a site's new events
+   * @param {string} siteId - Site ID
+   * @param {function(Object): void} listener - Called with each published event
+   * @returns {function(): void} Unsubscribe
+   */
+  subscribe(siteId, listener) {
+    if (!this.subscribers.has(siteId)) this.subscribers.set(siteId, new Set());
+    this.subscribers.get(siteId).add(listener);
+
+    return () => {
+      const listeners = this.subscribers.get(siteId);
+      listeners?.delete(listener);
+      if (listeners?.size === 0) this.subscribers.delete(siteId);
+    };
+  }
+
+  /**
+   * Count visitors seen within the active window, forgetting older ones
+   * @param {string} siteId - Site ID
+   * @param {number} [now] - Current time in ms
+   * @returns {number} Live visitor count
+   */
+  getActiveVisitors(siteId, now = Date.now()) {
+    this.prune(siteId, now);
+    return this.lastSeen.get(siteId)?.size ?? 0;
+  }
+
+  /**
+   * Forget a site's visitors not seen within the active window
+   * @param {string} siteId - Site ID
+   * @param {number} now - Current time in ms
+   */
+  prune(siteId, now) {
+    const visitors = this.lastSeen.get(siteId);
+    if (!visitors) return;
+
+    for (const [key, seen] of visitors) {
+      if (now - seen > this.activeWindow) visitors.delete(key);
+    }
+    if (visitors.size === 0) this.lastSeen.delete(siteId);
+  }
+
+  /**
+   * Create an SSE stream of a site's events. Sends an `event` message per
+   * stored event and a `visitors` message with the live count after each
+   * event and on every heartbeat.
+   * @param {string} siteId - Site ID
+   * @returns {ReadableStream<Uint8Array>} text/event-stream body
+   */
+  stream(siteId) {
+    const encoder = new TextEncoder();
+    let cleanup;
+
+    return new ReadableStream({
+      start: (controller) => {
+        const send = (name, data) => {
+          controller.enqueue(encoder.encode(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`));
+        };
+        const sendVisitors = () => send('visitors', { count: this.getActiveVisitors(siteId) });
+
+        sendVisitors();
+        const unsubscribe = this.subscribe(siteId, (event) => {
+          send('event', event);
+          sendVisitors();
+        });
+        const heartbeat = setInterval(sendVisitors, this.heartbeatInterval);
+
+        cleanup = () => {
+          unsubscribe();
+          clearInterval(heartbeat);
+        };
+      },
+      cancel: () => {
+        cleanup?.();
+      }
+    });
+  }
+}
+
+// Shared by every DatabaseService so all writes reach the same streams
+export const live = new LiveService();
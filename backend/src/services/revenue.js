@@ -0,0 +1,80 @@
+/**
+ * Revenue reporting
+ * Sums the typed orders stored from purchase events. Orders in different
+ * currencies are never added together.
+ */
+
+import { getBucketStart, getBuckets, formatZoned, validateTimeSeriesOptions } from './analytics';
+
+/**
+ * Round an amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Report revenue, orders and average order value per currency
+ * @param {Array<{amount: number, currency: string, timestamp: Date}>} orders - Stored orders
+ * @param {Object} [options]
+ * @param {Date} [options.start] - Period start, needed for a series
+ * @param {Date} [options.end] - Period end, needed for a series
+ * @param {string} [options.interval] - hour, day, week or month; adds a series per currency
+ * @param {string} [options.timeZone='UTC'] - IANA timezone used for bucketing
+ * @returns {{orders: number, currencies: Array<{currency: string, orders: number, revenue: number,
+ *   averageOrderValue: number, points?: Array<{start: string, orders: number, revenue: number}>}>}}
+ *   Currencies with the most revenue first
+ */
+export function buildRevenue(orders, { start, end, interval, timeZone = 'UTC' } = {}) {
+  let buckets = null;
+  let index = null;
+  if (interval) {
+    validateTimeSeriesOptions(interval, timeZone);
+    buckets = getBuckets(start, end, interval, timeZone);
+    index = new Map(buckets.map((bucket, i) => [bucket, i]));
+  }
+
+  const currencies = new Map();
+  for (const order of orders) {
+    if (!currencies.has(order.currency)) {
+      currencies.set(order.currency, {
+        currency: order.currency,
+        orders: 0,
+        revenue: 0,
+        ...(buckets && { points: buckets.map(() => ({ orders: 0, revenue: 0 })) })
+      });
+    }
+    const entry = currencies.get(order.currency);
+    entry.orders++;
+    entry.revenue += order.amount;
+
+    if (buckets) {
+      const i = index.get(getBucketStart(new Date(order.timestamp).getTime(), interval, timeZone));
+      if (i !== undefined) {
+        entry.points[i].orders++;
+        entry.points[i].revenue += order.amount;
+      }
+    }
+  }
+
+  return {
+    orders: orders.length,
+    currencies: [...currencies.values()]
+      .sort((a, b) => b.revenue - a.revenue || a.currency.localeCompare(b.currency))
+      .map(({ currency, orders: count, revenue, points }) => ({
+        currency,
+        orders: count,
+        revenue: round(revenue),
+        averageOrderValue: round(revenue / count),
+        ...(points && {
+          points: points.map((point, i) => ({
+            start: formatZoned(buckets[i], timeZone),
+            orders: point.orders,
+            revenue: round(point.revenue)
+          }))
+        })
+      }))
+  };
+}
@@ -0,0 +1,317 @@
+/**
+ * Rollups
+ * Hourly and daily aggregates of a site's events per type, page and
+ * referrer, with visitor and session totals alongside. Each UTC day is
+ * rolled up once it has ended, so insights read a few rows per bucket
+ * instead of every event, and the rollups outlive retention cleanup. Events
+ * of days not rolled up yet are aggregated on the fly the same way.
+ */
+
+import { sanitizeInput } from '../utils/sanitization';
+import { getDimensionValue, groupSessions, isInteraction } from './analytics';
+
+export const ROLLUP_INTERVALS = ['hour', 'day'];
+export const ROLLUP_DIMENSIONS = ['page', 'referrer'];
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Start of the UTC day of an instant
+ * @param {number} ms - Epoch milliseconds
+ * @returns {number} UTC midnight in epoch milliseconds
+ */
+export function getDayStart(ms) {
+  return Math.floor(ms / DAY) * DAY;
+}
+
+/**
+ * Aggregate event records into hourly and daily rollups. Within a UTC day a
+ * session counts once per type, page and referrer, in the hour it first had
+ * such an event, and visitors count in the hour they were first seen, so the
+ * hourly rows of a day add up to its daily row.
+ * @param {string} siteId - Site ID
+ * @param {Array<{type: string, timestamp: Date, properties: Object, sessionId: ?string, visitorId: ?string}>} records
+ *   Event records, as returned by DatabaseService.findEventRecords
+ * @returns {{rollups: Object[], visitorRollups: Object[]}} Rows for both intervals
+ */
+export function aggregateRecords(siteId, records) {
+  const rollups = new Map();
+  const visitorRollups = new Map();
+
+  const getRow = (rows, interval, bucket, key, fields) => {
+    const id = `${interval}|${bucket}|${key}`;
+    if (!rows.has(id)) {
+      rows.set(id, { siteId, interval, bucket: new Date(bucket), ...fields });
+    }
+    return rows.get(id);
+  };
+
+  const days = new Map();
+  for (const record of records) {
+    const day = getDayStart(new Date(record.timestamp).getTime());
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(record);
+  }
+
+  for (const [day, dayRecords] of days) {
+    dayRecords.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const countedSessions = new Set();
+    const seenVisitors = new Set();
+
+    for (const record of dayRecords) {
+      const hour = Math.floor(new Date(record.timestamp).getTime() / HOUR) * HOUR;
+      const fields = {
+        type: record.type,
+        page: getDimensionValue(record, 'page'),
+        referrer: getDimensionValue(record, 'referrer')
+      };
+      const key = JSON.stringify([fields.type, fields.page, fields.referrer]);
+      const rows = [
+        getRow(rollups, 'hour', hour, key, { ...fields, count: 0, sessions: 0 }),
+        getRow(rollups, 'day', day, key, { ...fields, count: 0, sessions: 0 })
+      ];
+
+      const newSession = record.sessionId && !countedSessions.has(`${key}|${record.sessionId}`);
+      if (newSession) countedSessions.add(`${key}|${record.sessionId}`);
+      for (const row of rows) {
+        row.count++;
+        if (newSession) row.sessions++;
+      }
+
+      if (record.visitorId && !seenVisitors.has(record.visitorId)) {
+        seenVisitors.add(record.visitorId);
+        for (const [interval, bucket] of [['hour', hour], ['day', day]]) {
+          getRow(visitorRollups, interval, bucket, '', { visitors: 0, sessions: 0, bounces: 0, duration: 0 }).visitors++;
+        }
+      }
+    }
+
+    for (const { events } of groupSessions(dayRecords)) {
+      const first = new Date(events[0].timestamp).getTime();
+      const bounced = events.filter(isInteraction).length <= 1;
+      const duration = new Date(events[events.length - 1].timestamp).getTime() - first;
+
+      for (const [interval, bucket] of [['hour', Math.floor(first / HOUR) * HOUR], ['day', day]]) {
+        const row = getRow(visitorRollups, interval, bucket, '', { visitors: 0, sessions: 0, bounces: 0, duration: 0 });
+        row.sessions++;
+        if (bounced) row.bounces++;
+        row.duration += duration;
+      }
+    }
+  }
+
+  return { rollups: [...rollups.values()], visitorRollups: [...visitorRollups.values()] };
+}
+
+/**
+ * Split a period into the bucket ranges to read: whole UTC days from daily
+ * rollups and the hours around them from hourly ones. Buckets count when
+ * they start within the period, so periods resolve to whole hours.
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end
+ * @param {boolean} [hourly=false] - Read hourly rollups only, e.g. for hourly or non-UTC time series
+ * @returns {Array<{interval: string, start: number, end: number}>} Ranges of bucket starts, end exclusive
+ */
+export function getRollupRanges(start, end, hourly = false) {
+  const from = Math.floor(start.getTime() / HOUR) * HOUR;
+  const to = end.getTime() + 1;
+  const firstDay = Math.ceil(from / DAY) * DAY;
+  const lastDay = getDayStart(to);
+
+  if (hourly || firstDay >= lastDay) {
+    return [{ interval: 'hour', start: from, end: to }];
+  }
+
+  return [
+    { interval: 'hour', start: from, end: firstDay },
+    { interval: 'day', start: firstDay, end: lastDay },
+    { interval: 'hour', start: lastDay, end: to }
+  ].filter(range => range.start < range.end);
+}
+
+/**
+ * Count events by type from rollups
+ * @param {Array<{type: string, count: number}>} rollups - Rollup rows
+ * @returns {{events: Array<{type: string, count: number}>, pageViews: number, totalEvents: number}}
+ */
+export function sumRollups(rollups) {
+  const counts = new Map();
+  let totalEvents = 0;
+  for (const { type, count } of rollups) {
+    counts.set(type, (counts.get(type) || 0) + count);
+    totalEvents += count;
+  }
+
+  return {
+    events: [...counts.entries()]
+      .map(([type, count]) => ({ type, count }))
+      .sort((a, b) => b.count - a.count),
+    pageViews: counts.get('pageview') || 0,
+    totalEvents
+  };
+}
+
+/**
+ * Rank pages or referrers from rollups. Sessions add up per UTC day, like
+ * visitor counts.
+ * @param {Object[]} rollups - Rollup rows
+ * @param {string} dimension - page or referrer
+ * @param {number} [limit=10] - Number of values to return
+ * @returns {Array<{value: string, count: number, sessions: number}>} Top values
+ */
+export function buildRollupBreakdown(rollups, dimension, limit = 10) {
+  const values = new Map();
+  for (const row of rollups) {
+    const value = row[dimension];
+    if (value === null || value === undefined) continue;
+
+    const entry = values.get(value) || { value, count: 0, sessions: 0 };
+    entry.count += row.count;
+    entry.sessions += row.sessions;
+    values.set(value, entry);
+  }
+
+  return [...values.values()]
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, limit);
+}
+
+/**
+ * Compute visitor and session metrics from visitor rollups
+ * @param {Array<{visitors: number, sessions: number, bounces: number, duration: number}>} visitorRollups
+ * @returns {{uniqueVisitors: number, sessions: number, bounceRate: number, avgSessionDuration: number}}
+ *   bounceRate is the share of sessions with a single interaction, not
+ *   counting session_start, engagement and web_vitals events; avgSessionDuration is in seconds
+ */
+export function sumVisitorRollups(visitorRollups) {
+  let uniqueVisitors = 0;
+  let sessions = 0;
+  let bounces = 0;
+  let duration = 0;
+  for (const row of visitorRollups) {
+    uniqueVisitors += row.visitors;
+    sessions += row.sessions;
+    bounces += row.bounces;
+    duration += row.duration;
+  }
+
+  if (sessions === 0) {
+    return { uniqueVisitors, sessions: 0, bounceRate: 0, avgSessionDuration: 0 };
+  }
+
+  return {
+    uniqueVisitors,
+    sessions,
+    bounceRate: Math.round((bounces / sessions) * 10000) / 10000,
+    avgSessionDuration: Math.round(duration / sessions / 1000)
+  };
+}
+
+export class RollupService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Roll up every ended UTC day of a site since its last run. Days that
+   * began before the retention horizon may have lost events already, so
+   * they are never rolled up again.
+   * @param {Object} site - Stored site
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of days rolled up
+   */
+  async rollUpSite(site, now = new Date()) {
+    const horizon = getDayStart(now.getTime() - site.retentionDays * DAY);
+    let day = Math.max(site.rollupsUntil ? new Date(site.rollupsUntil).getTime() : 0, horizon);
+    let rolled = 0;
+
+    while (day + DAY <= now.getTime()) {
+      const records = await this.db.findEventRecords({
+        siteId: site.siteId,
+        start: new Date(day),
+        end: new Date(day + DAY - 1)
+      });
+      const { rollups, visitorRollups } = aggregateRecords(site.siteId, records);
+
+      await this.db.storage.replaceRollups(site.siteId, new Date(day), new Date(day + DAY), rollups, visitorRollups);
+      day += DAY;
+      rolled++;
+      // Saved per day, so an interrupted run resumes where it stopped
+      await this.db.storage.updateSite(site.siteId, { rollupsUntil: new Date(day) });
+    }
+
+    return rolled;
+  }
+
+  /**
+   * Have events stored for days that are already rolled up counted on the
+   * next run, by moving the site's rollups back to the earliest such day.
+   * Events from before the retention horizon are not counted.
+   * @param {string} siteId - Site ID
+   * @param {Date[]} timestamps - Timestamps of the stored events
+   * @returns {Promise<void>}
+   */
+  async reopen(siteId, timestamps) {
+    const earliest = Math.min(...timestamps.map(timestamp => new Date(timestamp).getTime()));
+    // Nearly all events are from today, which is never rolled up yet
+    if (!(earliest < getDayStart(Date.now()))) return;
+
+    const site = await this.db.getSite(siteId);
+    if (!site?.rollupsUntil || earliest >= new Date(site.rollupsUntil).getTime()) return;
+
+    const day = getDayStart(earliest);
+    if (day < Date.now() - site.retentionDays * DAY) return;
+
+    await this.db.storage.updateSite(site.siteId, { rollupsUntil: new Date(day) });
+  }
+
+  /**
+   * Collect the rollups of a period: stored ones for days already rolled
+   * up, and ones aggregated from the events after them
+   * @param {import('../storage/query').EventQuery} query - siteId, start, end and optional types
+   * @param {Object} [options]
+   * @param {boolean} [options.hourly=false] - Read hourly rollups only
+   * @returns {Promise<{rollups: Object[], visitorRollups: Object[]}>} Rows within the period;
+   *   visitor rollups cover every event type
+   */
+  async load(query, { hourly = false } = {}) {
+    const siteId = sanitizeInput(query.siteId);
+    const ranges = getRollupRanges(query.start, query.end, hourly);
+    const site = await this.db.getSite(siteId);
+    const until = site?.rollupsUntil ? new Date(site.rollupsUntil).getTime() : null;
+
+    const rollups = [];
+    const visitorRollups = [];
+
+    if (until !== null) {
+      for (const range of ranges) {
+        if (range.start >= until) continue;
+
+        const bounds = {
+          siteId,
+          interval: range.interval,
+          start: new Date(range.start),
+          end: new Date(Math.min(range.end, until))
+        };
+        rollups.push(...await this.db.storage.findRollups({ ...bounds, types: query.types }));
+        visitorRollups.push(...await this.db.storage.findVisitorRollups(bounds));
+      }
+    }
+
+    if (until === null || query.end.getTime() >= until) {
+      const records = await this.db.findEventRecords({
+        siteId,
+        start: until !== null && until > query.start.getTime() ? new Date(until) : query.start,
+        end: query.end
+      });
+      const recent = aggregateRecords(siteId, records);
+      const inRange = row => ranges.some(range =>
+        range.interval === row.interval && row.bucket.getTime() >= range.start && row.bucket.getTime() < range.end);
+
+      rollups.push(...recent.rollups.filter(row => inRange(row) && (!query.types || query.types.includes(row.type))));
+      visitorRollups.push(...recent.visitorRollups.filter(inRange));
+    }
+
+    return { rollups, visitorRollups };
+  }
+}
@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+import { hash } from '../utils/encryption';
+
+/**
+ * Cookieless visitor identification
+ *
+ * A visitor ID is a hash of a random daily salt, the site, the IP and the
+ * user agent. The salt is replaced every day and old salts are deleted, so
+ * IDs from different days can't be linked to each other or back to an IP.
+ */
+export class VisitorService {
+  constructor(db) {
+    this.db = db;
+    this.current = null;
+  }
+
+  /**
+   * Get the salt for a UTC day, creating it on first use
+   * @param {Date} [date] - Day to get the salt for
+   * @returns {Promise<string>} Salt
+   */
+  async getDailySalt(date = new Date()) {
+    const day = date.toISOString().slice(0, 10);
+    if (this.current?.day === day) return this.current.salt;
+
+    let record = await this.db.storage.getSalt(day);
+    if (!record) {
+      try {
+        record = await this.db.storage.createSalt(day, crypto.randomBytes(32).toString('hex'));
+      } catch {
+        // Another instance created today's salt first
+        record = await this.db.storage.getSalt(day);
+      }
+
+      // Forget earlier salts so yesterday's visitor IDs can't be recomputed
+      await this.db.storage.deleteSaltsBefore(day);
+    }
+
+    this.current = { day, salt: record.salt };
+    return record.salt;
+  }
+
+  /**
+   * Compute the anonymous visitor ID for a request
+   * @param {string} siteId - Site ID
+   * @param {?string} ip - Raw client IP
+   * @param {?string} userAgent - Raw User-Agent
+   * @returns {Promise<?string>} Visitor ID, or null without any client signal
+   */
+  async getVisitorId(siteId, ip, userAgent) {
+    if (!ip && !userAgent) return null;
+
+    const salt = await this.getDailySalt();
+    return hash(`${salt}:${siteId}:${ip || ''}:${userAgent || ''}`);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Web Vitals
+ * The SDK's opt-in Web Vitals module sends one `web_vitals` event per page
+ * load with the LCP, CLS, INP, FCP and TTFB the browser measured. This
+ * reports their percentiles per page and per device class.
+ */
+
+import { getDimensionValue, readNumber } from './analytics';
+
+export const WEB_VITALS_EVENT = 'web_vitals';
+export const WEB_VITALS = ['lcp', 'cls', 'inp', 'fcp', 'ttfb'];
+const PERCENTILES = [50, 75, 95];
+// Larger values come from broken clocks or tampered events, not from slow pages
+const MAX_TIME = 10 * 60 * 1000;
+const MAX_CLS = 100;
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} percentile - 0 to 100
+ * @returns {number}
+ */
+function getPercentile(sorted, percentile) {
+  return sorted[Math.max(Math.ceil((percentile / 100) * sorted.length) - 1, 0)];
+}
+
+/**
+ * Summarize collected metric values
+ * @param {Object<string, number[]>} values - Values per metric
+ * @returns {Object<string, {samples: number, p50: ?number, p75: ?number, p95: ?number}>}
+ */
+function summarize(values) {
+  return Object.fromEntries(WEB_VITALS.map(name => {
+    const sorted = values[name].sort((a, b) => a - b);
+    const round = value => name === 'cls' ? Math.round(value * 10000) / 10000 : Math.round(value);
+
+    return [name, {
+      samples: sorted.length,
+      ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, sorted.length ? round(getPercentile(sorted, p)) : null]))
+    }];
+  }));
+}
+
+/**
+ * Report p50, p75 and p95 of each Web Vital, overall, per page and per device class
+ * @param {Array<{type: string, properties: Object, device: ?string}>} records - web_vitals event records
+ * @param {number} [limit=10] - Number of pages to return
+ * @returns {{pageLoads: number, metrics: Object, pages: Array<{page: string, pageLoads: number, metrics: Object}>,
+ *   devices: Array<{device: string, pageLoads: number, metrics: Object}>}}
+ *   Times in ms and CLS unitless; pages and devices with the most page loads first
+ */
+export function buildWebVitals(records, limit = 10) {
+  const create = () => ({ pageLoads: 0, values: Object.fromEntries(WEB_VITALS.map(name => [name, []])) });
+  const total = create();
+  const pages = new Map();
+  const devices = new Map();
+
+  for (const record of records) {
+    if (record.type !== WEB_VITALS_EVENT) continue;
+
+    const metrics = WEB_VITALS
+      .map(name => [name, readNumber(record.properties[name], { min: 0, max: name === 'cls' ? MAX_CLS : MAX_TIME })])
+      .filter(([, value]) => value !== null);
+    if (metrics.length === 0) continue;
+
+    const groups = [total];
+    // Events without a page URL or a classified user agent only count overall
+    for (const [map, key] of [[pages, getDimensionValue(record, 'page')], [devices, record.device ?? null]]) {
+      if (key === null) continue;
+      if (!map.has(key)) map.set(key, create());
+      groups.push(map.get(key));
+    }
+
+    for (const group of groups) {
+      group.pageLoads++;
+      for (const [name, value] of metrics) {
+        group.values[name].push(value);
+      }
+    }
+  }
+
+  const rank = (map, field, count) => [...map.entries()]
+    .sort((a, b) => b[1].pageLoads - a[1].pageLoads || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([key, group]) => ({ [field]: key, pageLoads: group.pageLoads, metrics: summarize(group.values) }));
+
+  return {
+    pageLoads: total.pageLoads,
+    metrics: summarize(total.values),
+    pages: rank(pages, 'page', limit),
+    devices: rank(devices, 'device', devices.size)
+  };
+}
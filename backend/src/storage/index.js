@@ -0,0 +1,71 @@
+/**
+ * Storage adapters
+ *
+ * DatabaseService and the services built on it keep all analysis in
+ * JavaScript and only read and write records through an adapter, so any
+ * backend that implements the methods below can be plugged in. Adapters get
+ * already sanitized and encrypted records and return plain objects with a
+ * string `id` and Date fields.
+ *
+ * Events:
+ * - insertEvent(record) → stored event
+ * - insertEvents(records) → number stored
+ * - findEvents(query: EventQuery) → stored events in insertion order
+ * - deleteEventsByIds(ids) → number deleted
+ * - deleteEventsBefore(siteId, cutoff) → number deleted
+ *
+ * Sites (create throws "already exists"; update and delete throw "Site not found";
+ *   delete also removes the site's events, rollups and orders):
+ * - createSite(data), getSite(siteId), listSites(), updateSite(siteId, data), deleteSite(siteId)
+ *
+ * Visitor salts: getSalt(day), createSalt(day, salt), deleteSaltsBefore(day)
+ * Data subject requests: createDataSubjectRequest(data), listDataSubjectRequests(siteId, limit)
+ * Audit log (append-only): appendAuditEntry(data), listAuditEntries(siteId, {action, actor, start, end, cursor, limit})
+ * Bot traffic counts: incrementFilteredTraffic({siteId, day, reason, action}, count),
+ *   listFilteredTraffic(siteId, startDay, endDay)
+ * Rollups (see services/rollups.js), by bucket start with the end exclusive:
+ *   replaceRollups(siteId, start, end, rollups, visitorRollups),
+ *   findRollups({siteId, interval, start, end, types}), findVisitorRollups({siteId, interval, start, end})
+ * Orders (create throws "already exists" for a repeated siteId and orderId):
+ *   createOrder(data), deleteOrder(siteId, orderId), findOrders({siteId, start, end})
+ * Lifecycle: close()
+ */
+
+import { MongoStorage } from './mongodb';
+import { SqliteStorage } from './sqlite';
+import { MemoryStorage } from './memory';
+
+export const STORAGE_ADAPTERS = ['mongodb', 'sqlite', 'memory'];
+
+/**
+ * Create a storage adapter
+ * @param {Object} [options]
+ * @param {string} [options.adapter] - mongodb, sqlite or memory; defaults to STORAGE, then mongodb
+ * @param {string} [options.sqlitePath] - SQLite file; defaults to SQLITE_PATH, then data/simplitics.db
+ * @returns {MongoStorage|SqliteStorage|MemoryStorage} Storage adapter
+ * @throws {Error} If the adapter is not supported
+ */
+export function createStorage({
+  adapter = process.env.STORAGE || 'mongodb',
+  sqlitePath = process.env.SQLITE_PATH
+} = {}) {
+  if (adapter === 'mongodb') return new MongoStorage();
+  if (adapter === 'sqlite') return new SqliteStorage({ path: sqlitePath });
+  if (adapter === 'memory') return new MemoryStorage();
+
+  throw new Error(`Invalid storage adapter: must be one of ${STORAGE_ADAPTERS.join(', ')}`);
+}
+
+let shared = null;
+
+/**
+ * Get the adapter shared by every DatabaseService, creating it from the
+ * environment on first use
+ * @returns {MongoStorage|SqliteStorage|MemoryStorage} Storage adapter
+ */
+export function getStorage() {
+  if (!shared) {
+    shared = createStorage();
+  }
+  return shared;
+}
@@ -0,0 +1,228 @@
+/**
+ * In-memory storage adapter
+ * Keeps everything in process memory; for tests, demos and single-process
+ * setups that can afford to lose data on restart.
+ */
+
+import { matchesEventQuery, pickDefined } from './query';
+
+export class MemoryStorage {
+  constructor() {
+    this.nextId = 1;
+    this.events = [];
+    this.sites = new Map();
+    this.salts = new Map();
+    this.dataSubjectRequests = [];
+    this.auditEntries = [];
+    this.filteredTraffic = new Map();
+    this.rollups = [];
+    this.visitorRollups = [];
+    this.orders = new Map();
+  }
+
+  /**
+   * Allocate a record ID; IDs increase in insertion order
+   * @returns {string} ID
+   */
+  createId() {
+    return String(this.nextId++);
+  }
+
+  async insertEvent(record) {
+    const event = { id: this.createId(), ...record, createdAt: new Date() };
+    this.events.push(event);
+    return { ...event };
+  }
+
+  async insertEvents(records) {
+    for (const record of records) {
+      await this.insertEvent(record);
+    }
+    return records.length;
+  }
+
+  async findEvents(query) {
+    let events = this.events;
+    if (query.cursor) {
+      const index = events.findIndex(event => event.id === query.cursor);
+      events = events.slice(index + 1);
+    }
+
+    const found = [];
+    for (const event of events) {
+      if (found.length === query.limit) break;
+      if (matchesEventQuery(event, query)) found.push({ ...event });
+    }
+    return found;
+  }
+
+  async deleteEventsByIds(ids) {
+    const remove = new Set(ids);
+    const before = this.events.length;
+    this.events = this.events.filter(event => !remove.has(event.id));
+    return before - this.events.length;
+  }
+
+  async deleteEventsBefore(siteId, cutoff) {
+    const before = this.events.length;
+    this.events = this.events.filter(event => event.siteId !== siteId || event.timestamp >= cutoff);
+    return before - this.events.length;
+  }
+
+  async createSite(data) {
+    if (this.sites.has(data.siteId)) {
+      throw new Error(`Site ${data.siteId} already exists`);
+    }
+
+    const now = new Date();
+    const site = { id: this.createId(), retentionDays: 30, ...data, createdAt: now, updatedAt: now };
+    this.sites.set(site.siteId, site);
+    return { ...site };
+  }
+
+  async getSite(siteId) {
+    const site = this.sites.get(siteId);
+    return site ? { ...site } : null;
+  }
+
+  async listSites() {
+    return [...this.sites.values()].map(site => ({ ...site }));
+  }
+
+  async updateSite(siteId, data) {
+    const site = this.sites.get(siteId);
+    if (!site) {
+      throw new Error('Site not found');
+    }
+
+    Object.assign(site, pickDefined(data), { updatedAt: new Date() });
+    return { ...site };
+  }
+
+  async deleteSite(siteId) {
+    if (!this.sites.delete(siteId)) {
+      throw new Error('Site not found');
+    }
+    this.events = this.events.filter(event => event.siteId !== siteId);
+    this.rollups = this.rollups.filter(row => row.siteId !== siteId);
+    this.visitorRollups = this.visitorRollups.filter(row => row.siteId !== siteId);
+    for (const [key, order] of this.orders) {
+      if (order.siteId === siteId) this.orders.delete(key);
+    }
+  }
+
+  async getSalt(day) {
+    return this.salts.get(day) || null;
+  }
+
+  async createSalt(day, salt) {
+    if (this.salts.has(day)) {
+      throw new Error(`Salt for ${day} already exists`);
+    }
+
+    const record = { id: this.createId(), day, salt, createdAt: new Date() };
+    this.salts.set(day, record);
+    return record;
+  }
+
+  async deleteSaltsBefore(day) {
+    for (const key of this.salts.keys()) {
+      if (key < day) this.salts.delete(key);
+    }
+  }
+
+  async createDataSubjectRequest(data) {
+    const request = { id: this.createId(), ...data, createdAt: new Date() };
+    this.dataSubjectRequests.push(request);
+    return { ...request };
+  }
+
+  async listDataSubjectRequests(siteId, limit) {
+    return this.dataSubjectRequests
+      .filter(request => request.siteId === siteId)
+      .reverse()
+      .slice(0, limit)
+      .map(request => ({ ...request }));
+  }
+
+  async appendAuditEntry(data) {
+    const entry = { id: this.createId(), ...data, createdAt: new Date() };
+    this.auditEntries.push(entry);
+    return { ...entry };
+  }
+
+  async listAuditEntries(siteId, { action, actor, start, end, cursor, limit }) {
+    let entries = [...this.auditEntries].reverse();
+    if (cursor) {
+      entries = entries.slice(entries.findIndex(entry => entry.id === cursor) + 1);
+    }
+
+    return entries
+      .filter(entry => entry.siteId === siteId &&
+        (!action || entry.action === action) &&
+        (!actor || entry.actor === actor) &&
+        (!start || entry.createdAt >= start) &&
+        (!end || entry.createdAt <= end))
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+
+  async incrementFilteredTraffic(key, count) {
+    const id = [key.siteId, key.day, key.reason, key.action].join('\u0000');
+    const row = this.filteredTraffic.get(id) || { ...key, count: 0 };
+    row.count += count;
+    this.filteredTraffic.set(id, row);
+  }
+
+  async listFilteredTraffic(siteId, startDay, endDay) {
+    return [...this.filteredTraffic.values()]
+      .filter(row => row.siteId === siteId && row.day >= startDay && row.day <= endDay)
+      .map(row => ({ ...row }));
+  }
+
+  async replaceRollups(siteId, start, end, rollups, visitorRollups) {
+    const outside = row => row.siteId !== siteId || row.bucket < start || row.bucket >= end;
+
+    this.rollups = this.rollups.filter(outside)
+      .concat(rollups.map(row => ({ id: this.createId(), ...row })));
+    this.visitorRollups = this.visitorRollups.filter(outside)
+      .concat(visitorRollups.map(row => ({ id: this.createId(), ...row })));
+  }
+
+  async findRollups({ siteId, interval, start, end, types }) {
+    return this.rollups
+      .filter(row => row.siteId === siteId && row.interval === interval &&
+        row.bucket >= start && row.bucket < end &&
+        (!types || types.includes(row.type)))
+      .map(row => ({ ...row }));
+  }
+
+  async findVisitorRollups({ siteId, interval, start, end }) {
+    return this.visitorRollups
+      .filter(row => row.siteId === siteId && row.interval === interval && row.bucket >= start && row.bucket < end)
+      .map(row => ({ ...row }));
+  }
+
+  async createOrder(data) {
+    const key = `${data.siteId}\u0000${data.orderId}`;
+    if (this.orders.has(key)) {
+      throw new Error(`Order ${data.orderId} already exists`);
+    }
+
+    const order = { id: this.createId(), ...data, createdAt: new Date() };
+    this.orders.set(key, order);
+    return { ...order };
+  }
+
+  async deleteOrder(siteId, orderId) {
+    this.orders.delete(`${siteId}\u0000${orderId}`);
+  }
+
+  async findOrders({ siteId, start, end }) {
+    return [...this.orders.values()]
+      .filter(order => order.siteId === siteId && order.timestamp >= start && order.timestamp <= end)
+      .map(order => ({ ...order }));
+  }
+
+  async close() {}
+}
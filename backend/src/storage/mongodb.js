@@ -0,0 +1,232 @@
+/**
+ * MongoDB storage adapter, through Prisma (see prisma/schema.prisma)
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { pickDefined } from './query';
+
+/**
+ * Turn an event query into a Prisma filter
+ * @param {import('./query').EventQuery} query - Event query
+ * @returns {Object} Prisma where clause
+ */
+function toEventWhere(query) {
+  return {
+    siteId: query.siteId,
+    ...((query.start || query.end) && {
+      timestamp: {
+        ...(query.start && { gte: query.start }),
+        ...(query.end && { lte: query.end })
+      }
+    }),
+    ...(query.types && { type: { in: query.types } }),
+    ...(query.search && { properties: { contains: query.search } }),
+    ...(query.withSession && { sessionId: { not: null } }),
+    // Events stored before bot filtering have no bot field at all
+    ...(!query.includeBots && { OR: [{ bot: null }, { bot: { isSet: false } }] })
+  };
+}
+
+/**
+ * Check whether a Prisma error is a unique constraint violation
+ * @param {Error} error - Prisma error
+ * @returns {boolean}
+ */
+function isUniqueViolation(error) {
+  return error?.code === 'P2002';
+}
+
+export class MongoStorage {
+  /**
+   * @param {Object} [options]
+   * @param {PrismaClient} [options.prisma] - Client to use, defaults to a new one for DATABASE_URL
+   */
+  constructor({ prisma } = {}) {
+    this.prisma = prisma || new PrismaClient();
+  }
+
+  async insertEvent(record) {
+    return this.prisma.event.create({ data: record });
+  }
+
+  async insertEvents(records) {
+    const { count } = await this.prisma.event.createMany({ data: records });
+    return count;
+  }
+
+  async findEvents(query) {
+    return this.prisma.event.findMany({
+      where: toEventWhere(query),
+      orderBy: { id: 'asc' },
+      ...(query.limit && { take: query.limit }),
+      ...(query.cursor && { cursor: { id: query.cursor }, skip: 1 })
+    });
+  }
+
+  async deleteEventsByIds(ids) {
+    const { count } = await this.prisma.event.deleteMany({ where: { id: { in: ids } } });
+    return count;
+  }
+
+  async deleteEventsBefore(siteId, cutoff) {
+    const { count } = await this.prisma.event.deleteMany({
+      where: { siteId, timestamp: { lt: cutoff } }
+    });
+    return count;
+  }
+
+  async createSite(data) {
+    try {
+      return await this.prisma.site.create({ data });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new Error(`Site ${data.siteId} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async getSite(siteId) {
+    return this.prisma.site.findUnique({ where: { siteId } });
+  }
+
+  async listSites() {
+    return this.prisma.site.findMany();
+  }
+
+  async updateSite(siteId, data) {
+    const site = await this.getSite(siteId);
+    if (!site) {
+      throw new Error('Site not found');
+    }
+
+    return this.prisma.site.update({ where: { siteId }, data: pickDefined(data) });
+  }
+
+  async deleteSite(siteId) {
+    const site = await this.getSite(siteId);
+    if (!site) {
+      throw new Error('Site not found');
+    }
+
+    await this.prisma.event.deleteMany({ where: { siteId } });
+    await this.prisma.rollup.deleteMany({ where: { siteId } });
+    await this.prisma.visitorRollup.deleteMany({ where: { siteId } });
+    await this.prisma.order.deleteMany({ where: { siteId } });
+    await this.prisma.site.delete({ where: { siteId } });
+  }
+
+  async getSalt(day) {
+    return this.prisma.visitorSalt.findUnique({ where: { day } });
+  }
+
+  async createSalt(day, salt) {
+    return this.prisma.visitorSalt.create({ data: { day, salt } });
+  }
+
+  async deleteSaltsBefore(day) {
+    await this.prisma.visitorSalt.deleteMany({ where: { day: { lt: day } } });
+  }
+
+  async createDataSubjectRequest(data) {
+    return this.prisma.dataSubjectRequest.create({ data });
+  }
+
+  async listDataSubjectRequests(siteId, limit) {
+    return this.prisma.dataSubjectRequest.findMany({
+      where: { siteId },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  async appendAuditEntry(data) {
+    return this.prisma.auditLog.create({ data });
+  }
+
+  async listAuditEntries(siteId, { action, actor, start, end, cursor, limit }) {
+    return this.prisma.auditLog.findMany({
+      where: {
+        siteId,
+        ...(action && { action }),
+        ...(actor && { actor }),
+        ...((start || end) && {
+          createdAt: {
+            ...(start && { gte: start }),
+            ...(end && { lte: end })
+          }
+        })
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+  }
+
+  async incrementFilteredTraffic(key, count) {
+    await this.prisma.filteredTraffic.upsert({
+      where: { siteId_day_reason_action: key },
+      create: { ...key, count },
+      update: { count: { increment: count } }
+    });
+  }
+
+  async listFilteredTraffic(siteId, startDay, endDay) {
+    return this.prisma.filteredTraffic.findMany({
+      where: { siteId, day: { gte: startDay, lte: endDay } }
+    });
+  }
+
+  async replaceRollups(siteId, start, end, rollups, visitorRollups) {
+    const where = { siteId, bucket: { gte: start, lt: end } };
+
+    await this.prisma.$transaction([
+      this.prisma.rollup.deleteMany({ where }),
+      this.prisma.rollup.createMany({ data: rollups }),
+      this.prisma.visitorRollup.deleteMany({ where }),
+      this.prisma.visitorRollup.createMany({ data: visitorRollups })
+    ]);
+  }
+
+  async findRollups({ siteId, interval, start, end, types }) {
+    return this.prisma.rollup.findMany({
+      where: {
+        siteId,
+        interval,
+        bucket: { gte: start, lt: end },
+        ...(types && { type: { in: types } })
+      }
+    });
+  }
+
+  async findVisitorRollups({ siteId, interval, start, end }) {
+    return this.prisma.visitorRollup.findMany({
+      where: { siteId, interval, bucket: { gte: start, lt: end } }
+    });
+  }
+
+  async createOrder(data) {
+    try {
+      return await this.prisma.order.create({ data });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new Error(`Order ${data.orderId} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteOrder(siteId, orderId) {
+    await this.prisma.order.deleteMany({ where: { siteId, orderId } });
+  }
+
+  async findOrders({ siteId, start, end }) {
+    return this.prisma.order.findMany({
+      where: { siteId, timestamp: { gte: start, lte: end } }
+    });
+  }
+
+  async close() {
+    await this.prisma.$disconnect();
+  }
+}
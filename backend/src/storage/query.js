@@ -0,0 +1,43 @@
+/**
+ * Query helpers shared by storage adapters
+ */
+
+/**
+ * Which events to read
+ * @typedef {Object} EventQuery
+ * @property {string} siteId - Site ID
+ * @property {Date} [start] - Earliest timestamp, inclusive
+ * @property {Date} [end] - Latest timestamp, inclusive
+ * @property {string[]} [types] - Only these event types
+ * @property {boolean} [includeBots=false] - Also return events flagged as bot traffic
+ * @property {string} [search] - Only events whose stored properties JSON contains this text
+ * @property {boolean} [withSession=false] - Only events with a session ID
+ * @property {string} [cursor] - Only events stored after the event with this ID
+ * @property {number} [limit] - Maximum number of events
+ */
+
+/**
+ * Check an event against the filters of a query. Cursor and limit are left
+ * to the caller.
+ * @param {Object} event - Stored event
+ * @param {EventQuery} query - Event query
+ * @returns {boolean}
+ */
+export function matchesEventQuery(event, query) {
+  return event.siteId === query.siteId &&
+    (!query.start || event.timestamp >= query.start) &&
+    (!query.end || event.timestamp <= query.end) &&
+    (!query.types || query.types.includes(event.type)) &&
+    (query.includeBots || !event.bot) &&
+    (!query.search || event.properties.includes(query.search)) &&
+    (!query.withSession || Boolean(event.sessionId));
+}
+
+/**
+ * Drop undefined fields, so partial updates leave them unchanged
+ * @param {Object} data - Update data
+ * @returns {Object} Defined fields
+ */
+export function pickDefined(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
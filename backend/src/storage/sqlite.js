@@ -0,0 +1,470 @@
+/**
+ * SQLite storage adapter, on bun:sqlite
+ *
+ * Uses the table layout of the original Prisma SQLite schema (see
+ * scripts/migrate-to-mongodb.js), so existing SQLite databases open as they
+ * are; tables and columns added since are created on open. Dates are stored
+ * as epoch milliseconds.
+ */
+
+import { Database } from 'bun:sqlite';
+import crypto from 'crypto';
+import { pickDefined } from './query';
+
+// Columns per table, in order; dates are converted to and from epoch ms
+const TABLES = {
+  Event: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      siteId: 'TEXT NOT NULL',
+      type: 'TEXT NOT NULL',
+      properties: 'TEXT NOT NULL',
+      timestamp: 'DATETIME NOT NULL',
+      ip: 'TEXT',
+      userAgent: 'TEXT',
+      sessionId: 'TEXT',
+      visitorId: 'TEXT',
+      bot: 'TEXT',
+      browser: 'TEXT',
+      browserVersion: 'TEXT',
+      os: 'TEXT',
+      device: 'TEXT',
+      country: 'TEXT',
+      region: 'TEXT',
+      createdAt: 'DATETIME NOT NULL',
+      updatedAt: 'DATETIME NOT NULL'
+    },
+    dates: ['timestamp', 'createdAt', 'updatedAt'],
+    indexes: [
+      'CREATE INDEX IF NOT EXISTS "Event_siteId_type_idx" ON "Event"("siteId", "type")',
+      'CREATE INDEX IF NOT EXISTS "Event_timestamp_idx" ON "Event"("timestamp")',
+      'CREATE INDEX IF NOT EXISTS "Event_siteId_visitorId_idx" ON "Event"("siteId", "visitorId")'
+    ]
+  },
+  Site: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      siteId: 'TEXT NOT NULL',
+      name: 'TEXT NOT NULL',
+      domain: 'TEXT',
+      createdAt: 'DATETIME NOT NULL',
+      updatedAt: 'DATETIME NOT NULL',
+      settings: 'TEXT NOT NULL',
+      apiKey: 'TEXT NOT NULL',
+      retentionDays: 'INTEGER NOT NULL DEFAULT 30',
+      rollupsUntil: 'DATETIME'
+    },
+    dates: ['createdAt', 'updatedAt', 'rollupsUntil'],
+    indexes: [
+      'CREATE UNIQUE INDEX IF NOT EXISTS "Site_siteId_key" ON "Site"("siteId")',
+      'CREATE UNIQUE INDEX IF NOT EXISTS "Site_apiKey_key" ON "Site"("apiKey")'
+    ]
+  },
+  VisitorSalt: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      day: 'TEXT NOT NULL',
+      salt: 'TEXT NOT NULL',
+      createdAt: 'DATETIME NOT NULL'
+    },
+    dates: ['createdAt'],
+    indexes: ['CREATE UNIQUE INDEX IF NOT EXISTS "VisitorSalt_day_key" ON "VisitorSalt"("day")']
+  },
+  DataSubjectRequest: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      siteId: 'TEXT NOT NULL',
+      action: 'TEXT NOT NULL',
+      subjectType: 'TEXT NOT NULL',
+      subject: 'TEXT NOT NULL',
+      eventCount: 'INTEGER NOT NULL',
+      createdAt: 'DATETIME NOT NULL'
+    },
+    dates: ['createdAt'],
+    indexes: ['CREATE INDEX IF NOT EXISTS "DataSubjectRequest_siteId_createdAt_idx" ON "DataSubjectRequest"("siteId", "createdAt")']
+  },
+  AuditLog: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      siteId: 'TEXT NOT NULL',
+      actor: 'TEXT NOT NULL',
+      action: 'TEXT NOT NULL',
+      target: 'TEXT NOT NULL',
+      before: 'TEXT',
+      after: 'TEXT',
+      createdAt: 'DATETIME NOT NULL'
+    },
+    dates: ['createdAt'],
+    indexes: ['CREATE INDEX IF NOT EXISTS "AuditLog_siteId_createdAt_idx" ON "AuditLog"("siteId", "createdAt")']
+  },
+  FilteredTraffic: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      siteId: 'TEXT NOT NULL',
+      day: 'TEXT NOT NULL',
+      reason: 'TEXT NOT NULL',
+      action: 'TEXT NOT NULL',
+      count: 'INTEGER NOT NULL DEFAULT 0'
+    },
+    dates: [],
+    indexes: [
+      'CREATE UNIQUE INDEX IF NOT EXISTS "FilteredTraffic_siteId_day_reason_action_key" ON "FilteredTraffic"("siteId", "day", "reason", "action")'
+    ]
+  },
+  Rollup: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      siteId: 'TEXT NOT NULL',
+      interval: 'TEXT NOT NULL',
+      bucket: 'DATETIME NOT NULL',
+      type: 'TEXT NOT NULL',
+      page: 'TEXT',
+      referrer: 'TEXT NOT NULL',
+      count: 'INTEGER NOT NULL',
+      sessions: 'INTEGER NOT NULL'
+    },
+    dates: ['bucket'],
+    indexes: ['CREATE INDEX IF NOT EXISTS "Rollup_siteId_interval_bucket_idx" ON "Rollup"("siteId", "interval", "bucket")']
+  },
+  VisitorRollup: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      siteId: 'TEXT NOT NULL',
+      interval: 'TEXT NOT NULL',
+      bucket: 'DATETIME NOT NULL',
+      visitors: 'INTEGER NOT NULL',
+      sessions: 'INTEGER NOT NULL',
+      bounces: 'INTEGER NOT NULL',
+      duration: 'INTEGER NOT NULL'
+    },
+    dates: ['bucket'],
+    indexes: ['CREATE INDEX IF NOT EXISTS "VisitorRollup_siteId_interval_bucket_idx" ON "VisitorRollup"("siteId", "interval", "bucket")']
+  },
+  Order: {
+    columns: {
+      id: 'TEXT NOT NULL PRIMARY KEY',
+      siteId: 'TEXT NOT NULL',
+      orderId: 'TEXT NOT NULL',
+      amount: 'REAL NOT NULL',
+      currency: 'TEXT NOT NULL',
+      items: 'TEXT NOT NULL',
+      timestamp: 'DATETIME NOT NULL',
+      createdAt: 'DATETIME NOT NULL'
+    },
+    dates: ['timestamp', 'createdAt'],
+    indexes: [
+      'CREATE UNIQUE INDEX IF NOT EXISTS "Order_siteId_orderId_key" ON "Order"("siteId", "orderId")',
+      'CREATE INDEX IF NOT EXISTS "Order_siteId_timestamp_idx" ON "Order"("siteId", "timestamp")'
+    ]
+  }
+};
+
+export class SqliteStorage {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path='data/simplitics.db'] - Database file, or :memory:
+   */
+  constructor({ path = 'data/simplitics.db' } = {}) {
+    this.db = new Database(path, { create: true });
+    this.db.exec('PRAGMA journal_mode = WAL');
+    this.migrate();
+  }
+
+  /**
+   * Create missing tables, columns and indexes
+   */
+  migrate() {
+    for (const [table, { columns, indexes }] of Object.entries(TABLES)) {
+      const definitions = Object.entries(columns).map(([name, type]) => `"${name}" ${type}`);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS "${table}" (${definitions.join(', ')})`);
+
+      const existing = new Set(this.db.query(`PRAGMA table_info("${table}")`).all().map(column => column.name));
+      for (const [name, type] of Object.entries(columns)) {
+        if (!existing.has(name)) {
+          // Added columns can't be NOT NULL without a default
+          this.db.exec(`ALTER TABLE "${table}" ADD COLUMN "${name}" ${type.replace(' NOT NULL', '')}`);
+        }
+      }
+
+      indexes.forEach(index => this.db.exec(index));
+    }
+  }
+
+  /**
+   * Insert a row
+   * @param {string} table - Table name
+   * @param {Object} data - Row data, without an ID
+   * @returns {Object} Inserted row
+   */
+  insert(table, data) {
+    const row = { id: crypto.randomUUID(), ...data };
+    const names = Object.keys(row).filter(name => name in TABLES[table].columns);
+
+    this.db.query(`INSERT INTO "${table}" (${names.map(name => `"${name}"`).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`)
+      .run(...names.map(name => toValue(row[name])));
+    return row;
+  }
+
+  /**
+   * Select rows and convert their dates
+   * @param {string} table - Table name
+   * @param {string} sql - Query
+   * @param {Array} [params] - Query parameters
+   * @returns {Object[]} Rows
+   */
+  select(table, sql, params = []) {
+    const { dates } = TABLES[table];
+    return this.db.query(sql).all(...params.map(toValue)).map(row => {
+      for (const name of dates) {
+        if (row[name] !== null && row[name] !== undefined) row[name] = new Date(row[name]);
+      }
+      return row;
+    });
+  }
+
+  async insertEvent(record) {
+    const now = new Date();
+    return this.insert('Event', { ...record, createdAt: now, updatedAt: now });
+  }
+
+  async insertEvents(records) {
+    const now = new Date();
+    this.db.transaction(() => {
+      records.forEach(record => this.insert('Event', { ...record, createdAt: now, updatedAt: now }));
+    })();
+    return records.length;
+  }
+
+  async findEvents(query) {
+    const conditions = ['"siteId" = ?'];
+    const params = [query.siteId];
+
+    if (query.start) {
+      conditions.push('"timestamp" >= ?');
+      params.push(query.start);
+    }
+    if (query.end) {
+      conditions.push('"timestamp" <= ?');
+      params.push(query.end);
+    }
+    if (query.types) {
+      conditions.push(`"type" IN (${query.types.map(() => '?').join(', ') || 'NULL'})`);
+      params.push(...query.types);
+    }
+    if (!query.includeBots) {
+      conditions.push('"bot" IS NULL');
+    }
+    if (query.search) {
+      conditions.push('instr("properties", ?) > 0');
+      params.push(query.search);
+    }
+    if (query.withSession) {
+      conditions.push('"sessionId" IS NOT NULL');
+    }
+    if (query.cursor) {
+      conditions.push('rowid > (SELECT rowid FROM "Event" WHERE "id" = ?)');
+      params.push(query.cursor);
+    }
+
+    const limit = query.limit ? ` LIMIT ${Number(query.limit)}` : '';
+    return this.select('Event', `SELECT * FROM "Event" WHERE ${conditions.join(' AND ')} ORDER BY rowid${limit}`, params);
+  }
+
+  async deleteEventsByIds(ids) {
+    if (ids.length === 0) return 0;
+
+    return this.db.query(`DELETE FROM "Event" WHERE "id" IN (${ids.map(() => '?').join(', ')})`).run(...ids).changes;
+  }
+
+  async deleteEventsBefore(siteId, cutoff) {
+    return this.db.query('DELETE FROM "Event" WHERE "siteId" = ? AND "timestamp" < ?')
+      .run(siteId, toValue(cutoff)).changes;
+  }
+
+  async createSite(data) {
+    if (await this.getSite(data.siteId)) {
+      throw new Error(`Site ${data.siteId} already exists`);
+    }
+
+    const now = new Date();
+    return this.insert('Site', { retentionDays: 30, ...data, createdAt: now, updatedAt: now });
+  }
+
+  async getSite(siteId) {
+    return this.select('Site', 'SELECT * FROM "Site" WHERE "siteId" = ?', [siteId])[0] || null;
+  }
+
+  async listSites() {
+    return this.select('Site', 'SELECT * FROM "Site" ORDER BY rowid');
+  }
+
+  async updateSite(siteId, data) {
+    const changes = { ...pickDefined(data), updatedAt: new Date() };
+    const names = Object.keys(changes).filter(name => name in TABLES.Site.columns);
+
+    const { changes: updated } = this.db.query(`UPDATE "Site" SET ${names.map(name => `"${name}" = ?`).join(', ')} WHERE "siteId" = ?`)
+      .run(...names.map(name => toValue(changes[name])), siteId);
+    if (updated === 0) {
+      throw new Error('Site not found');
+    }
+    return this.getSite(siteId);
+  }
+
+  async deleteSite(siteId) {
+    this.db.transaction(() => {
+      const { changes } = this.db.query('DELETE FROM "Site" WHERE "siteId" = ?').run(siteId);
+      if (changes === 0) {
+        throw new Error('Site not found');
+      }
+      this.db.query('DELETE FROM "Event" WHERE "siteId" = ?').run(siteId);
+      this.db.query('DELETE FROM "Rollup" WHERE "siteId" = ?').run(siteId);
+      this.db.query('DELETE FROM "VisitorRollup" WHERE "siteId" = ?').run(siteId);
+      this.db.query('DELETE FROM "Order" WHERE "siteId" = ?').run(siteId);
+    })();
+  }
+
+  async getSalt(day) {
+    return this.select('VisitorSalt', 'SELECT * FROM "VisitorSalt" WHERE "day" = ?', [day])[0] || null;
+  }
+
+  async createSalt(day, salt) {
+    return this.insert('VisitorSalt', { day, salt, createdAt: new Date() });
+  }
+
+  async deleteSaltsBefore(day) {
+    this.db.query('DELETE FROM "VisitorSalt" WHERE "day" < ?').run(day);
+  }
+
+  async createDataSubjectRequest(data) {
+    return this.insert('DataSubjectRequest', { ...data, createdAt: new Date() });
+  }
+
+  async listDataSubjectRequests(siteId, limit) {
+    return this.select(
+      'DataSubjectRequest',
+      'SELECT * FROM "DataSubjectRequest" WHERE "siteId" = ? ORDER BY rowid DESC LIMIT ?',
+      [siteId, limit]
+    );
+  }
+
+  async appendAuditEntry(data) {
+    return this.insert('AuditLog', { ...data, createdAt: new Date() });
+  }
+
+  async listAuditEntries(siteId, { action, actor, start, end, cursor, limit }) {
+    const conditions = ['"siteId" = ?'];
+    const params = [siteId];
+
+    if (action) {
+      conditions.push('"action" = ?');
+      params.push(action);
+    }
+    if (actor) {
+      conditions.push('"actor" = ?');
+      params.push(actor);
+    }
+    if (start) {
+      conditions.push('"createdAt" >= ?');
+      params.push(start);
+    }
+    if (end) {
+      conditions.push('"createdAt" <= ?');
+      params.push(end);
+    }
+    if (cursor) {
+      conditions.push('rowid < (SELECT rowid FROM "AuditLog" WHERE "id" = ?)');
+      params.push(cursor);
+    }
+
+    return this.select(
+      'AuditLog',
+      `SELECT * FROM "AuditLog" WHERE ${conditions.join(' AND ')} ORDER BY rowid DESC LIMIT ?`,
+      [...params, limit]
+    );
+  }
+
+  async incrementFilteredTraffic(key, count) {
+    this.db.query(`
+      INSERT INTO "FilteredTraffic" ("id", "siteId", "day", "reason", "action", "count") VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT ("siteId", "day", "reason", "action") DO UPDATE SET "count" = "count" + excluded."count"
+    `).run(crypto.randomUUID(), key.siteId, key.day, key.reason, key.action, count);
+  }
+
+  async listFilteredTraffic(siteId, startDay, endDay) {
+    return this.select(
+      'FilteredTraffic',
+      'SELECT * FROM "FilteredTraffic" WHERE "siteId" = ? AND "day" >= ? AND "day" <= ?',
+      [siteId, startDay, endDay]
+    );
+  }
+
+  async replaceRollups(siteId, start, end, rollups, visitorRollups) {
+    this.db.transaction(() => {
+      for (const [table, rows] of [['Rollup', rollups], ['VisitorRollup', visitorRollups]]) {
+        this.db.query(`DELETE FROM "${table}" WHERE "siteId" = ? AND "bucket" >= ? AND "bucket" < ?`)
+          .run(siteId, toValue(start), toValue(end));
+        rows.forEach(row => this.insert(table, row));
+      }
+    })();
+  }
+
+  async findRollups({ siteId, interval, start, end, types }) {
+    const params = [siteId, interval, start, end];
+    let typeCondition = '';
+    if (types) {
+      typeCondition = ` AND "type" IN (${types.map(() => '?').join(', ') || 'NULL'})`;
+      params.push(...types);
+    }
+
+    return this.select(
+      'Rollup',
+      `SELECT * FROM "Rollup" WHERE "siteId" = ? AND "interval" = ? AND "bucket" >= ? AND "bucket" < ?${typeCondition}`,
+      params
+    );
+  }
+
+  async findVisitorRollups({ siteId, interval, start, end }) {
+    return this.select(
+      'VisitorRollup',
+      'SELECT * FROM "VisitorRollup" WHERE "siteId" = ? AND "interval" = ? AND "bucket" >= ? AND "bucket" < ?',
+      [siteId, interval, start, end]
+    );
+  }
+
+  async createOrder(data) {
+    try {
+      return this.insert('Order', { ...data, createdAt: new Date() });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error(`Order ${data.orderId} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteOrder(siteId, orderId) {
+    this.db.query('DELETE FROM "Order" WHERE "siteId" = ? AND "orderId" = ?').run(siteId, orderId);
+  }
+
+  async findOrders({ siteId, start, end }) {
+    return this.select(
+      'Order',
+      'SELECT * FROM "Order" WHERE "siteId" = ? AND "timestamp" >= ? AND "timestamp" <= ?',
+      [siteId, start, end]
+    );
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Convert a value for SQLite: dates become epoch ms
+ * @param {any} value - Value
+ * @returns {any} SQLite value
+ */
+function toValue(value) {
+  if (value instanceof Date) return value.getTime();
+  return value === undefined ? null : value;
+}
@@ -0,0 +1,89 @@
+/**
+ * Bot and crawler detection
+ * Classifies a request from its raw headers, before the user agent is hashed
+ */
+
+import { parseUserAgent, UNKNOWN } from './userAgent';
+
+export const BOT_FILTERING_MODES = ['drop', 'flag', 'off'];
+export const DEFAULT_BOT_FILTERING = 'drop';
+
+// Known automated clients by category; checked in order, first match wins
+export const BOT_SIGNATURES = [
+  {
+    reason: 'headless',
+    pattern: /headlesschrome|phantomjs|puppeteer|playwright|selenium|webdriver|jsdom|slimerjs/i
+  },
+  {
+    reason: 'crawler',
+    pattern: /googlebot|google-inspectiontool|adsbot-google|mediapartners-google|bingbot|bingpreview|slurp|duckduckbot|baiduspider|yandex(bot|images)|sogou|exabot|applebot|petalbot|seznambot|ahrefsbot|semrushbot|mj12bot|dotbot|rogerbot|bytespider|gptbot|chatgpt-user|ccbot|claudebot|anthropic-ai|perplexitybot|amazonbot|facebookexternalhit|facebookbot|twitterbot|linkedinbot|slackbot|discordbot|telegrambot|whatsapp|pinterestbot|embedly|ia_archiver|archive\.org_bot/i
+  },
+  {
+    reason: 'monitor',
+    pattern: /uptimerobot|pingdom|statuscake|site24x7|newrelicpinger|datadog|checkly|better ?uptime|freshping|hetrixtools|uptime-kuma|nagios|zabbix|monitis|gtmetrix|pagespeed|lighthouse/i
+  },
+  {
+    reason: 'http-client',
+    pattern: /^(curl|wget|httpie|python-requests|python-urllib|python-httpx|aiohttp|axios|node-fetch|undici|got|okhttp|go-http-client|java\/|apache-httpclient|libwww-perl|ruby|faraday|guzzlehttp|postmanruntime|insomnia|scrapy)/i
+  },
+  {
+    // Catch-all for self-declared bots. Device models such as "CUBOT P30"
+    // match it too, so it doesn't apply to recognised browsers
+    reason: 'crawler',
+    pattern: /bot\b|crawl|spider|scraper|fetcher/i,
+    generic: true
+  }
+];
+
+/**
+ * Validate a site's bot filtering mode
+ * @param {string} mode - drop, flag or off
+ * @throws {Error} If the mode is not supported
+ */
+export function validateBotFiltering(mode) {
+  if (!BOT_FILTERING_MODES.includes(mode)) {
+    throw new Error(`Invalid bot filtering: must be one of ${BOT_FILTERING_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Get a site's bot filtering mode from its settings
+ * @param {Object} site - Registered site
+ * @returns {string} drop, flag or off
+ */
+export function getBotFiltering(site) {
+  let settings;
+  try {
+    settings = JSON.parse(site?.settings || '{}');
+  } catch {
+    settings = {};
+  }
+  return BOT_FILTERING_MODES.includes(settings?.botFiltering) ? settings.botFiltering : DEFAULT_BOT_FILTERING;
+}
+
+/**
+ * Classify a request as bot traffic
+ * @param {Headers} headers - Raw request headers
+ * @returns {?string} Why the request looks automated, or null for a likely human
+ */
+export function detectBot(headers) {
+  const userAgent = headers.get('User-Agent') || '';
+  const clientHints = headers.get('Sec-CH-UA') || '';
+
+  const { browser, os } = parseUserAgent(userAgent);
+  const isBrowser = Boolean(browser) && browser !== UNKNOWN && os !== UNKNOWN;
+
+  for (const { reason, pattern, generic } of BOT_SIGNATURES) {
+    if (generic && isBrowser) continue;
+    if (pattern.test(userAgent)) return reason;
+  }
+  if (/headless/i.test(clientHints)) return 'headless';
+
+  // Real browsers send Accept-Language with every request, including beacons;
+  // a browser user agent without it is almost always a script posing as one
+  if (/^Mozilla\/\d/.test(userAgent) && !headers.get('Accept-Language')) {
+    return 'missing-headers';
+  }
+
+  return null;
+}
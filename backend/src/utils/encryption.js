@@ -59,3 +59,23 @@ export async function hash(text) {
     .update(text)
     .digest('hex');
 }
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - First digest
+ * @param {string} b - Second digest
+ * @returns {boolean} Whether the digests match
+ */
+export function safeCompare(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Generate a new raw site API key
+ * @returns {string} API key
+ */
+export function generateApiKey() {
+  return `smp_${crypto.randomBytes(24).toString('hex')}`;
+}
@@ -0,0 +1,64 @@
+/**
+ * User agent classification
+ * Reduces a raw User-Agent to coarse, low-cardinality categories that can be
+ * stored in the clear. The raw string itself is only ever stored hashed.
+ */
+
+export const UNKNOWN = 'Other';
+
+// Checked in order: several browsers also claim to be Chrome or Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /\b(?:Edg|EdgA|EdgiOS|Edge)\/(\d+)/ },
+  { name: 'Opera', pattern: /\b(?:OPR|OPiOS|Opera)\/(\d+)/ },
+  { name: 'Samsung Internet', pattern: /\bSamsungBrowser\/(\d+)/ },
+  { name: 'Yandex', pattern: /\bYaBrowser\/(\d+)/ },
+  { name: 'Vivaldi', pattern: /\bVivaldi\/(\d+)/ },
+  { name: 'Firefox', pattern: /\b(?:Firefox|FxiOS)\/(\d+)/ },
+  { name: 'Chrome', pattern: /\b(?:Chrome|CriOS)\/(\d+)/ },
+  { name: 'Safari', pattern: /\bVersion\/(\d+)[.\d]* (?:Mobile\/\w+ )?Safari\// },
+  { name: 'Internet Explorer', pattern: /\b(?:MSIE |Trident\/.*\brv:)(\d+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT|Windows Phone/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux|X11/ }
+];
+
+/**
+ * Classify a user agent
+ * @param {?string} userAgent - Raw User-Agent header
+ * @returns {{browser: ?string, browserVersion: ?string, os: ?string, device: ?string}}
+ *   Browser family, its major version, OS and device type (desktop, mobile or tablet);
+ *   all null without a user agent
+ */
+export function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return { browser: null, browserVersion: null, os: null, device: null };
+  }
+
+  let browser = UNKNOWN;
+  let browserVersion = null;
+  for (const { name, pattern } of BROWSERS) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      browser = name;
+      browserVersion = match[1];
+      break;
+    }
+  }
+
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent))?.name || UNKNOWN;
+
+  let device = 'desktop';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    device = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Windows Phone/.test(userAgent)) {
+    device = 'mobile';
+  }
+
+  return { browser, browserVersion, os, device };
+}
@@ -0,0 +1,148 @@
+/**
+ * Input validation utilities for incoming events
+ */
+
+const VALID_EVENT_TYPE_PATTERN = /^[a-zA-Z0-9_]+$/;
+const MAX_EVENT_TYPE_LENGTH = 100;
+const MAX_PROPERTIES_COUNT = 100;
+const MAX_ORDER_ID_LENGTH = 100;
+const MAX_ORDER_ITEMS = 100;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+export const MAX_BATCH_SIZE = 100;
+
+// Reserved event type with a validated e-commerce schema
+export const PURCHASE_EVENT = 'purchase';
+
+/**
+ * Validate a single incoming event
+ * @param {Object} event - Event payload
+ * @throws {Error} If the event is invalid
+ */
+export function validateEvent(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    throw new Error('Event must be an object');
+  }
+
+  const { type, properties, timestamp, sessionId, url } = event;
+
+  if (!type || typeof type !== 'string') {
+    throw new Error('Event type must be a non-empty string');
+  }
+
+  if (type.length > MAX_EVENT_TYPE_LENGTH) {
+    throw new Error(`Event type must not exceed ${MAX_EVENT_TYPE_LENGTH} characters`);
+  }
+
+  if (!VALID_EVENT_TYPE_PATTERN.test(type)) {
+    throw new Error('Event type must contain only letters, numbers, and underscores');
+  }
+
+  if (properties !== undefined && properties !== null) {
+    if (typeof properties !== 'object' || Array.isArray(properties)) {
+      throw new Error('Event properties must be an object');
+    }
+    if (Object.keys(properties).length > MAX_PROPERTIES_COUNT) {
+      throw new Error(`Event properties count must not exceed ${MAX_PROPERTIES_COUNT}`);
+    }
+  }
+
+  if (timestamp !== undefined && timestamp !== null && isNaN(new Date(timestamp).getTime())) {
+    throw new Error('Event timestamp is invalid');
+  }
+
+  if (sessionId !== undefined && sessionId !== null && typeof sessionId !== 'string') {
+    throw new Error('Event sessionId must be a string');
+  }
+
+  if (url !== undefined && url !== null && typeof url !== 'string') {
+    throw new Error('Event url must be a string');
+  }
+  if (type === PURCHASE_EVENT) {
+    validatePurchase(properties);
+  }
+}
+
+/**
+ * Read a non-negative amount sent as a number or numeric string
+ * @param {any} value - Amount
+ * @returns {?number} The amount, or null if it isn't one
+ */
+function toAmount(value) {
+  const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof amount === 'number' && Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Validate the properties of a purchase event and return them typed
+ * @param {Object} properties - Purchase properties
+ * @param {string|number} properties.orderId - Order ID, unique per site
+ * @param {number|string} properties.amount - Order total
+ * @param {string} properties.currency - ISO 4217 code, e.g. EUR
+ * @param {Array<{id: string, name?: string, category?: string, price: number, quantity?: number}>} [properties.items]
+ * @returns {{orderId: string, amount: number, currency: string, items: Object[]}} Typed order
+ * @throws {Error} If the purchase doesn't follow the schema
+ */
+export function validatePurchase(properties) {
+  const { orderId, amount, currency, items = [] } = properties || {};
+
+  if ((typeof orderId !== 'string' && typeof orderId !== 'number') || String(orderId).trim() === '' ||
+      String(orderId).length > MAX_ORDER_ID_LENGTH) {
+    throw new Error(`Invalid purchase: orderId must be a string of at most ${MAX_ORDER_ID_LENGTH} characters`);
+  }
+  if (toAmount(amount) === null) {
+    throw new Error('Invalid purchase: amount must be a non-negative number');
+  }
+  if (typeof currency !== 'string' || !CURRENCY_PATTERN.test(currency.toUpperCase())) {
+    throw new Error('Invalid purchase: currency must be a 3-letter ISO 4217 code');
+  }
+  if (!Array.isArray(items) || items.length > MAX_ORDER_ITEMS) {
+    throw new Error(`Invalid purchase: items must be a list of at most ${MAX_ORDER_ITEMS} items`);
+  }
+
+  return {
+    orderId: String(orderId).trim(),
+    amount: toAmount(amount),
+    currency: currency.toUpperCase(),
+    items: items.map((item, i) => {
+      if (!item || typeof item !== 'object' || typeof item.id !== 'string' || item.id === '') {
+        throw new Error(`Invalid purchase: item ${i + 1} needs an id`);
+      }
+      for (const field of ['name', 'category']) {
+        if (item[field] !== undefined && typeof item[field] !== 'string') {
+          throw new Error(`Invalid purchase: item ${i + 1} ${field} must be a string`);
+        }
+      }
+      if (toAmount(item.price) === null) {
+        throw new Error(`Invalid purchase: item ${i + 1} price must be a non-negative number`);
+      }
+      const quantity = item.quantity ?? 1;
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new Error(`Invalid purchase: item ${i + 1} quantity must be a positive integer`);
+      }
+
+      return {
+        id: item.id,
+        ...(item.name !== undefined && { name: item.name }),
+        ...(item.category !== undefined && { category: item.category }),
+        price: toAmount(item.price),
+        quantity
+      };
+    })
+  };
+}
+
+/**
+ * Validate the envelope of a batch request
+ * @param {any} events - Batch payload
+ * @throws {Error} If the batch is not a usable array
+ */
+export function validateBatch(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('Events must be a non-empty array');
+  }
+
+  if (events.length > MAX_BATCH_SIZE) {
+    throw new Error(`Batch size must not exceed ${MAX_BATCH_SIZE} events`);
+  }
+}
@@ -0,0 +1,173 @@
+import { describe, expect, it } from 'bun:test';
+import {
+  buildTimeSeries,
+  getBuckets,
+  getBucketStart,
+  hasWholeHourOffsets,
+  buildBreakdown,
+  readNumber
+} from '../src/services/analytics';
+
+describe('Insights Aggregation', () => {
+  describe('Time Series', () => {
+    const events = [
+      { type: 'pageview', timestamp: new Date('2025-02-08T00:30:00Z') },
+      { type: 'pageview', timestamp: new Date('2025-02-08T02:10:00Z') },
+      { type: 'click', timestamp: new Date('2025-02-08T02:45:00Z') }
+    ];
+
+    it('buckets events by hour and fills empty buckets with zero', () => {
+      const result = buildTimeSeries(events, {
+        start: new Date('2025-02-08T00:00:00Z'),
+        end: new Date('2025-02-08T03:00:00Z'),
+        interval: 'hour'
+      });
+
+      const pageviews = result.series.find(s => s.type === 'pageview');
+      expect(pageviews.points.map(p => p.count)).toEqual([1, 0, 1, 0]);
+      expect(pageviews.points[0].start).toBe('2025-02-08T00:00:00+00:00');
+
+      const clicks = result.series.find(s => s.type === 'click');
+      expect(clicks.points.map(p => p.count)).toEqual([0, 0, 1, 0]);
+    });
+
+    it('buckets days in the requested timezone', () => {
+      const result = buildTimeSeries(events, {
+        start: new Date('2025-02-07T00:00:00Z'),
+        end: new Date('2025-02-08T12:00:00Z'),
+        interval: 'day',
+        timeZone: 'America/New_York'
+      });
+
+      // 2025-02-08T00:30Z and 02:10Z are still Feb 7 in New York
+      const pageviews = result.series.find(s => s.type === 'pageview');
+      expect(pageviews.points.map(p => p.start)).toEqual([
+        '2025-02-06T00:00:00-05:00',
+        '2025-02-07T00:00:00-05:00',
+        '2025-02-08T00:00:00-05:00'
+      ]);
+      expect(pageviews.points.map(p => p.count)).toEqual([0, 2, 0]);
+    });
+
+    it('starts weeks on Monday and months on the first', () => {
+      // 2025-02-08 is a Saturday
+      const ms = new Date('2025-02-08T10:00:00Z').getTime();
+      expect(new Date(getBucketStart(ms, 'week', 'UTC')).toISOString()).toBe('2025-02-03T00:00:00.000Z');
+      expect(new Date(getBucketStart(ms, 'month', 'UTC')).toISOString()).toBe('2025-02-01T00:00:00.000Z');
+    });
+
+    it('handles daylight saving transitions', () => {
+      const buckets = getBuckets(
+        new Date('2025-03-08T12:00:00Z'),
+        new Date('2025-03-10T12:00:00Z'),
+        'day',
+        'America/New_York'
+      );
+      // March 9 is only 23 hours long in New York
+      expect(buckets[1] - buckets[0]).toBe(24 * 60 * 60 * 1000);
+      expect(buckets[2] - buckets[1]).toBe(23 * 60 * 60 * 1000);
+    });
+
+    it('tells zones with partial-hour offsets apart', () => {
+      const start = new Date('2025-01-01T00:00:00Z');
+      const end = new Date('2025-12-31T23:59:59Z');
+      expect(hasWholeHourOffsets('Europe/Amsterdam', start, end)).toBe(true);
+      expect(hasWholeHourOffsets('America/New_York', start, end)).toBe(true);
+      expect(hasWholeHourOffsets('Asia/Kolkata', start, end)).toBe(false);
+      expect(hasWholeHourOffsets('Asia/Kathmandu', start, end)).toBe(false);
+    });
+
+    it('rejects unknown intervals and timezones', () => {
+      const period = { start: new Date(), end: new Date() };
+      expect(() => buildTimeSeries([], { ...period, interval: 'minute' })).toThrow('Invalid interval');
+      expect(() => buildTimeSeries([], { ...period, timeZone: 'Mars/Base' })).toThrow('Invalid timezone');
+    });
+
+    it('refuses periods with too many buckets', () => {
+      expect(() => getBuckets(
+        new Date('2020-01-01T00:00:00Z'),
+        new Date('2025-01-01T00:00:00Z'),
+        'hour',
+        'UTC'
+      )).toThrow('Too many buckets');
+    });
+  });
+
+  describe('Breakdowns', () => {
+    // Stored values are HTML-escaped by sanitizeInput
+    const records = [
+      { type: 'pageview', properties: { url: 'https:&#x2F;&#x2F;example.com&#x2F;pricing?plan=pro', referrer: 'https:&#x2F;&#x2F;google.com&#x2F;' }, sessionId: 's1' },
+      { type: 'pageview', properties: { url: 'https:&#x2F;&#x2F;example.com&#x2F;pricing', referrer: '' }, sessionId: 's1' },
+      { type: 'pageview', properties: { url: 'https:&#x2F;&#x2F;example.com&#x2F;pricing', referrer: 'https:&#x2F;&#x2F;news.ycombinator.com&#x2F;item' }, sessionId: 's2' },
+      { type: 'pageview', properties: { url: 'https:&#x2F;&#x2F;example.com&#x2F;', referrer: 'https:&#x2F;&#x2F;google.com&#x2F;search' }, sessionId: null },
+      { type: 'signup', properties: { plan: 'pro' }, sessionId: 's2' },
+      { type: 'signup', properties: { plan: 'free' }, sessionId: 's3' },
+      { type: 'signup', properties: { plan: 'pro' }, sessionId: 's4' }
+    ];
+
+    it('ranks pages by path with unique sessions', () => {
+      const pages = buildBreakdown(records.filter(r => r.type === 'pageview'), 'page');
+      expect(pages).toEqual([
+        { value: '/pricing', count: 3, sessions: 2 },
+        { value: '/', count: 1, sessions: 0 }
+      ]);
+    });
+
+    it('ranks referrer domains, counting missing referrers as direct', () => {
+      const referrers = buildBreakdown(records.filter(r => r.type === 'pageview'), 'referrer');
+      expect(referrers[0]).toEqual({ value: 'google.com', count: 2, sessions: 1 });
+      expect(referrers.map(r => r.value)).toContain('(direct)');
+    });
+
+    it('ranks values of a named property and applies the limit', () => {
+      const plans = buildBreakdown(records, 'property:plan', 1);
+      expect(plans).toEqual([{ value: 'pro', count: 2, sessions: 2 }]);
+    });
+
+    it('reports property values unescaped', () => {
+      const links = buildBreakdown([
+        { type: 'click', properties: { href: 'https:&#x2F;&#x2F;example.com&#x2F;a?x=1&amp;y=2' }, sessionId: 's1' }
+      ], 'property:href');
+      expect(links).toEqual([{ value: 'https://example.com/a?x=1&y=2', count: 1, sessions: 1 }]);
+    });
+
+    it('ranks user agent categories, skipping unclassified events', () => {
+      const clients = [
+        { properties: {}, sessionId: 's1', browser: 'Chrome', browserVersion: '131', os: 'Android', device: 'mobile' },
+        { properties: {}, sessionId: 's2', browser: 'Chrome', browserVersion: '130', os: 'Windows', device: 'desktop' },
+        { properties: {}, sessionId: 's3', browser: 'Safari', browserVersion: '18', os: 'iOS', device: 'mobile' },
+        { properties: {}, sessionId: 's4' }
+      ];
+
+      expect(buildBreakdown(clients, 'browser')).toEqual([
+        { value: 'Chrome', count: 2, sessions: 2 },
+        { value: 'Safari', count: 1, sessions: 1 }
+      ]);
+      expect(buildBreakdown(clients, 'browserVersion').map(r => r.value)).toEqual(['Chrome 130', 'Chrome 131', 'Safari 18']);
+      expect(buildBreakdown(clients, 'device')[0]).toEqual({ value: 'mobile', count: 2, sessions: 2 });
+      expect(buildBreakdown(clients, 'os')).toHaveLength(3);
+    });
+
+    it('rejects unknown dimensions', () => {
+      expect(() => buildBreakdown(records, 'screen')).toThrow('Invalid breakdown');
+      expect(() => buildBreakdown(records, 'property:bad key')).toThrow('Invalid breakdown');
+    });
+  });
+
+  describe('Numeric Properties', () => {
+    it('reads numbers and escaped numeric strings', () => {
+      expect(readNumber(12.5)).toBe(12.5);
+      expect(readNumber(' 42 ')).toBe(42);
+      expect(readNumber('1e3')).toBe(1000);
+    });
+
+    it('rejects missing, non-numeric and out of range values', () => {
+      for (const value of [undefined, null, '', 'abc', true, {}, Infinity]) {
+        expect(readNumber(value)).toBeNull();
+      }
+      expect(readNumber(-1, { min: 0 })).toBeNull();
+      expect(readNumber('101', { max: 100 })).toBeNull();
+      expect(readNumber(100, { min: 0, max: 100 })).toBe(100);
+    });
+  });
+});
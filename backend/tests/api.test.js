@@ -1,14 +1,18 @@
 import { describe, expect, it, beforeAll, afterAll, beforeEach } from "bun:test";
 import { PrismaClient } from '@prisma/client';
 import { app } from '../src/server';
+import { hash } from '../src/utils/encryption';
+import { DatabaseService } from '../src/services/database';
 
 describe("Simplitics API Endpoints", () => {
   let prisma;
+  let db;
   let testSite;
   let apiKey;
 
   beforeAll(async () => {
     prisma = new PrismaClient();
+    db = new DatabaseService();
 
     // Create a test site
     testSite = await prisma.site.create({
@@ -17,17 +21,21 @@ describe("Simplitics API Endpoints", () => {
         name: 'API Test Site',
         domain: 'apitest.com',
         settings: JSON.stringify({ trackIP: true }),
-        apiKey: 'test-api-key',
+        apiKey: await hash('test-api-key'),
         retentionDays: 30
       }
     });
 
-    apiKey = testSite.apiKey;
+    apiKey = 'test-api-key';
   });
 
   afterAll(async () => {
     // Clean up test data
     await prisma.event.deleteMany({ where: { siteId: 'api-test-site' } });
+    await prisma.dataSubjectRequest.deleteMany({ where: { siteId: 'api-test-site' } });
+    await prisma.auditLog.deleteMany({ where: { siteId: 'api-test-site' } });
+    await prisma.filteredTraffic.deleteMany({ where: { siteId: 'api-test-site' } });
+    await prisma.order.deleteMany({ where: { siteId: 'api-test-site' } });
     await prisma.site.deleteMany({ where: { siteId: 'api-test-site' } });
     await prisma.$disconnect();
   });
@@ -50,8 +58,19 @@ describe("Simplitics API Endpoints", () => {
       expect(response.status).toBe(200);
       expect(data.success).toBe(true);
       expect(data.site.siteId).toBe('new-api-site');
+      expect(data.site.apiKey).toMatch(/^smp_/);
+
+      // Only the hash of the key is stored
+      const stored = await prisma.site.findUnique({ where: { siteId: 'new-api-site' } });
+      expect(stored.apiKey).toBe(await hash(data.site.apiKey));
+
+      // Registration is audited
+      const [entry] = await prisma.auditLog.findMany({ where: { siteId: 'new-api-site' } });
+      expect(entry.action).toBe('site.register');
+      expect(entry.actor).toBe('anonymous');
 
       // Clean up
+      await prisma.auditLog.deleteMany({ where: { siteId: 'new-api-site' } });
       await prisma.site.delete({ where: { siteId: 'new-api-site' } });
     });
 
@@ -88,6 +107,150 @@ describe("Simplitics API Endpoints", () => {
       expect(data.success).toBe(true);
       expect(data.site.name).toBe('Updated API Test Site');
       expect(data.site.retentionDays).toBe(60);
+      expect(data.site.apiKey).toBeUndefined();
+      // Settings left out of the body are kept
+      expect(JSON.parse(data.site.settings)).toEqual({ trackIP: true });
+    });
+
+    it("should record settings changes in the audit log", async () => {
+      const response = await app.handle(
+        new Request(`http://localhost/audit/${testSite.siteId}?action=site.update`, {
+          headers: { "X-API-Key": apiKey }
+        })
+      );
+
+      const { entries } = await response.json();
+      expect(response.status).toBe(200);
+      expect(entries[0].actor).toMatch(/^key_/);
+      expect(entries[0].target).toBe(`site:${testSite.siteId}`);
+      expect(entries[0].after.retentionDays).toBe(60);
+      expect(entries[0].before.retentionDays).not.toBe(60);
+    });
+
+    it("should rotate the API key", async () => {
+      const rotation = await prisma.site.create({
+        data: {
+          siteId: 'rotate-api-site',
+          name: 'Rotate API Site',
+          settings: '{}',
+          apiKey: await hash('old-key')
+        }
+      });
+
+      const response = await app.handle(
+        new Request(`http://localhost/sites/${rotation.siteId}/api-key`, {
+          method: "POST",
+          headers: { "X-API-Key": 'old-key' }
+        })
+      );
+
+      const data = await response.json();
+      expect(response.status).toBe(200);
+      expect(data.apiKey).toMatch(/^smp_/);
+
+      // The old key no longer works
+      const stale = await app.handle(
+        new Request(`http://localhost/sites/${rotation.siteId}`, {
+          headers: { "X-API-Key": 'old-key' }
+        })
+      );
+      expect(stale.status).toBe(401);
+
+      await prisma.auditLog.deleteMany({ where: { siteId: rotation.siteId } });
+      await prisma.site.delete({ where: { siteId: rotation.siteId } });
+    });
+
+    it("should delete a site with its events", async () => {
+      const doomed = await prisma.site.create({
+        data: {
+          siteId: 'delete-api-site',
+          name: 'Delete API Site',
+          settings: '{}',
+          apiKey: await hash('delete-key')
+        }
+      });
+      await prisma.event.create({
+        data: { siteId: doomed.siteId, type: 'pageview', properties: '{}' }
+      });
+
+      const response = await app.handle(
+        new Request(`http://localhost/sites/${doomed.siteId}`, {
+          method: "DELETE",
+          headers: { "X-API-Key": 'delete-key' }
+        })
+      );
+
+      expect(response.status).toBe(200);
+      expect(await prisma.site.findUnique({ where: { siteId: doomed.siteId } })).toBeNull();
+      expect(await prisma.event.count({ where: { siteId: doomed.siteId } })).toBe(0);
+
+      const [entry] = await prisma.auditLog.findMany({ where: { siteId: doomed.siteId } });
+      expect(entry.action).toBe('site.delete');
+
+      // The kept audit log must not be handed to whoever registers the ID next
+      const reused = await app.handle(
+        new Request("http://localhost/sites", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ siteId: doomed.siteId, name: 'Reused Site' })
+        })
+      );
+      expect(reused.status).toBe(409);
+      expect((await reused.json()).error).toBe(`Site ID ${doomed.siteId} belonged to a deleted site and cannot be reused`);
+
+      await prisma.auditLog.deleteMany({ where: { siteId: doomed.siteId } });
+    });
+  });
+
+  describe("API Key Authentication", () => {
+    it("should reject insights requests without an API key", async () => {
+      const response = await app.handle(
+        new Request(`http://localhost/insights/${testSite.siteId}`)
+      );
+      expect(response.status).toBe(401);
+    });
+
+    it("should reject a wrong API key", async () => {
+      const response = await app.handle(
+        new Request(`http://localhost/sites/${testSite.siteId}`, {
+          method: "PATCH",
+          headers: {
+            "Content-Type": "application/json",
+            "X-API-Key": "wrong-key"
+          },
+          body: JSON.stringify({ retentionDays: 1 })
+        })
+      );
+      expect(response.status).toBe(401);
+    });
+
+    it("should reject events from a foreign origin", async () => {
+      const response = await app.handle(
+        new Request("http://localhost/events", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Site-ID": testSite.siteId,
+            "Origin": "https://evil.com"
+          },
+          body: JSON.stringify({ type: "pageview" })
+        })
+      );
+      expect(response.status).toBe(403);
+    });
+
+    it("should reject events for unknown sites", async () => {
+      const response = await app.handle(
+        new Request("http://localhost/events", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Site-ID": "unknown-site"
+          },
+          body: JSON.stringify({ type: "pageview" })
+        })
+      );
+      expect(response.status).toBe(404);
     });
   });
 
@@ -120,6 +283,29 @@ describe("Simplitics API Endpoints", () => {
       expect(data.event.type).toBe("pageview");
     });
 
+    it("should store user agent categories instead of the user agent", async () => {
+      const userAgent = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1";
+      const response = await app.handle(
+        new Request("http://localhost/events", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Site-ID": testSite.siteId,
+            "User-Agent": userAgent,
+            "Accept-Language": "en-US"
+          },
+          body: JSON.stringify({ type: "pageview" })
+        })
+      );
+
+      const { event } = await response.json();
+      expect(event.browser).toBe("Safari");
+      expect(event.browserVersion).toBe("17");
+      expect(event.os).toBe("iOS");
+      expect(event.device).toBe("mobile");
+      expect(event.userAgent).not.toContain("iPhone");
+    });
+
     it("should reject events without required headers", async () => {
       const response = await app.handle(
         new Request("http://localhost/events", {
@@ -170,6 +356,55 @@ describe("Simplitics API Endpoints", () => {
     });
   });
 
+  describe("Batch Event Tracking API", () => {
+    beforeEach(async () => {
+      await prisma.event.deleteMany({ where: { siteId: testSite.siteId } });
+    });
+
+    it("should store valid events and report rejected ones", async () => {
+      const response = await app.handle(
+        new Request("http://localhost/events/batch", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Site-ID": testSite.siteId
+          },
+          body: JSON.stringify({
+            events: [
+              { type: "pageview", properties: { url: "/home" } },
+              { properties: { url: "/missing-type" } },
+              { type: "click", properties: { buttonId: "signup" } }
+            ]
+          })
+        })
+      );
+
+      const data = await response.json();
+      expect(response.status).toBe(200);
+      expect(data.accepted).toBe(2);
+      expect(data.rejected).toBe(1);
+      expect(data.results[1].status).toBe("rejected");
+
+      const stored = await prisma.event.count({ where: { siteId: testSite.siteId } });
+      expect(stored).toBe(2);
+    });
+
+    it("should reject an empty batch", async () => {
+      const response = await app.handle(
+        new Request("http://localhost/events/batch", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Site-ID": testSite.siteId
+          },
+          body: JSON.stringify({ events: [] })
+        })
+      );
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe("Analytics API", () => {
     beforeEach(async () => {
       await prisma.event.deleteMany({ where: { siteId: testSite.siteId } });
@@ -238,9 +473,291 @@ describe("Simplitics API Endpoints", () => {
     });
   });
 
+  describe("Bot Filtering", () => {
+    const crawler = {
+      "Content-Type": "application/json",
+      "X-Site-ID": "api-test-site",
+      "User-Agent": "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"
+    };
+
+    beforeEach(async () => {
+      await prisma.event.deleteMany({ where: { siteId: testSite.siteId } });
+      await prisma.filteredTraffic.deleteMany({ where: { siteId: testSite.siteId } });
+    });
+
+    it("should drop crawler events and count them in insights", async () => {
+      const response = await app.handle(
+        new Request("http://localhost/events", {
+          method: "POST",
+          headers: crawler,
+          body: JSON.stringify({ type: "pageview" })
+        })
+      );
+
+      const data = await response.json();
+      expect(response.status).toBe(200);
+      expect(data.filtered).toBe("crawler");
+      expect(await prisma.event.count({ where: { siteId: testSite.siteId } })).toBe(0);
+
+      const insights = await app.handle(
+        new Request(`http://localhost/insights/${testSite.siteId}`, {
+          headers: { "X-API-Key": apiKey }
+        })
+      );
+      const { bots } = await insights.json();
+      expect(bots).toEqual({ filtered: 1, dropped: 1, flagged: 0, reasons: { crawler: 1 } });
+    });
+
+    it("should flag crawler events when the site asks for it", async () => {
+      await prisma.site.update({
+        where: { siteId: testSite.siteId },
+        data: { settings: JSON.stringify({ botFiltering: "flag" }) }
+      });
+
+      await app.handle(
+        new Request("http://localhost/events", {
+          method: "POST",
+          headers: crawler,
+          body: JSON.stringify({ type: "pageview" })
+        })
+      );
+
+      const [event] = await prisma.event.findMany({ where: { siteId: testSite.siteId } });
+      expect(event.bot).toBe("crawler");
+
+      // Flagged events stay out of the numbers
+      const insights = await app.handle(
+        new Request(`http://localhost/insights/${testSite.siteId}`, {
+          headers: { "X-API-Key": apiKey }
+        })
+      );
+      const data = await insights.json();
+      expect(data.pageViews).toBe(0);
+      expect(data.bots.flagged).toBe(1);
+
+      await prisma.site.update({
+        where: { siteId: testSite.siteId },
+        data: { settings: "{}" }
+      });
+    });
+
+    it("should reject an unknown filtering mode", async () => {
+      const response = await app.handle(
+        new Request(`http://localhost/sites/${testSite.siteId}`, {
+          method: "PATCH",
+          headers: {
+            "Content-Type": "application/json",
+            "X-API-Key": apiKey
+          },
+          body: JSON.stringify({ settings: { botFiltering: "block" } })
+        })
+      );
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Goals", () => {
+    const patchSettings = settings => app.handle(
+      new Request(`http://localhost/sites/${testSite.siteId}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "X-API-Key": apiKey
+        },
+        body: JSON.stringify({ settings })
+      })
+    );
+
+    it("should report goal conversions in insights", async () => {
+      await prisma.event.deleteMany({ where: { siteId: testSite.siteId } });
+      await db.storeEvents([
+        { siteId: testSite.siteId, type: "pageview", sessionId: "s1", timestamp: "2025-02-08T00:00:00Z" },
+        { siteId: testSite.siteId, type: "purchase", sessionId: "s1", properties: { orderId: "goal-1", amount: 30, currency: "EUR" }, timestamp: "2025-02-08T00:01:00Z" },
+        { siteId: testSite.siteId, type: "pageview", sessionId: "s2", timestamp: "2025-02-08T00:00:00Z" }
+      ]);
+      const update = await patchSettings({ goals: [{ id: "purchase", type: "purchase", value: "amount" }] });
+      expect(update.status).toBe(200);
+
+      const response = await app.handle(
+        new Request(
+          `http://localhost/insights/${testSite.siteId}?startDate=2025-02-08T00:00:00Z&endDate=2025-02-08T01:00:00Z&include=goals`,
+          { headers: { "X-API-Key": apiKey } }
+        )
+      );
+
+      const data = await response.json();
+      expect(data.goals).toEqual([
+        { id: "purchase", name: "purchase", completions: 1, conversions: 1, conversionRate: 0.5, value: 30 }
+      ]);
+
+      await prisma.site.update({
+        where: { siteId: testSite.siteId },
+        data: { settings: "{}" }
+      });
+    });
+
+    it("should reject invalid goals", async () => {
+      const response = await patchSettings({ goals: [{ id: "bad id", type: "purchase" }] });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Funnel API", () => {
+    it("should report sessions per funnel step", async () => {
+      await prisma.event.deleteMany({ where: { siteId: testSite.siteId } });
+      await db.storeEvents([
+        { siteId: testSite.siteId, type: "pageview", sessionId: "s1", timestamp: "2025-02-08T00:00:00Z" },
+        { siteId: testSite.siteId, type: "signup", sessionId: "s1", timestamp: "2025-02-08T00:02:00Z" },
+        { siteId: testSite.siteId, type: "pageview", sessionId: "s2", timestamp: "2025-02-08T00:00:00Z" }
+      ]);
+
+      const response = await app.handle(
+        new Request(`http://localhost/funnels/${testSite.siteId}`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-API-Key": apiKey
+          },
+          body: JSON.stringify({
+            steps: [{ type: "pageview" }, { type: "signup" }],
+            startDate: "2025-02-08T00:00:00Z",
+            endDate: "2025-02-08T01:00:00Z"
+          })
+        })
+      );
+
+      const data = await response.json();
+      expect(response.status).toBe(200);
+      expect(data.steps.map(s => s.sessions)).toEqual([2, 1]);
+      expect(data.steps[1].medianTimeFromPrevious).toBe(120);
+    });
+
+    it("should reject a funnel with a single step", async () => {
+      const response = await app.handle(
+        new Request(`http://localhost/funnels/${testSite.siteId}`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-API-Key": apiKey
+          },
+          body: JSON.stringify({ steps: [{ type: "pageview" }] })
+        })
+      );
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Revenue", () => {
+    const sendPurchase = properties => app.handle(
+      new Request("http://localhost/events", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Site-ID": testSite.siteId,
+          "X-API-Key": apiKey
+        },
+        body: JSON.stringify({ type: "purchase", properties, timestamp: "2025-02-08T00:30:00Z" })
+      })
+    );
+
+    it("should count each order once in revenue", async () => {
+      await prisma.order.deleteMany({ where: { siteId: testSite.siteId } });
+
+      const first = await sendPurchase({ orderId: "A-1", amount: 20, currency: "EUR" });
+      expect((await first.json()).event).toBeDefined();
+      const repeated = await sendPurchase({ orderId: "A-1", amount: 20, currency: "EUR" });
+      expect((await repeated.json()).duplicate).toBe(true);
+      await sendPurchase({ orderId: "A-2", amount: "10.5", currency: "eur" });
+
+      const response = await app.handle(
+        new Request(
+          `http://localhost/insights/${testSite.siteId}?startDate=2025-02-08T00:00:00Z&endDate=2025-02-08T01:00:00Z`,
+          { headers: { "X-API-Key": apiKey } }
+        )
+      );
+
+      const { revenue } = await response.json();
+      expect(revenue).toEqual({
+        orders: 2,
+        currencies: [{ currency: "EUR", orders: 2, revenue: 30.5, averageOrderValue: 15.25 }]
+      });
+    });
+
+    it("should reject a purchase without an order ID", async () => {
+      const response = await sendPurchase({ amount: 20, currency: "EUR" });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Engagement", () => {
+    it("should report average engaged time per page", async () => {
+      await prisma.event.deleteMany({ where: { siteId: testSite.siteId } });
+
+      await app.handle(
+        new Request("http://localhost/events", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Site-ID": testSite.siteId,
+            "X-API-Key": apiKey
+          },
+          body: JSON.stringify({
+            type: "engagement",
+            properties: { url: "https://example.com/docs", engagedTime: 42000, scrollDepth: 75 },
+            timestamp: "2025-02-08T00:30:00Z"
+          })
+        })
+      );
+
+      const response = await app.handle(
+        new Request(
+          `http://localhost/insights/${testSite.siteId}?startDate=2025-02-08T00:00:00Z&endDate=2025-02-08T01:00:00Z&include=engagement`,
+          { headers: { "X-API-Key": apiKey } }
+        )
+      );
+
+      const { engagement } = await response.json();
+      expect(engagement.pages).toEqual([
+        { page: "/docs", views: 1, averageEngagedTime: 42, averageScrollDepth: 75 }
+      ]);
+    });
+  });
+
+  describe("Web Vitals API", () => {
+    it("should report percentiles per page and device class", async () => {
+      await prisma.event.deleteMany({ where: { siteId: testSite.siteId } });
+      await db.storeEvents([100, 200, 300].map(lcp => ({
+        siteId: testSite.siteId,
+        type: "web_vitals",
+        properties: { url: "https://example.com/pricing", lcp, cls: 0.05 },
+        timestamp: "2025-02-08T00:30:00Z",
+        device: "desktop"
+      })));
+
+      const response = await app.handle(
+        new Request(
+          `http://localhost/web-vitals/${testSite.siteId}?startDate=2025-02-08T00:00:00Z&endDate=2025-02-08T01:00:00Z`,
+          { headers: { "X-API-Key": apiKey } }
+        )
+      );
+
+      const data = await response.json();
+      expect(response.status).toBe(200);
+      expect(data.pageLoads).toBe(3);
+      expect(data.pages[0].page).toBe("/pricing");
+      expect(data.pages[0].metrics.lcp).toEqual({ samples: 3, p50: 200, p75: 300, p95: 300 });
+      expect(data.devices.map(device => device.device)).toEqual(["desktop"]);
+    });
+  });
+
   describe("GDPR Compliance API", () => {
-    it("should delete user data on request", async () => {
-      // First create some events
+    // The SDK's PrivacyEnhancer sends user IDs as SHA-256 digests
+    let hashedUserId;
+
+    beforeEach(async () => {
+      hashedUserId = await hash("user-to-delete");
       await app.handle(
         new Request("http://localhost/events", {
           method: "POST",
@@ -251,12 +768,28 @@ describe("Simplitics API Endpoints", () => {
           },
           body: JSON.stringify({
             type: "login",
-            properties: { userId: "user-to-delete" }
+            properties: { userId: hashedUserId }
           })
         })
       );
+    });
 
-      // Request data deletion
+    it("should report a subject's data", async () => {
+      const response = await app.handle(
+        new Request(
+          `http://localhost/subjects/${testSite.siteId}?userId=user-to-delete`,
+          { headers: { "X-API-Key": apiKey } }
+        )
+      );
+
+      const data = await response.json();
+      expect(response.status).toBe(200);
+      expect(data.events).toBe(1);
+      expect(data.eventTypes).toEqual({ login: 1 });
+      expect(data.data[0]["properties.userId"]).toBe(hashedUserId);
+    });
+
+    it("should delete user data on request", async () => {
       const response = await app.handle(
         new Request(
           `http://localhost/events/${testSite.siteId}?userId=user-to-delete`,
@@ -270,15 +803,38 @@ describe("Simplitics API Endpoints", () => {
       const data = await response.json();
       expect(response.status).toBe(200);
       expect(data.success).toBe(true);
+      expect(data.deleted).toBe(1);
 
       // Verify deletion
       const events = await prisma.event.findMany({
         where: {
           siteId: testSite.siteId,
-          properties: { contains: "user-to-delete" }
+          properties: { contains: hashedUserId }
         }
       });
       expect(events.length).toBe(0);
+
+      // Verify the request was recorded
+      const requests = await app.handle(
+        new Request(`http://localhost/subjects/${testSite.siteId}/requests`, {
+          headers: { "X-API-Key": apiKey }
+        })
+      );
+      const records = await requests.json();
+      expect(records[0].action).toBe("erasure");
+      expect(records[0].subject).toBe(hashedUserId);
+      expect(records[0].eventCount).toBe(1);
+    });
+
+    it("should require exactly one subject identifier", async () => {
+      const response = await app.handle(
+        new Request(`http://localhost/subjects/${testSite.siteId}`, {
+          method: "DELETE",
+          headers: { "X-API-Key": apiKey }
+        })
+      );
+
+      expect(response.status).toBe(400);
     });
   });
 });
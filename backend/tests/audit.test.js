@@ -0,0 +1,60 @@
+import { describe, expect, it, beforeEach } from 'bun:test';
+import { AuditService, diffChanges } from '../src/services/audit';
+import { MemoryStorage } from '../src/storage/memory';
+
+describe('Audit Log', () => {
+  describe('diffChanges', () => {
+    it('keeps only changed fields', () => {
+      const before = { name: 'Site', retentionDays: 30, settings: { a: 1 } };
+      const after = { name: 'Site', retentionDays: 7, settings: { a: 2 } };
+
+      expect(diffChanges(before, after)).toEqual({
+        before: { retentionDays: 30, settings: { a: 1 } },
+        after: { retentionDays: 7, settings: { a: 2 } }
+      });
+    });
+
+    it('keeps the whole state when one side is missing', () => {
+      expect(diffChanges(null, { name: 'Site' })).toEqual({ before: null, after: { name: 'Site' } });
+      expect(diffChanges(null, null)).toEqual({ before: null, after: null });
+    });
+  });
+
+  describe('AuditService', () => {
+    let storage;
+    let audit;
+
+    beforeEach(() => {
+      storage = new MemoryStorage();
+      audit = new AuditService({ storage });
+    });
+
+    it('records the diff as JSON', async () => {
+      await audit.record({
+        siteId: 'site',
+        actor: 'key_abc',
+        action: 'site.update',
+        target: 'site:site',
+        before: { retentionDays: 30, name: 'Site' },
+        after: { retentionDays: 7, name: 'Site' }
+      });
+
+      expect(storage.auditEntries[0].before).toBe('{"retentionDays":30}');
+      expect(storage.auditEntries[0].after).toBe('{"retentionDays":7}');
+    });
+
+    it('lists entries newest first with parsed diffs', async () => {
+      await audit.record({ siteId: 'site', actor: 'system', action: 'events.retention_cleanup', target: 'site:site', after: { deleted: 3 } });
+      await audit.record({ siteId: 'site', actor: 'key_abc', action: 'site.api_key_rotate', target: 'site:site' });
+      await audit.record({ siteId: 'other', actor: 'key_def', action: 'site.update', target: 'site:other' });
+
+      const { entries: listed, nextCursor } = await audit.list('site', { limit: 1 });
+      expect(listed.map(entry => entry.action)).toEqual(['site.api_key_rotate']);
+      expect(nextCursor).toBe(listed[0].id);
+
+      const cleanups = await audit.list('site', { action: 'events.retention_cleanup' });
+      expect(cleanups.entries[0].after).toEqual({ deleted: 3 });
+      expect(cleanups.nextCursor).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, expect, it, beforeAll } from 'bun:test';
+import { requireApiKey, validateSiteOrigin, getRequestActor } from '../src/middleware/auth';
+
+describe('Authentication Middleware', () => {
+  const site = { siteId: 'test-site', domain: 'example.com' };
+  const db = {
+    verifyApiKey: async (siteId, apiKey) => (siteId === site.siteId && apiKey === 'valid-key' ? site : null)
+  };
+
+  describe('API Key', () => {
+    const authenticate = requireApiKey(db);
+
+    it('accepts a valid key for the site', async () => {
+      const ctx = {
+        request: new Request('http://localhost/insights/test-site', {
+          headers: { 'X-API-Key': 'valid-key' }
+        }),
+        params: { siteId: 'test-site' },
+        set: {}
+      };
+
+      await expect(authenticate(ctx)).resolves.toBeUndefined();
+    });
+
+    it('rejects requests without a key', async () => {
+      const ctx = {
+        request: new Request('http://localhost/insights/test-site'),
+        params: { siteId: 'test-site' },
+        set: {}
+      };
+
+      expect(await authenticate(ctx)).toEqual({ error: 'API key is required' });
+      expect(ctx.set.status).toBe(401);
+    });
+
+    it('rejects a key for another site', async () => {
+      const ctx = {
+        request: new Request('http://localhost/insights/other-site', {
+          headers: { 'X-API-Key': 'valid-key' }
+        }),
+        params: { siteId: 'other-site' },
+        set: {}
+      };
+
+      expect(await authenticate(ctx)).toEqual({ error: 'Invalid API key' });
+      expect(ctx.set.status).toBe(401);
+    });
+
+    it('accepts a query parameter key only when allowed', async () => {
+      const ctx = {
+        request: new Request('http://localhost/live/test-site?apiKey=valid-key'),
+        params: { siteId: 'test-site' },
+        query: { apiKey: 'valid-key' },
+        set: {}
+      };
+
+      expect(await authenticate(ctx)).toEqual({ error: 'API key is required' });
+      await expect(requireApiKey(db, { allowQuery: true })(ctx)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('Site Origin', () => {
+    const withOrigin = (origin) => ({
+      request: new Request('http://localhost/events', {
+        headers: origin ? { Origin: origin } : {}
+      })
+    });
+
+    it('allows the registered domain and its subdomains', () => {
+      expect(() => validateSiteOrigin(withOrigin('https://example.com'), site)).not.toThrow();
+      expect(() => validateSiteOrigin(withOrigin('https://www.example.com'), site)).not.toThrow();
+    });
+
+    it('allows requests without an origin', () => {
+      expect(() => validateSiteOrigin(withOrigin(null), site)).not.toThrow();
+    });
+
+    it('rejects other domains', () => {
+      expect(() => validateSiteOrigin(withOrigin('https://notexample.com'), site))
+        .toThrow('Origin does not match site domain');
+    });
+  });
+
+  describe('Request Actor', () => {
+    it('names the key without revealing it', async () => {
+      const ctx = {
+        request: new Request('http://localhost/sites/test-site', {
+          headers: { 'X-API-Key': 'valid-key' }
+        })
+      };
+
+      const actor = await getRequestActor(ctx);
+      expect(actor).toMatch(/^key_[a-f0-9]{12}$/);
+      expect(actor).not.toContain('valid-key');
+      expect(await getRequestActor(ctx)).toBe(actor);
+    });
+
+    it('reports requests without a key as anonymous', async () => {
+      const ctx = { request: new Request('http://localhost/sites') };
+
+      expect(await getRequestActor(ctx)).toBe('anonymous');
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+    let apiKey;
+
+    beforeAll(async () => {
+      // The server keeps its data in memory, so no database is needed
+      process.env.STORAGE = 'memory';
+      ({ app } = await import('../src/server'));
+      const { DatabaseService } = await import('../src/services/database');
+      ({ apiKey } = await new DatabaseService().registerSite({ siteId: 'auth-route-site', name: 'Site' }));
+    });
+
+    const get = (path, headers = {}) => app.handle(new Request(`http://localhost${path}`, { headers }));
+
+    it('answers 401 without a key or with a wrong one', async () => {
+      const missing = await get('/insights/auth-route-site');
+      expect(missing.status).toBe(401);
+      expect(await missing.json()).toEqual({ error: 'API key is required' });
+
+      const wrong = await get('/sites/auth-route-site', { 'X-API-Key': 'wrong-key' });
+      expect(wrong.status).toBe(401);
+      expect(await wrong.json()).toEqual({ error: 'Invalid API key' });
+
+      expect((await get('/sites/unknown-site', { 'X-API-Key': apiKey })).status).toBe(401);
+    });
+
+    it('keeps query string API keys out of error logs', async () => {
+      const logged = [];
+      const consoleError = console.error;
+      console.error = (...args) => logged.push(args.join(' '));
+      try {
+        const response = await get('/insights/auth-route-site?apiKey=secret-key&interval=fortnight', { 'X-API-Key': apiKey });
+        expect(response.status).toBe(400);
+      } finally {
+        console.error = consoleError;
+      }
+
+      expect(logged.join('\n')).toContain('/insights/auth-route-site?interval=fortnight');
+      expect(logged.join('\n')).not.toContain('secret-key');
+    });
+
+    it('lets the site\'s own key through', async () => {
+      expect((await get('/sites/auth-route-site', { 'X-API-Key': apiKey })).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'bun:test';
+import { detectBot, getBotFiltering, validateBotFiltering } from '../src/utils/bots';
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
+
+/**
+ * Build request headers for a user agent
+ * @param {string} userAgent - User-Agent header
+ * @param {Object} [extra] - Other headers
+ * @returns {Headers}
+ */
+function headersFor(userAgent, extra = { 'Accept-Language': 'en-US,en;q=0.9' }) {
+  return new Headers({ 'User-Agent': userAgent, ...extra });
+}
+
+describe('Bot Detection', () => {
+  it('lets regular browsers through', () => {
+    expect(detectBot(headersFor(CHROME))).toBeNull();
+    expect(detectBot(headersFor('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'))).toBeNull();
+  });
+
+  it('does not mistake device models for bots', () => {
+    const cubot = 'Mozilla/5.0 (Linux; Android 10; CUBOT P30) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Mobile Safari/537.36';
+    expect(detectBot(headersFor(cubot))).toBeNull();
+  });
+
+  it('recognizes crawlers', () => {
+    expect(detectBot(headersFor('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'))).toBe('crawler');
+    expect(detectBot(headersFor('Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)'))).toBe('crawler');
+    expect(detectBot(headersFor('SomeNewBot/1.0'))).toBe('crawler');
+  });
+
+  it('recognizes uptime monitors', () => {
+    expect(detectBot(headersFor('Mozilla/5.0+(compatible; UptimeRobot/2.0; http://www.uptimerobot.com/)'))).toBe('monitor');
+    expect(detectBot(headersFor('Pingdom.com_bot_version_1.4_(http://www.pingdom.com/)'))).toBe('monitor');
+  });
+
+  it('recognizes headless browsers', () => {
+    expect(detectBot(headersFor(CHROME.replace('Chrome/', 'HeadlessChrome/')))).toBe('headless');
+    expect(detectBot(headersFor(CHROME, {
+      'Accept-Language': 'en-US',
+      'Sec-CH-UA': '"HeadlessChrome";v="131", "Chromium";v="131"'
+    }))).toBe('headless');
+  });
+
+  it('recognizes HTTP libraries', () => {
+    expect(detectBot(headersFor('curl/8.5.0'))).toBe('http-client');
+    expect(detectBot(headersFor('python-requests/2.32.3'))).toBe('http-client');
+  });
+
+  it('flags browser user agents without Accept-Language', () => {
+    expect(detectBot(headersFor(CHROME, {}))).toBe('missing-headers');
+  });
+
+  it('does not flag server-side senders without a user agent', () => {
+    expect(detectBot(new Headers())).toBeNull();
+  });
+
+  describe('Site Setting', () => {
+    it('reads the mode from site settings, dropping by default', () => {
+      expect(getBotFiltering({ settings: '{"botFiltering":"flag"}' })).toBe('flag');
+      expect(getBotFiltering({ settings: '{}' })).toBe('drop');
+      expect(getBotFiltering({ settings: 'not json' })).toBe('drop');
+    });
+
+    it('rejects unknown modes', () => {
+      expect(() => validateBotFiltering('off')).not.toThrow();
+      expect(() => validateBotFiltering('block')).toThrow('Invalid bot filtering');
+    });
+  });
+});
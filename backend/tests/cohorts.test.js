@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'bun:test';
+import { buildRetention, getMaxPeriods, validateRetention } from '../src/services/cohorts';
+
+describe('Retention Analysis', () => {
+  const day = d => new Date(Date.UTC(2025, 1, d, 12));
+  const event = (userId, d, type = 'pageview') => ({
+    type,
+    timestamp: day(d),
+    properties: userId ? { userId } : {},
+    sessionId: null
+  });
+
+  const period = {
+    start: new Date('2025-02-01T00:00:00Z'),
+    end: new Date('2025-02-04T23:59:59Z'),
+    interval: 'day',
+    periods: 3
+  };
+
+  const records = [
+    event('u1', 1), event('u1', 2), event('u1', 4),
+    event('u2', 1), event('u2', 3, 'purchase'),
+    event('u3', 2), event('u3', 3),
+    event(null, 1)
+  ];
+
+  it('groups users by first-seen day and counts returns per later day', () => {
+    const { cohorts } = buildRetention(records, period);
+
+    expect(cohorts[0].cohort).toBe('2025-02-01T00:00:00+00:00');
+    expect(cohorts[0].size).toBe(2);
+    expect(cohorts[0].retained).toEqual([2, 1, 1, 1]);
+    expect(cohorts[0].rates).toEqual([1, 0.5, 0.5, 0.5]);
+
+    // The Feb 2 cohort only has two later days in the period
+    expect(cohorts[1].retained).toEqual([1, 1, 0]);
+  });
+
+  it('only counts the return event when one is given', () => {
+    const { cohorts } = buildRetention(records, { ...period, returnEvent: 'purchase' });
+    expect(cohorts[0].retained).toEqual([2, 0, 1, 0]);
+  });
+
+  it('can follow sessions instead of users', () => {
+    const { cohorts } = buildRetention([
+      { type: 'pageview', timestamp: day(1), properties: {}, sessionId: 's1' },
+      { type: 'pageview', timestamp: day(2), properties: {}, sessionId: 's1' }
+    ], { ...period, identity: 'session' });
+
+    expect(cohorts[0].retained).toEqual([1, 1, 0, 0]);
+  });
+
+  it('limits periods to the retention horizon', () => {
+    expect(getMaxPeriods(30, 'week')).toBe(3);
+    expect(getMaxPeriods(30, 'day')).toBe(29);
+    expect(getMaxPeriods(365, 'day')).toBe(52);
+  });
+
+  it('rejects unsupported options', () => {
+    expect(() => validateRetention({ interval: 'month', periods: 4, identity: 'user' })).toThrow('Invalid retention');
+    expect(() => validateRetention({ interval: 'week', periods: 0, identity: 'user' })).toThrow('Invalid retention');
+    expect(() => validateRetention({ interval: 'week', periods: 4, identity: 'ip' })).toThrow('Invalid retention');
+  });
+});
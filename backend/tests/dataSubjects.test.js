@@ -0,0 +1,79 @@
+import { describe, expect, it, beforeEach } from 'bun:test';
+import { DataSubjectService, resolveSubject, summarizeEvents } from '../src/services/dataSubjects';
+import { encrypt, hash } from '../src/utils/encryption';
+import { MemoryStorage } from '../src/storage/memory';
+
+describe('Data subject requests', () => {
+  let storage;
+  let dataSubjects;
+  let userIdHash;
+
+  beforeEach(async () => {
+    userIdHash = await hash('user-1');
+    const otherHash = await hash('user-2');
+    storage = new MemoryStorage();
+    for (const event of [
+      { siteId: 'site', type: 'login', timestamp: new Date('2025-02-10T10:00:00Z'),
+        properties: JSON.stringify({ userId: userIdHash }), sessionId: await encrypt('session-a') },
+      { siteId: 'site', type: 'purchase', timestamp: new Date('2025-02-10T11:00:00Z'),
+        properties: JSON.stringify({ userId: userIdHash, amount: 10 }), sessionId: await encrypt('session-b') },
+      // The other user's event mentions this user's digest in another property
+      { siteId: 'site', type: 'login', timestamp: new Date('2025-02-10T12:00:00Z'),
+        properties: JSON.stringify({ userId: otherHash, referredBy: userIdHash }), sessionId: await encrypt('session-a') },
+      { siteId: 'other-site', type: 'login', timestamp: new Date('2025-02-10T12:00:00Z'),
+        properties: JSON.stringify({ userId: userIdHash }), sessionId: await encrypt('session-a') }
+    ]) {
+      await storage.insertEvent(event);
+    }
+    dataSubjects = new DataSubjectService({ storage });
+  });
+
+  describe('resolveSubject', () => {
+    it('hashes raw user IDs the way the SDK does', async () => {
+      expect(await resolveSubject({ userId: 'user-1' })).toEqual({ type: 'user', id: userIdHash });
+      expect(await resolveSubject({ userIdHash: userIdHash.toUpperCase() })).toEqual({ type: 'user', id: userIdHash });
+    });
+
+    it('requires exactly one identifier', async () => {
+      await expect(resolveSubject({})).rejects.toThrow('Invalid data subject');
+      await expect(resolveSubject({ userId: 'a', sessionId: 'b' })).rejects.toThrow('Invalid data subject');
+      await expect(resolveSubject({ userIdHash: 'not-a-digest' })).rejects.toThrow('Invalid data subject');
+    });
+  });
+
+  it('summarizes events', () => {
+    expect(summarizeEvents(storage.events.slice(0, 2))).toEqual({
+      events: 2,
+      firstSeen: '2025-02-10T10:00:00.000Z',
+      lastSeen: '2025-02-10T11:00:00.000Z',
+      eventTypes: { login: 1, purchase: 1 }
+    });
+  });
+
+  it('reports only events whose userId matches exactly', async () => {
+    const report = await dataSubjects.access('site', { userId: 'user-1' });
+
+    expect(report.events).toBe(2);
+    expect(report.data.map(row => row.id)).toEqual(['1', '2']);
+    expect(report.data[1]['properties.amount']).toBe(10);
+    expect(storage.dataSubjectRequests[0]).toMatchObject({ action: 'access', subjectType: 'user', subject: userIdHash, eventCount: 2 });
+  });
+
+  it('erases exactly the subject events and records the request', async () => {
+    const result = await dataSubjects.erase('site', { userIdHash });
+
+    expect(result.deleted).toBe(2);
+    expect(result.requestId).toBe(storage.dataSubjectRequests[0].id);
+    expect(storage.events.map(event => event.id)).toEqual(['3', '4']);
+    expect(storage.dataSubjectRequests[0]).toMatchObject({ action: 'erasure', eventCount: 2 });
+  });
+
+  it('finds sessions by decrypting stored session IDs', async () => {
+    const result = await dataSubjects.erase('site', { sessionId: 'session-a' });
+
+    expect(result.deleted).toBe(2);
+    expect(storage.events.map(event => event.id)).toEqual(['2', '4']);
+    // The raw session ID is never kept
+    expect(storage.dataSubjectRequests[0].subject).toBe(await hash('session-a'));
+  });
+});
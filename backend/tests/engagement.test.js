@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'bun:test';
+import { buildEngagement } from '../src/services/engagement';
+import { DatabaseService } from '../src/services/database';
+import { MemoryStorage } from '../src/storage/memory';
+
+describe('Engagement', () => {
+  const engagement = (url, engagedTime, scrollDepth) => ({
+    type: 'engagement',
+    properties: { url, engagedTime, scrollDepth }
+  });
+
+  it('averages engaged time and scroll depth per page', () => {
+    expect(buildEngagement([
+      engagement('https://example.com/docs', 30000, 80),
+      engagement('https://example.com/docs?page=2', 10000, 40),
+      engagement('https://example.com/', 5000, 100)
+    ])).toEqual({
+      views: 3,
+      averageEngagedTime: 15,
+      averageScrollDepth: 73,
+      pages: [
+        { page: '/docs', views: 2, averageEngagedTime: 20, averageScrollDepth: 60 },
+        { page: '/', views: 1, averageEngagedTime: 5, averageScrollDepth: 100 }
+      ]
+    });
+  });
+
+  it('reads stored strings and skips implausible times', () => {
+    const report = buildEngagement([
+      engagement('https://example.com/', '4000', '150'),
+      engagement('https://example.com/', -1, 50),
+      engagement('https://example.com/', 'soon', 50),
+      engagement('https://example.com/', 48 * 60 * 60 * 1000, 50),
+      { type: 'pageview', properties: { url: 'https://example.com/' } }
+    ]);
+
+    expect(report).toMatchObject({ views: 1, averageEngagedTime: 4, averageScrollDepth: 100 });
+  });
+
+  it('applies the page limit and reports zeros without events', () => {
+    const records = ['/a', '/b', '/b'].map(path => engagement(`https://example.com${path}`, 1000, 50));
+    expect(buildEngagement(records, 1).pages.map(page => page.page)).toEqual(['/b']);
+    expect(buildEngagement([])).toEqual({ views: 0, averageEngagedTime: 0, averageScrollDepth: 0, pages: [] });
+  });
+
+  it('adds engagement to insights whatever event types are asked for', async () => {
+    const db = new DatabaseService(new MemoryStorage());
+    const timestamp = new Date(Date.UTC(2025, 1, 8, 10));
+    await db.storeEvents([
+      { siteId: 'site', type: 'pageview', sessionId: 'a', timestamp, properties: { url: 'https://example.com/docs' } },
+      { siteId: 'site', type: 'engagement', sessionId: 'a', timestamp, properties: { url: 'https://example.com/docs', engagedTime: 12000, scrollDepth: 90 } }
+    ]);
+
+    const insights = await db.getInsights('site', {
+      startDate: '2025-02-08T00:00:00Z',
+      endDate: '2025-02-08T23:59:59Z',
+      eventTypes: ['pageview'],
+      include: ['engagement']
+    });
+
+    expect(insights.engagement.pages).toEqual([
+      { page: '/docs', views: 1, averageEngagedTime: 12, averageScrollDepth: 90 }
+    ]);
+    expect(insights.visitors.bounceRate).toBe(1);
+  });
+
+  it('leaves engagement out of insights unless included', async () => {
+    const db = new DatabaseService(new MemoryStorage());
+    const period = { startDate: '2025-02-08T00:00:00Z', endDate: '2025-02-08T23:59:59Z' };
+
+    expect((await db.getInsights('site', period)).engagement).toBeUndefined();
+    await expect(db.getInsights('site', { ...period, include: ['sessions'] })).rejects.toThrow('Invalid include');
+  });
+});
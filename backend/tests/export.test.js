@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'bun:test';
+import {
+  toExportRow,
+  getColumns,
+  formatCsv,
+  formatNdjson,
+  formatParquet,
+  formatExport
+} from '../src/services/export';
+
+describe('Event Export', () => {
+  const stored = [
+    {
+      id: 'e1',
+      siteId: 'site',
+      type: 'pageview',
+      timestamp: new Date('2025-02-08T00:00:00Z'),
+      visitorId: 'v1',
+      browser: 'Firefox',
+      browserVersion: '133',
+      os: 'Linux',
+      device: 'desktop',
+      country: 'DE',
+      region: null,
+      properties: JSON.stringify({ url: 'https:&#x2F;&#x2F;example.com&#x2F;a', title: 'Hello, &quot;world&quot;' }),
+      ip: 'encrypted',
+      sessionId: 'encrypted'
+    },
+    {
+      id: 'e2',
+      siteId: 'site',
+      type: 'purchase',
+      timestamp: new Date('2025-02-08T01:00:00Z'),
+      visitorId: null,
+      properties: JSON.stringify({ cart: { total: 20, items: ['a', 'b'] } })
+    }
+  ];
+  const rows = stored.map(toExportRow);
+
+  it('flattens properties and leaves out encrypted fields', () => {
+    expect(rows[0]).toEqual({
+      id: 'e1',
+      siteId: 'site',
+      type: 'pageview',
+      timestamp: '2025-02-08T00:00:00.000Z',
+      visitorId: 'v1',
+      browser: 'Firefox',
+      browserVersion: '133',
+      os: 'Linux',
+      device: 'desktop',
+      country: 'DE',
+      region: null,
+      'properties.url': 'https://example.com/a',
+      'properties.title': 'Hello, "world"'
+    });
+    expect(rows[1]['properties.cart.total']).toBe(20);
+    expect(rows[1]['properties.cart.items']).toBe('["a","b"]');
+  });
+
+  it('lists base columns before sorted property columns', () => {
+    expect(getColumns(rows)).toEqual([
+      'id', 'siteId', 'type', 'timestamp', 'visitorId', 'browser', 'browserVersion', 'os', 'device', 'country', 'region',
+      'properties.cart.items', 'properties.cart.total', 'properties.title', 'properties.url'
+    ]);
+  });
+
+  it('formats CSV with quoting and empty cells for missing values', () => {
+    const lines = formatCsv(rows).trim().split('\n');
+    expect(lines[0]).toBe('id,siteId,type,timestamp,visitorId,browser,browserVersion,os,device,country,region,properties.cart.items,properties.cart.total,properties.title,properties.url');
+    expect(lines[1]).toBe('e1,site,pageview,2025-02-08T00:00:00.000Z,v1,Firefox,133,Linux,desktop,DE,,,,"Hello, ""world""",https://example.com/a');
+    expect(lines[2]).toBe('e2,site,purchase,2025-02-08T01:00:00.000Z,,,,,,,,"[""a"",""b""]",20,,');
+  });
+
+  it('formats NDJSON with one event per line', () => {
+    const lines = formatNdjson(rows).trim().split('\n');
+    expect(lines.length).toBe(2);
+    expect(JSON.parse(lines[1]).type).toBe('purchase');
+  });
+
+  it('writes a Parquet file', () => {
+    const file = new Uint8Array(formatParquet(rows));
+    const magic = new TextDecoder().decode(file.slice(0, 4));
+    expect(magic).toBe('PAR1');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => formatExport(rows, 'xml')).toThrow('Invalid export format');
+  });
+});
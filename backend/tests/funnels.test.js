@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'bun:test';
+import { buildFunnel, validateFunnel } from '../src/services/funnels';
+
+describe('Funnel Analysis', () => {
+  const at = minutes => new Date(Date.UTC(2025, 1, 8, 10, minutes));
+  const event = (sessionId, type, minutes, properties = {}) => ({
+    type,
+    timestamp: at(minutes),
+    properties,
+    sessionId,
+    visitorId: null
+  });
+
+  const steps = [
+    { type: 'pageview' },
+    { type: 'add_to_cart' },
+    { type: 'checkout' },
+    { type: 'purchase' }
+  ];
+
+  const records = [
+    // Completes the funnel
+    event('s1', 'pageview', 0),
+    event('s1', 'add_to_cart', 2),
+    event('s1', 'checkout', 4),
+    event('s1', 'purchase', 10),
+    // Drops off after adding to cart
+    event('s2', 'pageview', 0),
+    event('s2', 'add_to_cart', 4),
+    // Steps out of order don't count
+    event('s3', 'checkout', 0),
+    event('s3', 'pageview', 1),
+    // Only views
+    event('s4', 'pageview', 0)
+  ];
+
+  it('counts sessions reaching each step', () => {
+    const funnel = buildFunnel(records, steps);
+
+    expect(funnel.steps.map(s => s.sessions)).toEqual([4, 2, 1, 1]);
+    expect(funnel.steps[1].conversionRate).toBe(0.5);
+    expect(funnel.steps[2].stepConversionRate).toBe(0.5);
+    expect(funnel.steps[3].conversionRate).toBe(0.25);
+  });
+
+  it('reports the median time between steps in seconds', () => {
+    const funnel = buildFunnel(records, steps);
+
+    expect(funnel.steps[0].medianTimeFromPrevious).toBeNull();
+    expect(funnel.steps[1].medianTimeFromPrevious).toBe(180);
+    expect(funnel.steps[3].medianTimeFromPrevious).toBe(360);
+  });
+
+  it('ignores steps completed outside the conversion window', () => {
+    const funnel = buildFunnel(records, steps, 5 * 60);
+    expect(funnel.steps.map(s => s.sessions)).toEqual([4, 2, 1, 0]);
+  });
+
+  it('applies property filters to stored (escaped) values', () => {
+    const filtered = buildFunnel([
+      event('s1', 'pageview', 0, { url: 'https:&#x2F;&#x2F;shop.com&#x2F;sale' }),
+      event('s1', 'purchase', 1),
+      event('s2', 'pageview', 0, { url: 'https:&#x2F;&#x2F;shop.com&#x2F;' }),
+      event('s2', 'purchase', 1)
+    ], [
+      { type: 'pageview', properties: { url: 'https://shop.com/sale' } },
+      { type: 'purchase' }
+    ]);
+
+    expect(filtered.steps.map(s => s.sessions)).toEqual([1, 1]);
+  });
+
+  it('rejects invalid funnel definitions', () => {
+    expect(() => validateFunnel([{ type: 'pageview' }])).toThrow('Invalid funnel');
+    expect(() => validateFunnel([{ type: 'pageview' }, { type: 'bad type' }])).toThrow('Invalid funnel');
+    expect(() => validateFunnel(steps, -1)).toThrow('Invalid funnel');
+  });
+});
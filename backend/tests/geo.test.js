@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'bun:test';
+import { join } from 'path';
+import { GeoService, parseIp, parseNetwork, parseCsvLine, getClientIp } from '../src/services/geo';
+
+// GeoLite2 City CSV layout, with documentation networks (RFC 5737, RFC 3849)
+const FIXTURE = join(import.meta.dir, 'fixtures', 'geoip');
+
+describe('Geolocation', () => {
+  describe('Parsing', () => {
+    it('parses IPv4, IPv6 and mapped addresses', () => {
+      expect(parseIp('192.0.2.1')).toEqual({ version: 4, value: 3221225985 });
+      expect(parseIp('::ffff:192.0.2.1')).toEqual({ version: 4, value: 3221225985 });
+      expect(parseIp('2001:db8::1')).toEqual({ version: 6, value: 0x20010db8000000000000000000000001n });
+      expect(parseIp('::1').value).toBe(1n);
+      expect(parseIp('256.0.0.1')).toBeNull();
+      expect(parseIp('2001:db8::1::2')).toBeNull();
+      expect(parseIp('not-an-ip')).toBeNull();
+    });
+
+    it('expands CIDR networks', () => {
+      expect(parseNetwork('198.51.100.128/25')).toEqual({ version: 4, start: 3325256832, end: 3325256959 });
+      expect(parseNetwork('2001:db8::/48').end).toBe(0x20010db80000ffffffffffffffffffffn);
+    });
+
+    it('splits quoted CSV fields', () => {
+      expect(parseCsvLine('1,"Korea, Republic of",""""')).toEqual(['1', 'Korea, Republic of', '"']);
+    });
+
+    it('takes the client from the first forwarded address', () => {
+      expect(getClientIp(new Headers({ 'X-Forwarded-For': '203.0.113.9, 10.0.0.1' }))).toBe('203.0.113.9');
+      expect(getClientIp(new Headers({ 'X-Real-IP': '192.0.2.1' }))).toBe('192.0.2.1');
+    });
+  });
+
+  describe('GeoService', () => {
+    it('finds the country of IPv4 and IPv6 addresses', async () => {
+      const geo = new GeoService({ path: FIXTURE });
+
+      expect(await geo.lookup('192.0.2.44')).toEqual({ country: 'DE', region: null });
+      expect(await geo.lookup('203.0.113.9')).toEqual({ country: 'KR', region: null });
+      expect(await geo.lookup('2001:db8:1::abcd')).toEqual({ country: 'DE', region: null });
+    });
+
+    it('reports regions only when asked to', async () => {
+      const geo = new GeoService({ path: FIXTURE, includeRegion: true });
+
+      expect(await geo.lookup('198.51.100.7')).toEqual({ country: 'US', region: 'US-CA' });
+      expect(await geo.lookup('2001:db8::5')).toEqual({ country: 'US', region: 'US-CA' });
+    });
+
+    it('falls back to the registered country', async () => {
+      const geo = new GeoService({ path: FIXTURE, includeRegion: true });
+
+      expect(await geo.lookup('198.51.100.200')).toEqual({ country: 'DE', region: null });
+    });
+
+    it('returns nothing for unknown addresses or without a database', async () => {
+      expect(await new GeoService({ path: FIXTURE }).lookup('10.0.0.1')).toEqual({ country: null, region: null });
+      expect(await new GeoService().lookup('192.0.2.44')).toEqual({ country: null, region: null });
+    });
+
+    it('turns itself off when the database is missing', async () => {
+      const errors = console.error;
+      console.error = () => {};
+      const geo = new GeoService({ path: join(FIXTURE, 'missing') });
+
+      expect(await geo.lookup('192.0.2.44')).toEqual({ country: null, region: null });
+      expect(geo.enabled).toBe(false);
+      console.error = errors;
+    });
+  });
+});
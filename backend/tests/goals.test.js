@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'bun:test';
+import { buildGoals, getGoals, validateGoals } from '../src/services/goals';
+import { DatabaseService } from '../src/services/database';
+import { MemoryStorage } from '../src/storage/memory';
+
+describe('Goals', () => {
+  const at = minutes => new Date(Date.UTC(2025, 1, 8, 10, minutes));
+  const event = (sessionId, type, minutes, properties = {}) => ({
+    type,
+    timestamp: at(minutes),
+    properties,
+    sessionId,
+    visitorId: null
+  });
+
+  const records = [
+    event('s1', 'pageview', 0, { url: 'https://example.com/pricing' }),
+    event('s1', 'purchase', 2, { plan: 'pro', amount: 49.5 }),
+    event('s1', 'pageview', 3, { url: 'https://example.com/thank-you?order=1' }),
+    event('s2', 'pageview', 0, { url: 'https://example.com/' }),
+    event('s2', 'purchase', 1, { plan: 'basic', amount: '9.99' }),
+    event('s3', 'pageview', 0, { url: 'https://example.com/docs' })
+  ];
+
+  it('counts completions and conversions against all sessions', () => {
+    const [goal] = buildGoals(records, [{ id: 'purchase', type: 'purchase' }]);
+
+    expect(goal).toEqual({
+      id: 'purchase',
+      name: 'purchase',
+      completions: 2,
+      conversions: 2,
+      conversionRate: 0.6667
+    });
+  });
+
+  it('matches property filters and page paths', () => {
+    const [pro, thanks, docs] = buildGoals(records, [
+      { id: 'pro', name: 'Pro plan', type: 'purchase', properties: { plan: 'pro' } },
+      { id: 'thanks', type: 'pageview', path: '/thank-you' },
+      { id: 'docs', type: 'pageview', path: '/do*' }
+    ]);
+
+    expect(pro).toMatchObject({ name: 'Pro plan', completions: 1, conversions: 1 });
+    expect(thanks.completions).toBe(1);
+    expect(docs.completions).toBe(1);
+  });
+
+  it('sums the value property, reading stored strings as numbers', () => {
+    const [goal] = buildGoals(records, [{ id: 'revenue', type: 'purchase', value: 'amount' }]);
+    expect(goal.value).toBe(59.49);
+  });
+
+  it('reports no conversions without sessions', () => {
+    const [goal] = buildGoals([], [{ id: 'purchase', type: 'purchase' }]);
+    expect(goal).toMatchObject({ completions: 0, conversions: 0, conversionRate: 0 });
+  });
+
+  it('reads goals from site settings', () => {
+    expect(getGoals({ settings: '{"goals":[{"id":"a","type":"signup"}]}' })).toEqual([{ id: 'a', type: 'signup' }]);
+    expect(getGoals({ settings: '{}' })).toEqual([]);
+    expect(getGoals(null)).toEqual([]);
+  });
+
+  it('rejects invalid goals', () => {
+    expect(() => validateGoals({})).toThrow('Invalid goals');
+    expect(() => validateGoals([{ id: 'a b', type: 'signup' }])).toThrow('Invalid goals');
+    expect(() => validateGoals([{ id: 'a', type: 'signup' }, { id: 'a', type: 'signup' }])).toThrow('duplicate');
+    expect(() => validateGoals([{ id: 'a', type: 'bad type' }])).toThrow('Invalid goals');
+    expect(() => validateGoals([{ id: 'a', type: 'signup', properties: { plan: {} } }])).toThrow('Invalid goals');
+    expect(() => validateGoals([{ id: 'a', type: 'pageview', path: 'thank-you' }])).toThrow('Invalid goals');
+    expect(() => validateGoals([{ id: 'a', type: 'purchase', value: 'order.total' }])).toThrow('Invalid goals');
+    expect(() => validateGoals([{ id: 'a', type: 'pageview', path: '/thank-you', value: 'amount' }])).not.toThrow();
+  });
+
+  it('adds the site goals to insights', async () => {
+    const db = new DatabaseService(new MemoryStorage());
+    await db.registerSite({
+      siteId: 'site',
+      name: 'Site',
+      settings: { goals: [{ id: 'signup', type: 'signup' }] }
+    });
+    await db.storeEvents([
+      { siteId: 'site', type: 'pageview', sessionId: 'a', timestamp: at(0) },
+      { siteId: 'site', type: 'signup', sessionId: 'a', timestamp: at(1) },
+      { siteId: 'site', type: 'pageview', sessionId: 'b', timestamp: at(0) }
+    ]);
+
+    const insights = await db.getInsights('site', {
+      startDate: at(0).toISOString(),
+      endDate: at(59).toISOString(),
+      eventTypes: ['pageview'],
+      include: ['goals']
+    });
+
+    expect(insights.totalEvents).toBe(2);
+    expect(insights.goals).toEqual([
+      { id: 'signup', name: 'signup', completions: 1, conversions: 1, conversionRate: 0.5 }
+    ]);
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, expect, it, beforeAll, afterAll, beforeEach } from "bun:test";
 import { PrismaClient } from '@prisma/client';
 import { DatabaseService } from '../src/services/database';
+import { DataSubjectService } from '../src/services/dataSubjects';
 import { hash } from '../src/utils/encryption';
 
 describe("Simplitics Integration Tests", () => {
@@ -24,6 +25,11 @@ describe("Simplitics Integration Tests", () => {
   afterAll(async () => {
     // Clean up test data
     await prisma.event.deleteMany({ where: { siteId: 'test-site' } });
+    await prisma.dataSubjectRequest.deleteMany({ where: { siteId: 'test-site' } });
+    await prisma.auditLog.deleteMany({ where: { siteId: 'test-site' } });
+    await prisma.rollup.deleteMany({ where: { siteId: 'test-site' } });
+    await prisma.visitorRollup.deleteMany({ where: { siteId: 'test-site' } });
+    await prisma.order.deleteMany({ where: { siteId: 'test-site' } });
     await prisma.site.deleteMany({ where: { siteId: 'test-site' } });
     await prisma.$disconnect();
   });
@@ -188,6 +194,50 @@ describe("Simplitics Integration Tests", () => {
       expect(insights.events[0].type).toBe('pageview');
       expect(insights.events[0].count).toBe(2);
     });
+
+    it("should return a zero-filled time series", async () => {
+      const insights = await db.getInsights(testSite.siteId, {
+        startDate: '2025-02-08T00:00:00Z',
+        endDate: '2025-02-08T03:00:00Z',
+        interval: 'hour'
+      });
+
+      const pageviews = insights.timeSeries.series.find(s => s.type === 'pageview');
+      expect(pageviews.points.map(p => p.count)).toEqual([1, 1, 0, 0]);
+    });
+
+    it("should report unique visitors and sessions", async () => {
+      await db.storeEvent({
+        siteId: testSite.siteId,
+        type: 'pageview',
+        properties: { url: '/pricing' },
+        sessionId: 'session-1',
+        visitorId: 'visitor-1',
+        timestamp: new Date('2025-02-08T02:30:00Z')
+      });
+
+      const insights = await db.getInsights(testSite.siteId, {
+        startDate: '2025-02-08T00:00:00Z',
+        endDate: '2025-02-08T03:00:00Z'
+      });
+
+      expect(insights.visitors.uniqueVisitors).toBe(1);
+      expect(insights.visitors.sessions).toBe(1);
+      expect(insights.visitors.bounceRate).toBe(1);
+    });
+
+    it("should break down page views by page", async () => {
+      const insights = await db.getInsights(testSite.siteId, {
+        startDate: '2025-02-08T00:00:00Z',
+        endDate: '2025-02-08T03:00:00Z',
+        breakdowns: ['page', 'property:buttonId']
+      });
+
+      expect(insights.breakdowns.page.map(p => p.value).sort()).toEqual(['/about', '/home']);
+      expect(insights.breakdowns['property:buttonId']).toEqual([
+        { value: 'signup', count: 1, sessions: 0 }
+      ]);
+    });
   });
 
   describe("Data Retention and GDPR", () => {
@@ -226,6 +276,11 @@ describe("Simplitics Integration Tests", () => {
         where: { siteId: testSite.siteId }
       });
       expect(events.every(e => e.timestamp > oldDate)).toBe(true);
+
+      // The cleanup is audited
+      const { entries } = await db.audit.list(testSite.siteId, { action: 'events.retention_cleanup' });
+      expect(entries[0].actor).toBe('system');
+      expect(entries[0].after.deleted).toBeGreaterThan(0);
     });
 
     it("should delete user data on request", async () => {
@@ -242,17 +297,14 @@ describe("Simplitics Integration Tests", () => {
         db.storeEvent({
           siteId: testSite.siteId,
           type: 'purchase',
-          properties: { userId: hashedUserId }
+          properties: { userId: hashedUserId, orderId: 'order-gdpr', amount: 10, currency: 'EUR' }
         })
       ]);
 
       // Delete user data
-      await prisma.event.deleteMany({
-        where: {
-          siteId: testSite.siteId,
-          properties: { contains: hashedUserId }
-        }
-      });
+      const dataSubjects = new DataSubjectService(db);
+      const result = await dataSubjects.erase(testSite.siteId, { userId });
+      expect(result.deleted).toBe(2);
 
       // Verify deletion
       const remainingEvents = await prisma.event.findMany({
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'bun:test';
+import { LiveService } from '../src/services/live';
+
+describe('LiveService', () => {
+  it('delivers published events to subscribers of the site', () => {
+    const live = new LiveService();
+    const received = [];
+    const unsubscribe = live.subscribe('site-a', event => received.push(event));
+
+    live.publish('site-a', { type: 'pageview' }, 'v1');
+    live.publish('site-b', { type: 'click' }, 'v2');
+    unsubscribe();
+    live.publish('site-a', { type: 'signup' }, 'v1');
+
+    expect(received).toEqual([{ type: 'pageview' }]);
+  });
+
+  it('counts visitors seen within the active window', () => {
+    const live = new LiveService({ activeWindow: 1000 });
+    live.publish('site-a', { type: 'pageview' }, 'v1');
+    live.publish('site-a', { type: 'pageview' }, 'v1');
+    live.publish('site-a', { type: 'pageview' }, 'v2');
+    live.publish('site-a', { type: 'pageview' }, null);
+
+    expect(live.getActiveVisitors('site-a')).toBe(2);
+    expect(live.getActiveVisitors('site-a', Date.now() + 2000)).toBe(0);
+  });
+
+  it('forgets visitors of sites nobody streams', () => {
+    const live = new LiveService({ activeWindow: 1000 });
+    const now = Date.now();
+    live.publish('site-a', { type: 'pageview' }, 'v1', now);
+    live.publish('site-b', { type: 'pageview' }, 'v2', now + 2000);
+
+    expect([...live.lastSeen.keys()]).toEqual(['site-b']);
+  });
+
+  it('keeps delivering when a subscriber throws', () => {
+    const live = new LiveService();
+    const received = [];
+    live.subscribe('site-a', () => { throw new Error('stream closed'); });
+    live.subscribe('site-a', event => received.push(event));
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      expect(() => live.publish('site-a', { type: 'pageview' }, 'v1')).not.toThrow();
+    } finally {
+      console.error = originalError;
+    }
+    expect(received).toEqual([{ type: 'pageview' }]);
+  });
+
+  it('streams events and visitor counts as SSE messages', async () => {
+    const live = new LiveService();
+    const reader = live.stream('site-a').getReader();
+    const decoder = new TextDecoder();
+
+    const first = decoder.decode((await reader.read()).value);
+    expect(first).toBe('event: visitors\ndata: {"count":0}\n\n');
+
+    live.publish('site-a', { type: 'pageview' }, 'v1');
+    const message = decoder.decode((await reader.read()).value);
+    expect(message).toBe('event: event\ndata: {"type":"pageview"}\n\n');
+
+    const count = decoder.decode((await reader.read()).value);
+    expect(count).toBe('event: visitors\ndata: {"count":1}\n\n');
+
+    await reader.cancel();
+    expect(live.subscribers.has('site-a')).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'bun:test';
+import { buildRevenue } from '../src/services/revenue';
+import { DatabaseService } from '../src/services/database';
+import { MemoryStorage } from '../src/storage/memory';
+
+describe('Revenue', () => {
+  const order = (amount, currency, timestamp) => ({ amount, currency, timestamp: new Date(timestamp) });
+  const orders = [
+    order(20, 'EUR', '2025-02-08T10:00:00Z'),
+    order(10.5, 'EUR', '2025-02-09T10:00:00Z'),
+    order(99.99, 'USD', '2025-02-09T12:00:00Z')
+  ];
+
+  it('reports revenue, orders and average order value per currency', () => {
+    expect(buildRevenue(orders)).toEqual({
+      orders: 3,
+      currencies: [
+        { currency: 'USD', orders: 1, revenue: 99.99, averageOrderValue: 99.99 },
+        { currency: 'EUR', orders: 2, revenue: 30.5, averageOrderValue: 15.25 }
+      ]
+    });
+  });
+
+  it('adds a series per currency for an interval', () => {
+    const { currencies } = buildRevenue(orders, {
+      start: new Date('2025-02-08T00:00:00Z'),
+      end: new Date('2025-02-09T23:59:59Z'),
+      interval: 'day'
+    });
+
+    expect(currencies[1].points).toEqual([
+      { start: '2025-02-08T00:00:00+00:00', orders: 1, revenue: 20 },
+      { start: '2025-02-09T00:00:00+00:00', orders: 1, revenue: 10.5 }
+    ]);
+  });
+
+  it('reports nothing without orders', () => {
+    expect(buildRevenue([])).toEqual({ orders: 0, currencies: [] });
+  });
+
+  describe('purchase events', () => {
+    const purchase = (orderId, amount) => ({
+      siteId: 'site',
+      type: 'purchase',
+      properties: { orderId, amount, currency: 'EUR', items: [{ id: 'sku-1', name: 'Mug', price: amount }] },
+      timestamp: '2025-02-08T10:00:00Z'
+    });
+
+    it('stores one typed order per order ID', async () => {
+      const storage = new MemoryStorage();
+      const db = new DatabaseService(storage);
+
+      expect(await db.storeEvent(purchase('A-1', '20'))).not.toBeNull();
+      expect(await db.storeEvent(purchase('A-1', '20'))).toBeNull();
+      expect(await db.storeEvents([purchase('A-2', 5), purchase('A-2', 5), purchase('A-1', 20)])).toBe(1);
+
+      expect(storage.events).toHaveLength(2);
+      const [first] = await storage.findOrders({ siteId: 'site', start: new Date(0), end: new Date() });
+      expect(first).toMatchObject({ orderId: 'A-1', amount: 20, currency: 'EUR' });
+      expect(JSON.parse(first.items)).toEqual([{ id: 'sku-1', name: 'Mug', price: 20, quantity: 1 }]);
+
+      const insights = await db.getInsights('site', {
+        startDate: '2025-02-08T00:00:00Z',
+        endDate: '2025-02-08T23:59:59Z'
+      });
+      expect(insights.revenue.currencies).toEqual([
+        { currency: 'EUR', orders: 2, revenue: 25, averageOrderValue: 12.5 }
+      ]);
+    });
+
+    it('drops the order when its event cannot be stored', async () => {
+      const storage = new MemoryStorage();
+      const db = new DatabaseService(storage);
+      const insertEvent = storage.insertEvent;
+      const insertEvents = storage.insertEvents;
+      storage.insertEvent = async () => { throw new Error('Database unavailable'); };
+      storage.insertEvents = storage.insertEvent;
+
+      await expect(db.storeEvent(purchase(' A-1 ', 20))).rejects.toThrow('Database unavailable');
+      await expect(db.storeEvents([purchase('A-2', 5)])).rejects.toThrow('Database unavailable');
+      expect(await storage.findOrders({ siteId: 'site', start: new Date(0), end: new Date() })).toHaveLength(0);
+
+      storage.insertEvent = insertEvent;
+      storage.insertEvents = insertEvents;
+      expect(await db.storeEvent(purchase('A-1', 20))).not.toBeNull();
+      expect(await db.storeEvents([purchase('A-2', 5)])).toBe(1);
+    });
+
+    it('rejects purchases that break the schema', async () => {
+      const db = new DatabaseService(new MemoryStorage());
+      await expect(db.storeEvent({ ...purchase('A-1', 20), properties: { amount: 20 } }))
+        .rejects.toThrow('Invalid purchase');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, expect, it, beforeEach } from 'bun:test';
+import { aggregateRecords, getRollupRanges, sumVisitorRollups } from '../src/services/rollups';
+import { DatabaseService } from '../src/services/database';
+import { MemoryStorage } from '../src/storage/memory';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function record(type, timestamp, overrides = {}) {
+  return {
+    type,
+    timestamp: new Date(timestamp),
+    properties: { url: 'https://example.com/pricing', referrer: 'https://news.example.org/post' },
+    sessionId: 'session-a',
+    visitorId: 'visitor-a',
+    ...overrides
+  };
+}
+
+describe('Rollups', () => {
+  describe('aggregateRecords', () => {
+    const { rollups, visitorRollups } = aggregateRecords('site', [
+      record('pageview', '2025-02-10T10:05:00Z'),
+      record('pageview', '2025-02-10T11:10:00Z'),
+      record('pageview', '2025-02-10T11:20:00Z', { sessionId: 'session-b', visitorId: 'visitor-b', properties: {} }),
+      record('pageview', '2025-02-11T09:00:00Z')
+    ]);
+    const find = (rows, interval, bucket) => rows.filter(row => row.interval === interval && row.bucket.toISOString() === bucket);
+
+    it('counts events per hour and day by type, page and referrer', () => {
+      const [day] = find(rollups, 'day', '2025-02-10T00:00:00.000Z')
+        .filter(row => row.page === '/pricing');
+
+      expect(day).toMatchObject({ siteId: 'site', type: 'pageview', referrer: 'news.example.org', count: 2, sessions: 1 });
+      expect(find(rollups, 'hour', '2025-02-10T11:00:00.000Z').map(row => [row.page, row.referrer, row.count]))
+        .toEqual([['/pricing', 'news.example.org', 1], [null, '(direct)', 1]]);
+    });
+
+    it('counts a session once per day, in the first hour it appears', () => {
+      const hours = rollups.filter(row => row.interval === 'hour' && row.page === '/pricing');
+      expect(hours.map(row => row.sessions)).toEqual([1, 0, 1]);
+    });
+
+    it('adds visitor and session totals that sum up per day', () => {
+      const [day] = find(visitorRollups, 'day', '2025-02-10T00:00:00.000Z');
+      const hours = visitorRollups.filter(row => row.interval === 'hour' && row.bucket < new Date('2025-02-11'));
+
+      expect(day).toMatchObject({ visitors: 2, sessions: 3, bounces: 3 });
+      expect(sumVisitorRollups(hours)).toEqual(sumVisitorRollups([day]));
+    });
+  });
+
+  describe('sumVisitorRollups', () => {
+    const at = minutes => new Date(Date.UTC(2025, 1, 8, 10, minutes));
+    // Metrics of a single day, as insights report them
+    const metricsOf = records => sumVisitorRollups(
+      aggregateRecords('site', records.map(r => ({ properties: {}, ...r }))).visitorRollups
+        .filter(row => row.interval === 'day')
+    );
+
+    it('counts unique visitors and sessions', () => {
+      const metrics = metricsOf([
+        { type: 'pageview', timestamp: at(0), sessionId: 's1', visitorId: 'v1' },
+        { type: 'pageview', timestamp: at(5), sessionId: 's1', visitorId: 'v1' },
+        { type: 'pageview', timestamp: at(0), sessionId: 's2', visitorId: 'v2' },
+        { type: 'pageview', timestamp: at(1), sessionId: null, visitorId: 'v3' }
+      ]);
+
+      expect(metrics.uniqueVisitors).toBe(3);
+      expect(metrics.sessions).toBe(3);
+      expect(metrics.bounceRate).toBeCloseTo(2 / 3, 3);
+      expect(metrics.avgSessionDuration).toBe(100);
+    });
+
+    it('starts a new session after 30 minutes of inactivity', () => {
+      const metrics = metricsOf([
+        { type: 'pageview', timestamp: at(0), sessionId: null, visitorId: 'v1' },
+        { type: 'click', timestamp: at(10), sessionId: null, visitorId: 'v1' },
+        { type: 'pageview', timestamp: at(45), sessionId: null, visitorId: 'v1' }
+      ]);
+
+      expect(metrics.sessions).toBe(2);
+      expect(metrics.bounceRate).toBe(0.5);
+    });
+
+    it('does not count session_start, engagement or web_vitals as interactions', () => {
+      const metrics = metricsOf([
+        { type: 'session_start', timestamp: at(0), sessionId: 's1', visitorId: 'v1' },
+        { type: 'pageview', timestamp: at(0), sessionId: 's1', visitorId: 'v1' },
+        { type: 'web_vitals', timestamp: at(1), sessionId: 's1', visitorId: 'v1' },
+        { type: 'engagement', timestamp: at(2), sessionId: 's1', visitorId: 'v1' }
+      ]);
+
+      expect(metrics.bounceRate).toBe(1);
+    });
+
+    it('returns zeros without events', () => {
+      expect(metricsOf([])).toEqual({
+        uniqueVisitors: 0,
+        sessions: 0,
+        bounceRate: 0,
+        avgSessionDuration: 0
+      });
+    });
+  });
+
+  describe('getRollupRanges', () => {
+    it('reads whole days from daily rollups and the edges from hourly ones', () => {
+      const ranges = getRollupRanges(new Date('2025-02-10T10:30:00Z'), new Date('2025-02-13T05:00:00Z'));
+
+      expect(ranges.map(({ interval, start, end }) => [interval, new Date(start).toISOString(), new Date(end).toISOString()]))
+        .toEqual([
+          ['hour', '2025-02-10T10:00:00.000Z', '2025-02-11T00:00:00.000Z'],
+          ['day', '2025-02-11T00:00:00.000Z', '2025-02-13T00:00:00.000Z'],
+          ['hour', '2025-02-13T00:00:00.000Z', '2025-02-13T05:00:00.001Z']
+        ]);
+    });
+
+    it('reads only hourly rollups when asked to', () => {
+      const ranges = getRollupRanges(new Date('2025-02-10T00:00:00Z'), new Date('2025-02-12T23:59:59.999Z'), true);
+      expect(ranges.map(range => range.interval)).toEqual(['hour']);
+    });
+  });
+
+  describe('RollupService', () => {
+    let storage;
+    let db;
+    const today = Math.floor(Date.now() / DAY) * DAY;
+    const period = {
+      startDate: new Date(today - 3 * DAY).toISOString(),
+      endDate: new Date(today - 1).toISOString()
+    };
+
+    beforeEach(async () => {
+      storage = new MemoryStorage();
+      db = new DatabaseService(storage);
+      await db.registerSite({ siteId: 'site', name: 'Site' });
+
+      await db.storeEvents([
+        { siteId: 'site', type: 'pageview', url: 'https://example.com/', sessionId: 'a', timestamp: new Date(today - 2 * DAY + 1000) },
+        { siteId: 'site', type: 'pageview', url: 'https://example.com/docs', sessionId: 'a', timestamp: new Date(today - 2 * DAY + 2000) },
+        { siteId: 'site', type: 'click', url: 'https://example.com/docs', sessionId: 'b', timestamp: new Date(today - DAY + 1000) },
+        { siteId: 'site', type: 'pageview', url: 'https://example.com/', sessionId: 'c', timestamp: new Date(today + 1000) }
+      ]);
+    });
+
+    it('rolls up ended days and serves the same insights', async () => {
+      const options = { ...period, interval: 'day', breakdowns: ['page'] };
+      const before = await db.getInsights('site', options);
+
+      expect(await db.rollups.rollUpSite(await db.getSite('site'))).toBe(30);
+      expect((await db.getSite('site')).rollupsUntil).toEqual(new Date(today));
+      expect(storage.rollups.length).toBeGreaterThan(0);
+
+      const after = await db.getInsights('site', options);
+      expect(after).toEqual(before);
+      expect(after.totalEvents).toBe(3);
+      expect(after.visitors.sessions).toBe(2);
+      expect(after.breakdowns.page).toEqual([
+        { value: '/', count: 1, sessions: 1 },
+        { value: '/docs', count: 1, sessions: 1 }
+      ]);
+    });
+
+    it('keeps insights after the raw events are cleaned up', async () => {
+      await db.rollups.rollUpSite(await db.getSite('site'));
+      await storage.deleteEventsBefore('site', new Date(today));
+
+      const insights = await db.getInsights('site', period);
+      expect(insights.totalEvents).toBe(3);
+      expect(insights.pageViews).toBe(2);
+    });
+
+    it('rolls up days before cleaning up their events', async () => {
+      await db.updateSite('site', { retentionDays: 2 });
+
+      await db.cleanupOldEvents();
+
+      const insights = await db.getInsights('site', period);
+      expect(storage.events).toHaveLength(2);
+      expect(insights.totalEvents).toBe(3);
+    });
+
+    it('combines rollups with events not rolled up yet', async () => {
+      await db.rollups.rollUpSite(await db.getSite('site'));
+
+      const insights = await db.getInsights('site', {
+        startDate: period.startDate,
+        endDate: new Date(today + DAY - 1).toISOString()
+      });
+      expect(insights.totalEvents).toBe(4);
+    });
+
+    it('reopens rolled-up days when late events arrive', async () => {
+      await db.rollups.rollUpSite(await db.getSite('site'));
+
+      await db.storeEvent({ siteId: 'site', type: 'pageview', url: 'https://example.com/', timestamp: new Date(today - 2 * DAY + 5000) });
+      expect((await db.getSite('site')).rollupsUntil).toEqual(new Date(today - 2 * DAY));
+
+      await db.rollups.rollUpSite(await db.getSite('site'));
+      expect((await db.getInsights('site', period)).totalEvents).toBe(4);
+    });
+
+    it('buckets series of zones with partial-hour offsets exactly', async () => {
+      await db.rollups.rollUpSite(await db.getSite('site'));
+      // 00:15 on the next day in Asia/Kolkata (+05:30)
+      await db.storeEvent({ siteId: 'site', type: 'pageview', url: 'https://example.com/', timestamp: new Date(today - 2 * DAY + 18.75 * 60 * 60 * 1000) });
+
+      const insights = await db.getInsights('site', { ...period, interval: 'day', timezone: 'Asia/Kolkata' });
+      const { points } = insights.timeSeries.series.find(series => series.type === 'pageview');
+      const day = ms => `${new Date(ms).toISOString().slice(0, 10)}T00:00:00+05:30`;
+      expect(points).toContainEqual({ start: day(today - 2 * DAY), count: 2 });
+      expect(points).toContainEqual({ start: day(today - DAY), count: 1 });
+    });
+
+    it('filters rollups by event type', async () => {
+      await db.rollups.rollUpSite(await db.getSite('site'));
+
+      const insights = await db.getInsights('site', { ...period, eventTypes: ['click'] });
+      expect(insights.events).toEqual([{ type: 'click', count: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,294 @@
+import { describe, expect, it, beforeEach, afterEach } from 'bun:test';
+import { createStorage } from '../src/storage';
+import { MemoryStorage } from '../src/storage/memory';
+import { SqliteStorage } from '../src/storage/sqlite';
+import { DatabaseService } from '../src/services/database';
+
+const adapters = {
+  memory: () => new MemoryStorage(),
+  sqlite: () => new SqliteStorage({ path: ':memory:' })
+};
+
+function event(overrides = {}) {
+  return {
+    siteId: 'site',
+    type: 'pageview',
+    timestamp: new Date('2025-02-10T10:00:00Z'),
+    properties: '{}',
+    ...overrides
+  };
+}
+
+for (const [name, create] of Object.entries(adapters)) {
+  describe(`${name} storage`, () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = create();
+    });
+
+    afterEach(async () => {
+      await storage.close();
+    });
+
+    it('stores events and returns them with string IDs and dates', async () => {
+      const stored = await storage.insertEvent(event({ bot: null, country: 'NL' }));
+
+      expect(typeof stored.id).toBe('string');
+      const [found] = await storage.findEvents({ siteId: 'site' });
+      expect(found.id).toBe(stored.id);
+      expect(found.timestamp).toEqual(new Date('2025-02-10T10:00:00Z'));
+      expect(found.country).toBe('NL');
+    });
+
+    it('filters events by time, type, bots, properties and session', async () => {
+      await storage.insertEvents([
+        event({ timestamp: new Date('2025-02-09T10:00:00Z') }),
+        event({ type: 'click', properties: '{"userId":"abc"}', sessionId: 'encrypted' }),
+        event({ bot: 'crawler' }),
+        event({ siteId: 'other-site' })
+      ]);
+
+      const count = async (query) => (await storage.findEvents({ siteId: 'site', ...query })).length;
+      expect(await count({})).toBe(2);
+      expect(await count({ start: new Date('2025-02-10T00:00:00Z') })).toBe(1);
+      expect(await count({ end: new Date('2025-02-09T23:59:59Z') })).toBe(1);
+      expect(await count({ types: ['click'] })).toBe(1);
+      expect(await count({ includeBots: true })).toBe(3);
+      expect(await count({ search: '"abc"' })).toBe(1);
+      expect(await count({ withSession: true })).toBe(1);
+    });
+
+    it('pages events in insertion order', async () => {
+      await storage.insertEvents([1, 2, 3, 4, 5].map(n => event({ type: `event-${n}` })));
+
+      const first = await storage.findEvents({ siteId: 'site', limit: 2 });
+      const second = await storage.findEvents({ siteId: 'site', limit: 2, cursor: first[1].id });
+      const last = await storage.findEvents({ siteId: 'site', limit: 2, cursor: second[1].id });
+
+      expect([...first, ...second, ...last].map(e => e.type))
+        .toEqual(['event-1', 'event-2', 'event-3', 'event-4', 'event-5']);
+    });
+
+    it('deletes events by ID and by age', async () => {
+      const old = await storage.insertEvent(event({ timestamp: new Date('2025-01-01T00:00:00Z') }));
+      const kept = await storage.insertEvent(event());
+      const erased = await storage.insertEvent(event());
+      await storage.insertEvent(event({ siteId: 'other-site', timestamp: new Date('2025-01-01T00:00:00Z') }));
+
+      expect(await storage.deleteEventsByIds([erased.id])).toBe(1);
+      expect(await storage.deleteEventsBefore('site', new Date('2025-02-01T00:00:00Z'))).toBe(1);
+
+      const remaining = await storage.findEvents({ siteId: 'site' });
+      expect(remaining.map(e => e.id)).toEqual([kept.id]);
+      expect(remaining.map(e => e.id)).not.toContain(old.id);
+      expect(await storage.findEvents({ siteId: 'other-site' })).toHaveLength(1);
+    });
+
+    it('creates, updates and deletes sites', async () => {
+      const site = { siteId: 'site', name: 'Site', domain: 'example.com', settings: '{}', apiKey: 'hashed' };
+      await storage.createSite(site);
+
+      await expect(storage.createSite({ ...site, apiKey: 'other' }))
+        .rejects.toThrow('already exists');
+
+      const updated = await storage.updateSite('site', { retentionDays: 7, settings: undefined });
+      expect(updated.retentionDays).toBe(7);
+      expect(updated.domain).toBe('example.com');
+      expect((await storage.listSites()).map(site => site.siteId)).toEqual(['site']);
+
+      await storage.insertEvent(event());
+      await storage.deleteSite('site');
+      expect(await storage.getSite('site')).toBeNull();
+      expect(await storage.findEvents({ siteId: 'site' })).toHaveLength(0);
+
+      await expect(storage.updateSite('site', { retentionDays: 1 })).rejects.toThrow('Site not found');
+      await expect(storage.deleteSite('site')).rejects.toThrow('Site not found');
+    });
+
+    it('keeps one salt per day', async () => {
+      await storage.createSalt('2025-02-09', 'old');
+      await storage.createSalt('2025-02-10', 'new');
+
+      await expect(storage.createSalt('2025-02-10', 'again')).rejects.toThrow();
+      await storage.deleteSaltsBefore('2025-02-10');
+
+      expect(await storage.getSalt('2025-02-09')).toBeNull();
+      expect((await storage.getSalt('2025-02-10')).salt).toBe('new');
+    });
+
+    it('lists data subject requests newest first', async () => {
+      await storage.createDataSubjectRequest({ siteId: 'site', action: 'access', subjectType: 'user', subject: 'a', eventCount: 1 });
+      await storage.createDataSubjectRequest({ siteId: 'site', action: 'erasure', subjectType: 'user', subject: 'a', eventCount: 1 });
+      await storage.createDataSubjectRequest({ siteId: 'other-site', action: 'access', subjectType: 'user', subject: 'b', eventCount: 0 });
+
+      const requests = await storage.listDataSubjectRequests('site', 10);
+      expect(requests.map(request => request.action)).toEqual(['erasure', 'access']);
+      expect(requests[0].createdAt).toBeInstanceOf(Date);
+    });
+
+    it('lists audit entries newest first with filters and a cursor', async () => {
+      for (const action of ['site.register', 'site.update', 'site.update']) {
+        await storage.appendAuditEntry({ siteId: 'site', actor: 'system', action, target: 'site:site', before: null, after: null });
+      }
+
+      const first = await storage.listAuditEntries('site', { limit: 2 });
+      const rest = await storage.listAuditEntries('site', { cursor: first[1].id, limit: 2 });
+      expect([...first, ...rest].map(entry => entry.action))
+        .toEqual(['site.update', 'site.update', 'site.register']);
+
+      expect(await storage.listAuditEntries('site', { action: 'site.register', limit: 10 })).toHaveLength(1);
+      expect(await storage.listAuditEntries('site', { actor: 'anonymous', limit: 10 })).toHaveLength(0);
+      expect(await storage.listAuditEntries('site', { end: new Date('2000-01-01'), limit: 10 })).toHaveLength(0);
+    });
+
+    it('adds up filtered traffic per day, reason and action', async () => {
+      const key = { siteId: 'site', day: '2025-02-10', reason: 'crawler', action: 'drop' };
+      await storage.incrementFilteredTraffic(key, 2);
+      await storage.incrementFilteredTraffic(key, 3);
+      await storage.incrementFilteredTraffic({ ...key, day: '2025-02-12' }, 1);
+
+      const rows = await storage.listFilteredTraffic('site', '2025-02-10', '2025-02-11');
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ ...key, count: 5 });
+    });
+
+    it('replaces and finds rollups by interval and bucket', async () => {
+      const day = new Date('2025-02-10T00:00:00Z');
+      const next = new Date('2025-02-11T00:00:00Z');
+      const row = { siteId: 'site', interval: 'day', bucket: day, type: 'pageview', page: '/', referrer: '(direct)', count: 2, sessions: 1 };
+      const visitors = { siteId: 'site', interval: 'day', bucket: day, visitors: 1, sessions: 1, bounces: 0, duration: 5000 };
+
+      await storage.replaceRollups('site', day, next, [row, { ...row, type: 'click', page: null }], [visitors]);
+      await storage.replaceRollups('site', day, next, [{ ...row, count: 3 }], [visitors]);
+
+      const range = { siteId: 'site', interval: 'day', start: day, end: next };
+      const rollups = await storage.findRollups(range);
+      expect(rollups).toHaveLength(1);
+      expect(rollups[0]).toMatchObject({ ...row, count: 3 });
+      expect(await storage.findRollups({ ...range, types: ['click'] })).toHaveLength(0);
+      expect(await storage.findRollups({ ...range, interval: 'hour' })).toHaveLength(0);
+      expect(await storage.findRollups({ ...range, start: next, end: new Date('2025-02-12T00:00:00Z') })).toHaveLength(0);
+      expect((await storage.findVisitorRollups(range))[0]).toMatchObject(visitors);
+    });
+
+    it('keeps one order per site and order ID', async () => {
+      const order = { siteId: 'site', orderId: 'A-1', amount: 19.95, currency: 'EUR', items: '[]', timestamp: new Date('2025-02-10T10:00:00Z') };
+      await storage.createOrder(order);
+      await storage.createOrder({ ...order, siteId: 'other-site' });
+
+      await expect(storage.createOrder(order)).rejects.toThrow('already exists');
+
+      const orders = await storage.findOrders({ siteId: 'site', start: new Date('2025-02-10T00:00:00Z'), end: new Date('2025-02-10T23:59:59Z') });
+      expect(orders).toHaveLength(1);
+      expect(orders[0]).toMatchObject(order);
+      expect(await storage.findOrders({ siteId: 'site', start: new Date('2025-02-11T00:00:00Z'), end: new Date('2025-02-11T23:59:59Z') })).toHaveLength(0);
+
+      await storage.deleteOrder('site', 'A-1');
+      expect((await storage.createOrder(order)).orderId).toBe('A-1');
+    });
+  });
+}
+
+describe('createStorage', () => {
+  it('creates the requested adapter', () => {
+    expect(createStorage({ adapter: 'memory' })).toBeInstanceOf(MemoryStorage);
+    expect(createStorage({ adapter: 'sqlite', sqlitePath: ':memory:' })).toBeInstanceOf(SqliteStorage);
+  });
+
+  it('rejects unknown adapters', () => {
+    expect(() => createStorage({ adapter: 'postgres' })).toThrow('Invalid storage adapter');
+  });
+});
+
+describe('DatabaseService on SQLite', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new DatabaseService(new SqliteStorage({ path: ':memory:' }));
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  it('registers sites and verifies their API keys', async () => {
+    const { apiKey } = await db.registerSite({ siteId: 'site', name: 'Site', domain: 'example.com' });
+
+    expect((await db.verifyApiKey('site', apiKey)).siteId).toBe('site');
+    expect(await db.verifyApiKey('site', 'wrong')).toBeNull();
+    await expect(db.registerSite({ siteId: 'site', name: 'Site' })).rejects.toThrow('already exists');
+  });
+
+  it('keeps the ID of a deleted site from being registered again', async () => {
+    await db.registerSite({ siteId: 'site', name: 'Site' });
+    await db.audit.record({ siteId: 'site', actor: 'system', action: 'site.register', target: 'site:site' });
+    await db.deleteSite('site');
+
+    await expect(db.registerSite({ siteId: 'site', name: 'Site' }))
+      .rejects.toThrow('Site ID site belonged to a deleted site and cannot be reused');
+    expect((await db.registerSite({ siteId: 'other-site', name: 'Other' })).siteId).toBe('other-site');
+  });
+
+  it('accepts and re-hashes the encrypted keys of sites registered before hashing', async () => {
+    const legacyKey = 'a1b2c3d4e5f6a1b2c3d4e5f6:00112233445566778899aabbccddeeff:9f8e7d6c';
+    await db.storage.createSite({ siteId: 'legacy', name: 'Legacy', settings: '{}', apiKey: legacyKey });
+
+    expect(await db.verifyApiKey('legacy', 'wrong')).toBeNull();
+    expect((await db.verifyApiKey('legacy', legacyKey)).siteId).toBe('legacy');
+    expect((await db.getSite('legacy')).apiKey).toMatch(/^[0-9a-f]{64}$/);
+    expect((await db.verifyApiKey('legacy', legacyKey)).siteId).toBe('legacy');
+  });
+
+  it('stores events and serves insights from them', async () => {
+    await db.storeEvent({ siteId: 'site', type: 'pageview', timestamp: '2025-02-10T10:00:00Z', properties: { url: 'https://example.com/' } });
+    await db.storeEvent({ siteId: 'site', type: 'click', timestamp: '2025-02-10T11:00:00Z', properties: { url: 'https://example.com/' } });
+
+    const insights = await db.getInsights('site', {
+      startDate: '2025-02-10T00:00:00Z',
+      endDate: '2025-02-10T23:59:59Z'
+    });
+    expect(insights.totalEvents).toBe(2);
+    expect(insights.pageViews).toBe(1);
+  });
+
+  it('keeps only the origin and path of the page URL sent with each event', async () => {
+    const envelope = { siteId: 'site', type: 'click', timestamp: '2025-02-10T10:00:00Z' };
+    await db.storeEvent({ ...envelope, url: 'https://example.com/reset?token=secret&email=a%40b.c#step-2' });
+    await db.storeEvent({ ...envelope, url: 'not a url' });
+
+    const [withUrl, withoutUrl] = await db.storage.findEvents({ siteId: 'site' });
+    expect(JSON.parse(withUrl.properties)).toEqual({ url: 'https:&#x2F;&#x2F;example.com&#x2F;reset' });
+    expect(JSON.parse(withoutUrl.properties)).toEqual({});
+  });
+
+  it('keeps only the origin and path of page and referrer properties', async () => {
+    await db.storeEvent({
+      siteId: 'site',
+      type: 'pageview',
+      timestamp: '2025-02-10T10:00:00Z',
+      url: 'https://example.com/other',
+      properties: {
+        url: 'https://example.com/welcome?invite=secret#top',
+        referrer: 'https://mail.example.org/inbox?user=a%40b.c',
+        title: 'Welcome'
+      }
+    });
+    await db.storeEvent({ siteId: 'site', type: 'pageview', timestamp: '2025-02-10T10:00:00Z', properties: { referrer: '' } });
+
+    const [full, direct] = await db.storage.findEvents({ siteId: 'site' });
+    expect(JSON.parse(full.properties)).toEqual({
+      url: 'https:&#x2F;&#x2F;example.com&#x2F;welcome',
+      referrer: 'https:&#x2F;&#x2F;mail.example.org&#x2F;inbox',
+      title: 'Welcome'
+    });
+    expect(JSON.parse(direct.properties)).toEqual({});
+
+    const insights = await db.getInsights('site', {
+      startDate: '2025-02-10T00:00:00Z',
+      endDate: '2025-02-10T23:59:59Z',
+      breakdowns: ['property:url']
+    });
+    expect(insights.breakdowns['property:url'].map(row => row.value)).toEqual(['https://example.com/welcome']);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'bun:test';
+import { parseUserAgent } from '../src/utils/userAgent';
+
+describe('User Agent Classification', () => {
+  const cases = [
+    [
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+      { browser: 'Chrome', browserVersion: '131', os: 'Windows', device: 'desktop' }
+    ],
+    [
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.2903.86',
+      { browser: 'Edge', browserVersion: '131', os: 'Windows', device: 'desktop' }
+    ],
+    [
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.1 Safari/605.1.15',
+      { browser: 'Safari', browserVersion: '18', os: 'macOS', device: 'desktop' }
+    ],
+    [
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+      { browser: 'Safari', browserVersion: '17', os: 'iOS', device: 'mobile' }
+    ],
+    [
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/131.0.6778.73 Mobile/15E148 Safari/604.1',
+      { browser: 'Chrome', browserVersion: '131', os: 'iOS', device: 'mobile' }
+    ],
+    [
+      'Mozilla/5.0 (Linux; Android 14; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/26.0 Chrome/122.0.0.0 Mobile Safari/537.36',
+      { browser: 'Samsung Internet', browserVersion: '26', os: 'Android', device: 'mobile' }
+    ],
+    [
+      'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+      { browser: 'Chrome', browserVersion: '131', os: 'Android', device: 'tablet' }
+    ],
+    [
+      'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:133.0) Gecko/20100101 Firefox/133.0',
+      { browser: 'Firefox', browserVersion: '133', os: 'Linux', device: 'desktop' }
+    ],
+    [
+      'Mozilla/5.0 (Windows NT 10.0; Trident/7.0; rv:11.0) like Gecko',
+      { browser: 'Internet Explorer', browserVersion: '11', os: 'Windows', device: 'desktop' }
+    ]
+  ];
+
+  it.each(cases)('classifies %s', (userAgent, expected) => {
+    expect(parseUserAgent(userAgent)).toEqual(expected);
+  });
+
+  it('falls back to Other for unknown clients', () => {
+    expect(parseUserAgent('Test Browser')).toEqual({ browser: 'Other', browserVersion: null, os: 'Other', device: 'desktop' });
+  });
+
+  it('returns nulls without a user agent', () => {
+    expect(parseUserAgent(null)).toEqual({ browser: null, browserVersion: null, os: null, device: null });
+  });
+});
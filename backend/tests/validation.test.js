@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'bun:test';
+import { validateEvent, validateBatch, validatePurchase, MAX_BATCH_SIZE } from '../src/utils/validation';
+
+describe('Event Validation', () => {
+  describe('validateEvent', () => {
+    it('accepts a well-formed event', () => {
+      expect(() => validateEvent({
+        type: 'pageview',
+        properties: { url: '/home' },
+        timestamp: '2025-02-08T00:00:00Z',
+        sessionId: 'abc'
+      })).not.toThrow();
+    });
+
+    it('rejects events without a type', () => {
+      expect(() => validateEvent({ properties: {} })).toThrow('Event type must be a non-empty string');
+    });
+
+    it('rejects malformed event types', () => {
+      expect(() => validateEvent({ type: 'page view' })).toThrow('letters, numbers, and underscores');
+    });
+
+    it('rejects non-object properties', () => {
+      expect(() => validateEvent({ type: 'click', properties: ['a'] })).toThrow('Event properties must be an object');
+    });
+
+    it('rejects invalid timestamps', () => {
+      expect(() => validateEvent({ type: 'click', timestamp: 'not-a-date' })).toThrow('Event timestamp is invalid');
+    });
+  });
+
+  describe('validatePurchase', () => {
+    it('returns the order typed', () => {
+      expect(validatePurchase({
+        orderId: 1042,
+        amount: '59.90',
+        currency: 'eur',
+        items: [{ id: 'sku-1', name: 'Mug', price: 19.95, quantity: 2 }, { id: 'sku-2', price: '20' }]
+      })).toEqual({
+        orderId: '1042',
+        amount: 59.9,
+        currency: 'EUR',
+        items: [
+          { id: 'sku-1', name: 'Mug', price: 19.95, quantity: 2 },
+          { id: 'sku-2', price: 20, quantity: 1 }
+        ]
+      });
+    });
+
+    it('rejects purchases that break the schema', () => {
+      const order = { orderId: 'A-1', amount: 10, currency: 'USD' };
+
+      expect(() => validatePurchase({ ...order, orderId: '' })).toThrow('Invalid purchase: orderId');
+      expect(() => validatePurchase({ ...order, amount: -1 })).toThrow('Invalid purchase: amount');
+      expect(() => validatePurchase({ ...order, amount: 'ten' })).toThrow('Invalid purchase: amount');
+      expect(() => validatePurchase({ ...order, currency: 'euro' })).toThrow('Invalid purchase: currency');
+      expect(() => validatePurchase({ ...order, items: [{ price: 1 }] })).toThrow('item 1 needs an id');
+      expect(() => validatePurchase({ ...order, items: [{ id: 'a', price: 1, quantity: 0 }] })).toThrow('quantity');
+    });
+
+    it('is applied to purchase events', () => {
+      expect(() => validateEvent({ type: 'purchase', properties: { amount: 5 } })).toThrow('Invalid purchase');
+      expect(() => validateEvent({ type: 'purchases', properties: { amount: 5 } })).not.toThrow();
+    });
+  });
+
+  describe('validateBatch', () => {
+    it('rejects empty or non-array batches', () => {
+      expect(() => validateBatch([])).toThrow('Events must be a non-empty array');
+      expect(() => validateBatch({ type: 'click' })).toThrow('Events must be a non-empty array');
+    });
+
+    it('rejects batches over the size limit', () => {
+      const events = Array.from({ length: MAX_BATCH_SIZE + 1 }, () => ({ type: 'click' }));
+      expect(() => validateBatch(events)).toThrow(`Batch size must not exceed ${MAX_BATCH_SIZE} events`);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it, beforeEach } from 'bun:test';
+import { VisitorService } from '../src/services/visitors';
+import { MemoryStorage } from '../src/storage/memory';
+
+describe('VisitorService', () => {
+  let storage;
+  let visitors;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    visitors = new VisitorService({ storage });
+  });
+
+  it('returns a stable ID for the same visitor on the same day', async () => {
+    const first = await visitors.getVisitorId('site', '1.2.3.4', 'Mozilla/5.0');
+    const second = await visitors.getVisitorId('site', '1.2.3.4', 'Mozilla/5.0');
+
+    expect(first).toBe(second);
+    expect(first).not.toContain('1.2.3.4');
+  });
+
+  it('distinguishes sites and visitors', async () => {
+    const visitor = await visitors.getVisitorId('site', '1.2.3.4', 'Mozilla/5.0');
+
+    expect(await visitors.getVisitorId('other-site', '1.2.3.4', 'Mozilla/5.0')).not.toBe(visitor);
+    expect(await visitors.getVisitorId('site', '5.6.7.8', 'Mozilla/5.0')).not.toBe(visitor);
+  });
+
+  it('rotates the salt daily and forgets old salts', async () => {
+    const monday = await visitors.getDailySalt(new Date('2025-02-10T12:00:00Z'));
+    const tuesday = await visitors.getDailySalt(new Date('2025-02-11T12:00:00Z'));
+
+    expect(monday).not.toBe(tuesday);
+    expect(await storage.getSalt('2025-02-10')).toBeNull();
+  });
+
+  it('returns null without any client signal', async () => {
+    expect(await visitors.getVisitorId('site', null, null)).toBeNull();
+  });
+});
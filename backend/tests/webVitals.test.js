@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'bun:test';
+import { buildWebVitals } from '../src/services/webVitals';
+import { DatabaseService } from '../src/services/database';
+import { MemoryStorage } from '../src/storage/memory';
+
+describe('Web Vitals', () => {
+  const vitals = (path, device, metrics) => ({
+    type: 'web_vitals',
+    properties: { url: `https://example.com${path}`, ...metrics },
+    device
+  });
+
+  it('reports p50, p75 and p95 per metric with the nearest rank', () => {
+    const records = Array.from({ length: 20 }, (_, i) => vitals('/', 'desktop', { lcp: (i + 1) * 100 }));
+    const { pageLoads, metrics } = buildWebVitals(records);
+
+    expect(pageLoads).toBe(20);
+    expect(metrics.lcp).toEqual({ samples: 20, p50: 1000, p75: 1500, p95: 1900 });
+    expect(metrics.inp).toEqual({ samples: 0, p50: null, p75: null, p95: null });
+  });
+
+  it('groups by page and device class, most page loads first', () => {
+    const report = buildWebVitals([
+      vitals('/pricing', 'mobile', { lcp: 3200, cls: 0.25, inp: 350 }),
+      vitals('/pricing?plan=pro', 'mobile', { lcp: 2800, cls: 0.05 }),
+      vitals('/', 'desktop', { lcp: 1200, ttfb: 150.6 }),
+      vitals('/', null, { fcp: 600 })
+    ]);
+
+    expect(report.pages.map(page => [page.page, page.pageLoads])).toEqual([['/', 2], ['/pricing', 2]]);
+    expect(report.pages[1].metrics.cls).toEqual({ samples: 2, p50: 0.05, p75: 0.25, p95: 0.25 });
+    expect(report.devices.map(device => [device.device, device.pageLoads])).toEqual([['mobile', 2], ['desktop', 1]]);
+    expect(report.devices[1].metrics.ttfb.p50).toBe(151);
+  });
+
+  it('reads stored strings and skips implausible values', () => {
+    const { pageLoads, metrics } = buildWebVitals([
+      vitals('/', 'desktop', { lcp: '2500', cls: -0.1 }),
+      vitals('/', 'desktop', { lcp: 60 * 60 * 1000, inp: 'slow' }),
+      { type: 'pageview', properties: { url: 'https://example.com/' } }
+    ]);
+
+    expect(pageLoads).toBe(1);
+    expect(metrics.lcp.samples).toBe(1);
+    expect(metrics.cls.samples).toBe(0);
+  });
+
+  it('applies the page limit', () => {
+    const records = ['/a', '/b', '/b'].map(path => vitals(path, 'desktop', { lcp: 1000 }));
+    expect(buildWebVitals(records, 1).pages.map(page => page.page)).toEqual(['/b']);
+  });
+
+  it('reports stored web_vitals events for a period', async () => {
+    const db = new DatabaseService(new MemoryStorage());
+    await db.storeEvents([
+      { siteId: 'site', type: 'web_vitals', device: 'tablet', timestamp: '2025-02-08T10:00:00Z', properties: { url: 'https://example.com/', lcp: 900 } },
+      { siteId: 'site', type: 'web_vitals', device: 'tablet', timestamp: '2025-02-09T10:00:00Z', properties: { url: 'https://example.com/', lcp: 4000 } },
+      { siteId: 'site', type: 'pageview', device: 'tablet', timestamp: '2025-02-08T10:00:00Z', properties: { url: 'https://example.com/' } }
+    ]);
+
+    const report = await db.getWebVitals('site', {
+      startDate: '2025-02-08T00:00:00Z',
+      endDate: '2025-02-08T23:59:59Z'
+    });
+
+    expect(report.pageLoads).toBe(1);
+    expect(report.devices).toEqual([{ device: 'tablet', pageLoads: 1, metrics: expect.any(Object) }]);
+    expect(report.metrics.lcp.p95).toBe(900);
+    expect(report.period.start).toEqual(new Date('2025-02-08T00:00:00Z'));
+  });
+});
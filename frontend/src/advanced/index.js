@@ -3,34 +3,634 @@
  * Provides enhanced tracking features like page views and session tracking
  */
 
+import { PrivacyEnhancer } from '../privacy';
+import { validateEventName, validateProperties } from '../core/validation';
+
+const ROUTE_DEBOUNCE = 100;
+const IDLE_TIMEOUT = 30000;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+const EVENT_ATTRIBUTE = 'data-simplitics-event';
+const PROPERTY_ATTRIBUTE_PREFIX = 'data-simplitics-prop-';
+export const DOWNLOAD_EXTENSIONS = [
+  'pdf', 'csv', 'txt', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods',
+  'zip', 'gz', 'tar', '7z', 'rar', 'dmg', 'exe', 'msi', 'pkg', 'deb', 'rpm', 'apk',
+  'mp3', 'mp4', 'mov', 'avi', 'wav'
+];
+
+/**
+ * How far down the page the bottom of the viewport is
+ * @returns {number} Percentage from 0 to 100
+ */
+function getScrollDepth() {
+  const height = document.documentElement?.scrollHeight;
+  if (!height) return 0;
+
+  const bottom = (window.scrollY || 0) + (window.innerHeight || 0);
+  return Math.min(100, Math.round((bottom / height) * 100));
+}
+
+/**
+ * Classify a clicked link as a file download or an outbound link
+ * @param {HTMLAnchorElement} link - Clicked link
+ * @param {Set<string>} extensions - Lowercase download file extensions
+ * @returns {{type: string, properties: Object}|null} Event to capture, or null for other links
+ */
+function getLinkCapture(link, extensions) {
+  let url;
+  try {
+    url = new URL(link.href, window.location.href);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const extension = url.pathname.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase();
+  if (link.hasAttribute('download') || (extension && extensions.has(extension))) {
+    return {
+      type: 'file_download',
+      properties: {
+        url: `${url.origin}${url.pathname}`,
+        ...(extension && { extension })
+      }
+    };
+  }
+
+  if (url.hostname !== new URL(window.location.href).hostname) {
+    return { type: 'outbound_link', properties: { domain: url.hostname } };
+  }
+
+  return null;
+}
+
+/**
+ * Read the event declared by an element's data attributes, e.g.
+ * data-simplitics-event="signup_click" data-simplitics-prop-billing-plan="pro"
+ * tracks signup_click with { billing_plan: 'pro' }
+ * @param {Element} element - Element with a data-simplitics-event attribute
+ * @returns {{eventName: string, properties: Object}}
+ * @throws {Error} If the event name or a property is invalid
+ */
+function readDeclaredEvent(element) {
+  const eventName = element.getAttribute(EVENT_ATTRIBUTE);
+  validateEventName(eventName);
+
+  const properties = {};
+  for (const { name, value } of Array.from(element.attributes)) {
+    if (name.startsWith(PROPERTY_ATTRIBUTE_PREFIX)) {
+      properties[name.slice(PROPERTY_ATTRIBUTE_PREFIX.length).replace(/-/g, '_')] = value;
+    }
+  }
+  validateProperties(properties);
+
+  return { eventName, properties };
+}
+
+/**
+ * Interaction to Next Paint: the longest interaction, or on pages with many
+ * interactions the 98th percentile, so one outlier doesn't decide it
+ * @param {Map<number, number>} interactions - Longest duration per interaction ID
+ * @returns {number|undefined} INP in ms, or undefined without interactions
+ */
+function getInteractionToNextPaint(interactions) {
+  if (interactions.size === 0) return undefined;
+
+  const durations = [...interactions.values()].sort((a, b) => b - a);
+  return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+}
+
 export class AdvancedAnalytics {
-  constructor(baseAnalytics) {
+  /**
+   * @param {BaseAnalytics} baseAnalytics - Analytics instance to track with
+   * @param {PrivacyEnhancer} [privacy] - Sanitizes automatically captured properties
+   */
+  constructor(baseAnalytics, privacy = new PrivacyEnhancer(baseAnalytics.config)) {
     this.analytics = baseAnalytics;
+    this.privacy = privacy;
+    this.routeTracking = null;
+    this.engagementTracking = null;
+    this.autoCapture = null;
+    this.declarativeTracking = null;
+    this.webVitals = null;
   }
 
-  async trackPageView() {
+  /**
+   * Track a page view of the current URL
+   * @param {Object} [options]
+   * @param {string} [options.referrer=document.referrer] - Previous URL, e.g. the last route of a single-page app
+   */
+  async trackPageView({ referrer = document.referrer } = {}) {
     return this.analytics.track('pageview', {
       url: window.location.href,
-      referrer: document.referrer,
+      referrer,
       title: document.title
     });
   }
 
-  enableAutomaticPageViews() {
+  /**
+   * Track a page view once the page has loaded and, in single-page apps,
+   * on every client-side navigation through the History API
+   * @param {Object} [options]
+   * @param {boolean} [options.hashChanges=false] - Also count changes of the URL hash as navigations
+   * @param {number} [options.debounce=100] - Ms to wait for a route to settle; routes replaced
+   *   within this time, or navigations back to the tracked URL, record no page view
+   */
+  enableAutomaticPageViews({ hashChanges = false, debounce = ROUTE_DEBOUNCE } = {}) {
     if (typeof window === 'undefined') return;
 
+    this.disableAutomaticPageViews();
+
+    // Without hash tracking, /docs#install and /docs are the same route
+    const getRoute = () => hashChanges ? window.location.href : window.location.href.split('#')[0];
+
+    const tracking = {
+      route: getRoute(),
+      url: window.location.href,
+      timer: null,
+      listeners: [],
+      history: {}
+    };
+    this.routeTracking = tracking;
+
     const trackPage = () => {
       // Small delay to ensure analytics is fully initialized
       setTimeout(() => this.trackPageView(), 0);
     };
 
+    const trackRoute = () => {
+      clearTimeout(tracking.timer);
+      tracking.timer = setTimeout(() => {
+        tracking.timer = null;
+        const route = getRoute();
+        if (route === tracking.route) return;
+
+        const referrer = tracking.url;
+        tracking.route = route;
+        tracking.url = window.location.href;
+        // Leaving a route ends its engagement, as leaving the page would
+        this.sendEngagement();
+        this.trackPageView({ referrer });
+      }, debounce);
+    };
+
+    const listen = (target, event, listener) => {
+      target.addEventListener(event, listener);
+      tracking.listeners.push({ target, event, listener });
+    };
+
     // Track immediately if document is already loaded
     if (document.readyState === 'complete') {
       trackPage();
     } else {
       // Wait for document to load
-      window.addEventListener('load', trackPage);
+      listen(window, 'load', trackPage);
+    }
+
+    // pushState and replaceState fire no event, so wrap them
+    if (window.history) {
+      for (const method of ['pushState', 'replaceState']) {
+        const original = window.history[method];
+        if (typeof original !== 'function') continue;
+
+        const wrapped = function (...args) {
+          const result = original.apply(this, args);
+          trackRoute();
+          return result;
+        };
+        tracking.history[method] = { original, wrapped };
+        window.history[method] = wrapped;
+      }
+    }
+
+    listen(window, 'popstate', trackRoute);
+    if (hashChanges) {
+      listen(window, 'hashchange', trackRoute);
+    }
+  }
+
+  /**
+   * Stop automatic page views, removing listeners and History API hooks
+   */
+  disableAutomaticPageViews() {
+    const tracking = this.routeTracking;
+    if (!tracking) return;
+    this.routeTracking = null;
+
+    clearTimeout(tracking.timer);
+    for (const { target, event, listener } of tracking.listeners) {
+      target.removeEventListener(event, listener);
     }
+
+    // Leave the History API alone if another script has wrapped it since
+    for (const [method, { original, wrapped }] of Object.entries(tracking.history)) {
+      if (window.history[method] === wrapped) {
+        window.history[method] = original;
+      }
+    }
+  }
+
+  /**
+   * Measure how long each page is actively looked at and how far it is
+   * scrolled. Time only counts while the page is visible and the visitor
+   * has been active within the idle timeout. The totals are sent as an
+   * `engagement` event when the page is left.
+   * @param {Object} [options]
+   * @param {number} [options.idleTimeout=30000] - Ms without input after which the visitor counts as idle
+   */
+  enableEngagementTracking({ idleTimeout = IDLE_TIMEOUT } = {}) {
+    if (typeof window === 'undefined' || typeof document === 'undefined') return;
+
+    this.disableEngagementTracking();
+
+    const tracking = {
+      url: window.location.href,
+      engagedTime: 0,
+      scrollDepth: 0,
+      activeSince: null,
+      idleTimer: null,
+      listeners: []
+    };
+    this.engagementTracking = tracking;
+
+    const pause = () => {
+      if (tracking.activeSince !== null) {
+        tracking.engagedTime += Date.now() - tracking.activeSince;
+        tracking.activeSince = null;
+      }
+    };
+
+    const onActivity = () => {
+      if (document.visibilityState === 'hidden') return;
+      if (tracking.activeSince === null) {
+        tracking.activeSince = Date.now();
+      }
+      clearTimeout(tracking.idleTimer);
+      tracking.idleTimer = setTimeout(pause, idleTimeout);
+    };
+
+    const onScroll = () => {
+      tracking.scrollDepth = Math.max(tracking.scrollDepth, getScrollDepth());
+      onActivity();
+    };
+
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        clearTimeout(tracking.idleTimer);
+        pause();
+      } else {
+        onActivity();
+      }
+    };
+
+    const listen = (target, event, listener) => {
+      target.addEventListener(event, listener, { passive: true });
+      tracking.listeners.push({ target, event, listener });
+    };
+
+    for (const event of ACTIVITY_EVENTS) {
+      listen(window, event, event === 'scroll' ? onScroll : onActivity);
+    }
+    listen(document, 'visibilitychange', onVisibilityChange);
+    listen(window, 'pagehide', () => {
+      this.sendEngagement({ beacon: true });
+      // The page may come back from the back/forward cache; count again from then
+      clearTimeout(tracking.idleTimer);
+      pause();
+    });
+    listen(window, 'pageshow', onActivity);
+
+    tracking.pause = pause;
+    tracking.reset = () => {
+      tracking.url = window.location.href;
+      tracking.engagedTime = 0;
+      tracking.scrollDepth = getScrollDepth();
+      onActivity();
+    };
+    tracking.reset();
+  }
+
+  /**
+   * Send the engagement measured since the page, or single-page app route,
+   * was entered and start measuring again
+   * @param {Object} [options]
+   * @param {boolean} [options.beacon=false] - Deliver with sendBeacon, for page exit
+   * @returns {Promise<Object|undefined>} The engagement event, if any time was engaged
+   */
+  async sendEngagement({ beacon = false } = {}) {
+    const tracking = this.engagementTracking;
+    if (!tracking) return;
+
+    tracking.pause();
+    const { url, engagedTime, scrollDepth } = tracking;
+    tracking.reset();
+
+    if (engagedTime <= 0) return;
+
+    return this.analytics.track('engagement', {
+      url,
+      engagedTime,
+      scrollDepth
+    }, { beacon });
+  }
+
+  /**
+   * Stop engagement tracking, removing its listeners
+   */
+  disableEngagementTracking() {
+    const tracking = this.engagementTracking;
+    if (!tracking) return;
+    this.engagementTracking = null;
+
+    clearTimeout(tracking.idleTimer);
+    for (const { target, event, listener } of tracking.listeners) {
+      target.removeEventListener(event, listener, { passive: true });
+    }
+  }
+
+  /**
+   * Capture outbound link clicks, file downloads and form submissions with
+   * one delegated listener each. Only the destination domain of outbound
+   * links, the file URL without query string of downloads and the id, or
+   * else name, of forms are recorded, never field values.
+   * @param {Object} [options]
+   * @param {string[]} [options.downloadExtensions=DOWNLOAD_EXTENSIONS] - File extensions counted as downloads
+   */
+  enableAutoCapture({ downloadExtensions = DOWNLOAD_EXTENSIONS } = {}) {
+    if (typeof window === 'undefined' || typeof document === 'undefined') return;
+
+    this.disableAutoCapture();
+
+    const extensions = new Set(downloadExtensions.map(extension => extension.toLowerCase()));
+
+    const onClick = event => {
+      // Middle clicks open links too; right clicks only open a menu
+      if (event.type === 'auxclick' && event.button !== 1) return;
+
+      const link = event.target?.closest?.('a[href]');
+      if (!link) return;
+
+      const capture = getLinkCapture(link, extensions);
+      if (capture) {
+        this.capture(capture.type, capture.properties);
+      }
+    };
+
+    const onSubmit = event => {
+      const form = event.target;
+      if (!form || form.tagName !== 'FORM') return;
+
+      // Read attributes, as form.id and form.name return inputs named "id" or "name".
+      // One `form` property, since the server drops property keys containing "name"
+      const identifier = form.getAttribute('id') || form.getAttribute('name');
+
+      this.capture('form_submit', identifier ? { form: identifier } : {});
+    };
+
+    // Capture phase, so handlers that stop propagation don't hide the event
+    const listeners = [['click', onClick], ['auxclick', onClick], ['submit', onSubmit]];
+    for (const [event, listener] of listeners) {
+      document.addEventListener(event, listener, true);
+    }
+    this.autoCapture = { listeners };
+  }
+
+  /**
+   * Stop automatic capture, removing its listeners
+   */
+  disableAutoCapture() {
+    if (!this.autoCapture) return;
+
+    for (const [event, listener] of this.autoCapture.listeners) {
+      document.removeEventListener(event, listener, true);
+    }
+    this.autoCapture = null;
+  }
+
+  /**
+   * Track events declared in markup with data-simplitics-event and
+   * data-simplitics-prop-* attributes: forms when submitted, other elements
+   * when clicked. Elements added or marked up later are picked up by a
+   * MutationObserver. Invalid attributes are reported on the console and
+   * their element is left alone, so markup mistakes never break the page.
+   */
+  enableDeclarativeTracking() {
+    if (typeof document === 'undefined' || !document.documentElement) return;
+
+    this.disableDeclarativeTracking();
+
+    const tracking = { bound: new WeakSet(), observer: null };
+    this.declarativeTracking = tracking;
+
+    const report = (element, error) => {
+      console.error(`Simplitics: Ignoring ${EVENT_ATTRIBUTE} markup: ${error.message}`, element);
+    };
+
+    const onTrigger = event => {
+      // Listeners stay on elements until they are unbound or garbage collected
+      if (this.declarativeTracking !== tracking) return;
+
+      try {
+        const { eventName, properties } = readDeclaredEvent(event.currentTarget);
+        this.capture(eventName, properties);
+      } catch (error) {
+        report(event.currentTarget, error);
+      }
+    };
+
+    const bind = element => {
+      if (tracking.bound.has(element)) return;
+
+      try {
+        readDeclaredEvent(element);
+      } catch (error) {
+        report(element, error);
+        return;
+      }
+      tracking.bound.add(element);
+      element.addEventListener(element.tagName === 'FORM' ? 'submit' : 'click', onTrigger);
+    };
+
+    const bindTree = node => {
+      if (node.nodeType !== 1) return;
+      if (node.hasAttribute(EVENT_ATTRIBUTE)) bind(node);
+      node.querySelectorAll(`[${EVENT_ATTRIBUTE}]`).forEach(bind);
+    };
+
+    bindTree(document.documentElement);
+
+    if (typeof MutationObserver === 'function') {
+      tracking.observer = new MutationObserver(mutations => {
+        for (const mutation of mutations) {
+          if (mutation.type === 'attributes') {
+            bindTree(mutation.target);
+          } else {
+            mutation.addedNodes.forEach(bindTree);
+          }
+        }
+      });
+      tracking.observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: [EVENT_ATTRIBUTE]
+      });
+    }
+
+    tracking.unbind = () => {
+      document.querySelectorAll(`[${EVENT_ATTRIBUTE}]`).forEach(element => {
+        element.removeEventListener(element.tagName === 'FORM' ? 'submit' : 'click', onTrigger);
+      });
+    };
+  }
+
+  /**
+   * Stop declarative tracking, disconnecting its observer and listeners
+   */
+  disableDeclarativeTracking() {
+    const tracking = this.declarativeTracking;
+    if (!tracking) return;
+    this.declarativeTracking = null;
+
+    tracking.observer?.disconnect();
+    tracking.unbind();
+  }
+
+  /**
+   * Measure the Core Web Vitals and loading metrics of the page: LCP, CLS,
+   * INP and FCP with PerformanceObserver, TTFB from Navigation Timing. They
+   * are sent once, as a `web_vitals` event, when the page is first hidden or
+   * left, since CLS and INP keep changing until then. Metrics the browser
+   * doesn't support are left out.
+   */
+  enableWebVitals() {
+    if (typeof window === 'undefined' || typeof document === 'undefined' ||
+        typeof PerformanceObserver !== 'function') return;
+
+    this.disableWebVitals();
+
+    const tracking = {
+      url: window.location.href,
+      metrics: {},
+      observers: [],
+      listeners: [],
+      // Layout shifts group into windows of at most 5s with gaps under 1s; CLS is the worst window
+      shiftWindow: { value: 0, first: 0, last: 0 },
+      interactions: new Map()
+    };
+    this.webVitals = tracking;
+
+    const observe = (type, onEntries, options = {}) => {
+      try {
+        const observer = new PerformanceObserver(list => onEntries(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        tracking.observers.push(observer);
+      } catch {
+        // Entry type not supported by this browser
+      }
+    };
+
+    observe('paint', entries => {
+      const paint = entries.find(entry => entry.name === 'first-contentful-paint');
+      if (paint) tracking.metrics.fcp = paint.startTime;
+    });
+
+    observe('largest-contentful-paint', entries => {
+      tracking.metrics.lcp = entries[entries.length - 1].startTime;
+    });
+
+    observe('layout-shift', entries => {
+      const shiftWindow = tracking.shiftWindow;
+      for (const entry of entries) {
+        if (entry.hadRecentInput) continue;
+
+        const continues = entry.startTime - shiftWindow.last < 1000 && entry.startTime - shiftWindow.first < 5000;
+        if (shiftWindow.value && continues) {
+          shiftWindow.value += entry.value;
+        } else {
+          shiftWindow.value = entry.value;
+          shiftWindow.first = entry.startTime;
+        }
+        shiftWindow.last = entry.startTime;
+        tracking.metrics.cls = Math.max(tracking.metrics.cls ?? 0, shiftWindow.value);
+      }
+    });
+
+    const onInteractions = entries => {
+      for (const entry of entries) {
+        if (!entry.interactionId) continue;
+        const duration = tracking.interactions.get(entry.interactionId) ?? 0;
+        tracking.interactions.set(entry.interactionId, Math.max(duration, entry.duration));
+      }
+      tracking.metrics.inp = getInteractionToNextPaint(tracking.interactions);
+    };
+    observe('event', onInteractions, { durationThreshold: 40 });
+    observe('first-input', onInteractions);
+
+    const navigation = typeof performance !== 'undefined' && performance.getEntriesByType?.('navigation')[0];
+    if (navigation && navigation.responseStart > 0) {
+      tracking.metrics.ttfb = navigation.responseStart;
+    }
+
+    const send = () => {
+      if (this.webVitals !== tracking) return;
+      this.disableWebVitals();
+      this.sendWebVitals(tracking.url, tracking.metrics);
+    };
+
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') send();
+    };
+
+    const listeners = [
+      { target: document, event: 'visibilitychange', listener: onVisibilityChange },
+      { target: window, event: 'pagehide', listener: send }
+    ];
+    for (const { target, event, listener } of listeners) {
+      target.addEventListener(event, listener);
+    }
+    tracking.listeners = listeners;
+  }
+
+  /**
+   * Send measured Web Vitals, rounding times to milliseconds
+   * @param {string} url - Page the metrics were measured on
+   * @param {{lcp?: number, cls?: number, inp?: number, fcp?: number, ttfb?: number}} metrics
+   * @returns {Promise<Object|undefined>} The web_vitals event, if anything was measured
+   */
+  async sendWebVitals(url, metrics) {
+    const properties = {};
+    for (const [name, value] of Object.entries(metrics)) {
+      if (value === undefined || value === null) continue;
+      properties[name] = name === 'cls' ? Math.round(value * 10000) / 10000 : Math.round(value);
+    }
+    if (Object.keys(properties).length === 0) return;
+
+    return this.analytics.track('web_vitals', { url, ...properties }, { beacon: true });
+  }
+
+  /**
+   * Stop measuring Web Vitals without sending them
+   */
+  disableWebVitals() {
+    const tracking = this.webVitals;
+    if (!tracking) return;
+    this.webVitals = null;
+
+    tracking.observers.forEach(observer => observer.disconnect());
+    for (const { target, event, listener } of tracking.listeners) {
+      target.removeEventListener(event, listener);
+    }
+  }
+
+  /**
+   * Send an automatically captured event. The page is usually being left,
+   * so it goes out by beacon.
+   * @param {string} eventName - Event type
+   * @param {Object} properties - Captured properties
+   * @returns {Promise<Object>} The tracked event
+   */
+  async capture(eventName, properties) {
+    const sanitized = await this.privacy.sanitizeProperties(properties);
+    return this.analytics.track(eventName, sanitized, { beacon: true });
   }
 
   async trackSession() {
@@ -47,6 +647,8 @@ export class AdvancedAnalytics {
       sessionId = crypto.randomUUID();
       sessionStorage.setItem('simplitics_session', sessionId);
     }
+    // Tag every later event with the session so the server can group them
+    this.analytics.sessionId = sessionId;
     return sessionId;
   }
 }
@@ -3,7 +3,8 @@
  * Provides core tracking functionality
  */
 
-import { validateConfig, validateEventName, validateProperties } from './validation';
+import { validateConfig, validateEventName, validateProperties, MAX_BATCH_SIZE } from './validation';
+import { PersistentQueue, getRetryDelay } from './queue';
 
 // Get the current URL safely
 const getCurrentUrl = () => {
@@ -31,18 +32,62 @@ export class BaseAnalytics {
       endpoint: config.endpoint || 'https://api.simplitics.com/v1',
       siteId: config.siteId,
       consentRequired: config.consentRequired ?? true,
+      batchSize: 1,
+      flushInterval: 5000,
+      maxQueueSize: 500,
+      retryBaseDelay: 1000,
+      retryMaxDelay: 60000,
       ...config
     };
 
     this.initialized = false;
-    this.queue = [];
+    this.sessionId = null;
+    this.buffer = [];
+    this.flushTimer = null;
+
+    // Events waiting for consent and events that failed to send are kept in
+    // localStorage and replayed on the next page load
+    this.queueStore = new PersistentQueue('simplitics_queue', this.config.maxQueueSize);
+    this.retryStore = new PersistentQueue('simplitics_retry', this.config.maxQueueSize);
+    this.queue = this.queueStore.load();
+    this.retryQueue = this.retryStore.load();
+    this.retryAttempt = 0;
+    this.retryTimer = null;
+    this.retrying = false;
+
     this.hasConsent = !this.config.consentRequired || localStorage.getItem('simplitics_consent') === 'true';
   }
 
   init() {
     if (this.initialized) return;
     this.initialized = true;
+    this.registerPageListeners();
     this.processQueue();
+    this.retryFailed();
+  }
+
+  /**
+   * Flush buffered events when the page is hidden or unloaded, so events
+   * from the last seconds of a visit are not lost, and retry failed events
+   * as soon as the browser comes back online
+   */
+  registerPageListeners() {
+    if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') return;
+
+    window.addEventListener('pagehide', () => this.flush({ useBeacon: true }));
+    window.addEventListener('online', () => this.retryFailed());
+
+    if (typeof document !== 'undefined' && typeof document.addEventListener === 'function') {
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flush({ useBeacon: true });
+        }
+      });
+    }
+  }
+
+  get isBatching() {
+    return this.config.batchSize > 1;
   }
 
   enableTracking() {
@@ -60,12 +105,34 @@ export class BaseAnalytics {
     if (!this.hasConsent || !this.initialized) return;
     
     const events = [...this.queue];
-    this.queue = [];
-    
-    await Promise.all(events.map(event => this.sendEvent(event)));
+    this.queue = this.queueStore.save([]);
+
+    if (this.isBatching) {
+      this.buffer.push(...events);
+      await this.flush();
+      return;
+    }
+
+    if (events.length === 1) {
+      await this.sendEvent(events[0]);
+      return;
+    }
+
+    // A backlog sent one request per event would flood the connection
+    for (let i = 0; i < events.length; i += MAX_BATCH_SIZE) {
+      await this.sendBatch(events.slice(i, i + MAX_BATCH_SIZE));
+    }
   }
 
-  async track(eventName, properties = {}) {
+  /**
+   * Track an event
+   * @param {string} eventName - Event type
+   * @param {Object} [properties] - Event properties
+   * @param {Object} [options]
+   * @param {boolean} [options.beacon=false] - Deliver right away with sendBeacon, for events sent on page exit
+   * @returns {Promise<Object>} The tracked event
+   */
+  async track(eventName, properties = {}, { beacon = false } = {}) {
     // Validate inputs
     validateEventName(eventName);
     validateProperties(properties);
@@ -74,11 +141,23 @@ export class BaseAnalytics {
       type: eventName,
       properties,
       timestamp: new Date().toISOString(),
-      url: getCurrentUrl()
+      url: getCurrentUrl(),
+      ...(this.sessionId && { sessionId: this.sessionId })
     };
 
     if (!this.hasConsent || !this.initialized) {
-      this.queue.push(event);
+      this.queue = this.queueStore.save([...this.queue, event]);
+      return event;
+    }
+
+    if (beacon) {
+      this.buffer.push(event);
+      await this.flush({ useBeacon: true });
+      return event;
+    }
+
+    if (this.isBatching) {
+      await this.enqueue(event);
       return event;
     }
 
@@ -86,34 +165,204 @@ export class BaseAnalytics {
     return event;
   }
 
-  async sendEvent(event) {
+  /**
+   * Add an event to the send buffer, flushing once the batch is full
+   * @param {Object} event - Event to buffer
+   */
+  async enqueue(event) {
+    this.buffer.push(event);
+
+    if (this.buffer.length >= this.config.batchSize) {
+      await this.flush();
+      return;
+    }
+
+    if (!this.flushTimer && this.config.flushInterval > 0) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, this.config.flushInterval);
+    }
+  }
+
+  /**
+   * Send all buffered events in batches
+   * @param {Object} [options]
+   * @param {boolean} [options.useBeacon=false] - Deliver with sendBeacon/keepalive for page exit
+   */
+  async flush({ useBeacon = false } = {}) {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    while (this.buffer.length > 0) {
+      const events = this.buffer.splice(0, Math.max(this.config.batchSize, 1));
+      if (useBeacon) {
+        this.sendBeacon(events);
+      } else {
+        await this.sendBatch(events);
+      }
+    }
+  }
+
+  /**
+   * Resolve an API URL, refusing anything that is not HTTPS
+   * @param {string} path - API path
+   * @returns {string|null} Full URL, or null if the endpoint is unusable
+   */
+  getApiUrl(path) {
     if (!this.config.endpoint || !this.config.siteId) {
       console.error('Simplitics: endpoint and siteId are required');
-      return;
+      return null;
     }
 
     // Ensure HTTPS
     const endpoint = new URL(this.config.endpoint);
     if (!endpoint.protocol.startsWith('https')) {
       console.error('Simplitics: HTTPS is required for API endpoints');
-      return;
+      return null;
+    }
+
+    return `${this.config.endpoint}${path}`;
+  }
+
+  async sendBatch(events) {
+    const url = this.getApiUrl('/events/batch');
+    if (!url) return false;
+
+    return this.post(url, { events }, events);
+  }
+
+  /**
+   * Deliver events while the page is going away. sendBeacon cannot set
+   * headers, so the site ID travels as a query parameter instead.
+   * @param {Object[]} events - Events to deliver
+   */
+  sendBeacon(events) {
+    const url = this.getApiUrl('/events/batch');
+    if (!url) return;
+
+    const payload = JSON.stringify({ events });
+
+    if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+      const beaconUrl = `${url}?siteId=${encodeURIComponent(this.config.siteId)}`;
+      const blob = new Blob([payload], { type: 'text/plain' });
+      if (navigator.sendBeacon(beaconUrl, blob)) return;
     }
 
+    fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Site-ID': this.config.siteId
+      },
+      body: payload,
+      keepalive: true
+    }).catch(error => {
+      console.error('Simplitics: Failed to send events', error);
+      this.scheduleRetry(events);
+    });
+  }
+
+  async sendEvent(event) {
+    const url = this.getApiUrl('/events');
+    if (!url) return false;
+
+    // Single events are small enough for keepalive, which lets requests
+    // still in flight finish when the page is left
+    return this.post(url, event, [event], { keepalive: true });
+  }
+
+  /**
+   * POST a payload to the API, keeping the events for a retry if delivery fails
+   * @param {string} url - API URL
+   * @param {Object} payload - Request body
+   * @param {Object[]} events - Events carried by the payload
+   * @param {Object} [options]
+   * @param {boolean} [options.keepalive=false] - Let the request outlive the page; bodies are capped at 64 KB
+   * @returns {Promise<boolean>} Whether the events were delivered
+   */
+  async post(url, payload, events, { keepalive = false } = {}) {
     try {
-      const response = await fetch(`${this.config.endpoint}/events`, {
+      const response = await fetch(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'X-Site-ID': this.config.siteId
         },
-        body: JSON.stringify(event)
+        body: JSON.stringify(payload),
+        keepalive
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        // Client errors won't succeed on a retry, except rate limiting
+        error.retryable = response.status >= 500 || response.status === 429;
+        throw error;
       }
+      return true;
     } catch (error) {
-      console.error('Simplitics: Failed to send event', error);
+      console.error('Simplitics: Failed to send events', error);
+      if (error.retryable !== false) {
+        this.scheduleRetry(events);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Store failed events and schedule a retry with exponential backoff
+   * @param {Object[]} events - Events that failed to send
+   */
+  scheduleRetry(events) {
+    this.retryQueue = this.retryStore.save([...this.retryQueue, ...events]);
+    if (this.retryTimer) return;
+
+    const delay = getRetryDelay(this.retryAttempt, {
+      baseDelay: this.config.retryBaseDelay,
+      maxDelay: this.config.retryMaxDelay
+    });
+    this.retryAttempt++;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.retryFailed();
+    }, delay);
+  }
+
+  /**
+   * Resend events that previously failed, including those saved by an earlier
+   * page load, in batches whatever batchSize is. Each batch stays stored
+   * until its request is done, so leaving the page midway loses nothing.
+   */
+  async retryFailed() {
+    if (!this.hasConsent || !this.initialized || this.retrying || this.retryQueue.length === 0) return;
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    this.retrying = true;
+    let delivered = true;
+    try {
+      for (let remaining = this.retryQueue.length; remaining > 0;) {
+        const events = this.retryQueue.slice(0, Math.min(remaining, MAX_BATCH_SIZE));
+        delivered = await this.sendBatch(events) && delivered;
+        remaining -= events.length;
+
+        // Remove the first copy of each event; a batch that failed again was
+        // stored once more at the end for the next attempt
+        const sent = new Set(events);
+        this.retryQueue = this.retryStore.save(this.retryQueue.filter(event => !sent.delete(event)));
+      }
+    } finally {
+      this.retrying = false;
+    }
+
+    if (delivered) {
+      this.retryAttempt = 0;
     }
   }
 }
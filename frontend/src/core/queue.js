@@ -0,0 +1,60 @@
+/**
+ * Persistent event queue and retry helpers
+ * Keeps undelivered events in localStorage so they survive reloads
+ */
+
+/**
+ * A capped list of events stored under a single localStorage key
+ */
+export class PersistentQueue {
+  /**
+   * @param {string} key - localStorage key
+   * @param {number} [maxSize=500] - Maximum number of events kept; the oldest are dropped first
+   */
+  constructor(key, maxSize = 500) {
+    this.key = key;
+    this.maxSize = maxSize;
+  }
+
+  /**
+   * Read the stored events
+   * @returns {Object[]} Stored events, or an empty list if storage is unavailable
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.key) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Replace the stored events, keeping only the newest maxSize entries
+   * @param {Object[]} events - Events to store
+   * @returns {Object[]} The events that were kept
+   */
+  save(events) {
+    const kept = events.slice(-this.maxSize);
+    try {
+      localStorage.setItem(this.key, JSON.stringify(kept));
+    } catch (e) {
+      // Storage full or unavailable (e.g. private mode); keep the in-memory copy
+    }
+    return kept;
+  }
+}
+
+/**
+ * Compute the delay before the next retry using exponential backoff with jitter
+ * @param {number} attempt - Number of failed attempts so far, starting at 0
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay=1000] - Delay of the first retry in ms
+ * @param {number} [options.maxDelay=60000] - Upper bound for the delay in ms
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempt, { baseDelay = 1000, maxDelay = 60000 } = {}) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  // Equal jitter: keep half the delay and randomize the rest
+  return delay / 2 + Math.random() * (delay / 2);
+}
@@ -6,6 +6,7 @@ const VALID_EVENT_NAME_PATTERN = /^[a-zA-Z0-9_]+$/;
 const MAX_EVENT_NAME_LENGTH = 100;
 const MAX_PROPERTY_VALUE_LENGTH = 1000;
 const MAX_PROPERTIES_COUNT = 100;
+export const MAX_BATCH_SIZE = 100;
 
 /**
  * Validate event name format
@@ -104,9 +105,38 @@ export function validateConfig(config) {
   }
 
   // Validate boolean flags
-  ['consentRequired', 'hashUserIds', 'automaticPageViews'].forEach(flag => {
+  [
+    'consentRequired', 'hashUserIds', 'automaticPageViews', 'trackHashChanges',
+    'trackEngagement', 'autoCapture', 'declarativeTracking', 'webVitals'
+  ].forEach(flag => {
     if (flag in config && typeof config[flag] !== 'boolean') {
       throw new Error(`${flag} must be a boolean value`);
     }
   });
+
+  if ('batchSize' in config &&
+      (!Number.isInteger(config.batchSize) || config.batchSize < 1 || config.batchSize > MAX_BATCH_SIZE)) {
+    throw new Error(`batchSize must be an integer between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  if ('flushInterval' in config &&
+      (typeof config.flushInterval !== 'number' || !(config.flushInterval >= 0))) {
+    throw new Error('flushInterval must be a non-negative number');
+  }
+
+  if ('maxQueueSize' in config && (!Number.isInteger(config.maxQueueSize) || config.maxQueueSize < 1)) {
+    throw new Error('maxQueueSize must be a positive integer');
+  }
+
+  if ('downloadExtensions' in config &&
+      (!Array.isArray(config.downloadExtensions) ||
+       !config.downloadExtensions.every(extension => typeof extension === 'string' && /^[a-zA-Z0-9]+$/.test(extension)))) {
+    throw new Error('downloadExtensions must be a list of file extensions without dots');
+  }
+
+  ['retryBaseDelay', 'retryMaxDelay', 'idleTimeout'].forEach(option => {
+    if (option in config && (typeof config[option] !== 'number' || !(config[option] > 0))) {
+      throw new Error(`${option} must be a positive number`);
+    }
+  });
 }
@@ -11,13 +11,13 @@ class Simplitics extends BaseAnalytics {
   constructor(config = {}) {
     super(config);
     this.privacy = new PrivacyEnhancer(config);
-    this.advanced = new AdvancedAnalytics(this);
+    this.advanced = new AdvancedAnalytics(this, this.privacy);
   }
 
-  async track(eventName, properties = {}) {
+  async track(eventName, properties = {}, options = {}) {
     // Apply privacy enhancements before tracking
     const sanitizedProps = await this.privacy.sanitizeProperties(properties);
-    return super.track(eventName, sanitizedProps);
+    return super.track(eventName, sanitizedProps, options);
   }
 
   // Expose advanced features
@@ -30,8 +30,23 @@ class Simplitics extends BaseAnalytics {
   }
 
   init() {
+    if (typeof sessionStorage !== 'undefined') {
+      this.advanced.getSessionId();
+    }
     if (this.config.automaticPageViews) {
-      this.advanced.enableAutomaticPageViews();
+      this.advanced.enableAutomaticPageViews({ hashChanges: this.config.trackHashChanges });
+    }
+    if (this.config.trackEngagement) {
+      this.advanced.enableEngagementTracking({ idleTimeout: this.config.idleTimeout });
+    }
+    if (this.config.autoCapture) {
+      this.advanced.enableAutoCapture({ downloadExtensions: this.config.downloadExtensions });
+    }
+    if (this.config.declarativeTracking) {
+      this.advanced.enableDeclarativeTracking();
+    }
+    if (this.config.webVitals) {
+      this.advanced.enableWebVitals();
     }
     super.init();
   }
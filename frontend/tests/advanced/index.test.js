@@ -1,4 +1,4 @@
-import { describe, expect, it, beforeEach, beforeAll } from 'bun:test';
+import { describe, expect, it, beforeEach, beforeAll, afterEach } from 'bun:test';
 import { AdvancedAnalytics } from '../../src/advanced';
 import { BaseAnalytics } from '../../src/core/base';
 
@@ -91,6 +91,619 @@ describe('AdvancedAnalytics', () => {
     });
   });
 
+  describe('Route Tracking', () => {
+    let originalWindow;
+    let listeners;
+    let pageViews;
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const navigate = (method, url) => window.history[method]({}, '', url);
+    const dispatch = event => (listeners[event] || []).forEach(listener => listener());
+
+    beforeEach(() => {
+      originalWindow = global.window;
+      listeners = {};
+      pageViews = [];
+
+      const location = { href: 'http://localhost/' };
+      global.window = {
+        location,
+        history: {
+          pushState: (state, title, url) => { location.href = `http://localhost${url}`; },
+          replaceState: (state, title, url) => { location.href = `http://localhost${url}`; }
+        },
+        addEventListener: (event, listener) => {
+          (listeners[event] ||= []).push(listener);
+        },
+        removeEventListener: (event, listener) => {
+          listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+        }
+      };
+      global.document.readyState = 'complete';
+
+      baseAnalytics.track = (type, properties) => { pageViews.push(properties); };
+    });
+
+    afterEach(() => {
+      advanced.disableAutomaticPageViews();
+      global.window = originalWindow;
+      delete global.document.readyState;
+    });
+
+    it('tracks client-side navigations with the previous URL as referrer', async () => {
+      advanced.enableAutomaticPageViews({ debounce: 0 });
+      await wait(5);
+
+      navigate('pushState', '/pricing');
+      await wait(5);
+      window.location.href = 'http://localhost/';
+      dispatch('popstate');
+      await wait(5);
+
+      expect(pageViews.map(view => [view.url, view.referrer])).toEqual([
+        ['http://localhost/', 'http://localhost/referrer'],
+        ['http://localhost/pricing', 'http://localhost/'],
+        ['http://localhost/', 'http://localhost/pricing']
+      ]);
+    });
+
+    it('debounces replaced and unchanged routes', async () => {
+      advanced.enableAutomaticPageViews({ debounce: 10 });
+      await wait(5);
+
+      navigate('pushState', '/login');
+      navigate('replaceState', '/account');
+      await wait(20);
+      navigate('replaceState', '/account');
+      await wait(20);
+
+      expect(pageViews.map(view => view.url)).toEqual(['http://localhost/', 'http://localhost/account']);
+    });
+
+    it('ignores hash changes unless enabled', async () => {
+      advanced.enableAutomaticPageViews({ debounce: 0 });
+      await wait(5);
+      navigate('pushState', '/#install');
+      dispatch('hashchange');
+      await wait(5);
+      expect(pageViews).toHaveLength(1);
+
+      advanced.enableAutomaticPageViews({ debounce: 0, hashChanges: true });
+      await wait(5);
+      pageViews = [];
+      navigate('pushState', '/#usage');
+      await wait(5);
+      expect(pageViews.map(view => view.url)).toEqual(['http://localhost/#usage']);
+    });
+
+    it('removes its listeners and restores the History API', async () => {
+      const { pushState } = window.history;
+      advanced.enableAutomaticPageViews({ debounce: 0, hashChanges: true });
+      expect(window.history.pushState).not.toBe(pushState);
+
+      advanced.disableAutomaticPageViews();
+      expect(window.history.pushState).toBe(pushState);
+      expect(listeners.popstate).toHaveLength(0);
+      expect(listeners.hashchange).toHaveLength(0);
+
+      await wait(5);
+      pageViews = [];
+      navigate('pushState', '/pricing');
+      dispatch('popstate');
+      await wait(5);
+      expect(pageViews).toHaveLength(0);
+    });
+  });
+
+  describe('Engagement Tracking', () => {
+    let originalWindow;
+    let originalNow;
+    let listeners;
+    let tracked;
+    let now;
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const dispatch = event => (listeners[event] || []).forEach(listener => listener());
+
+    beforeEach(() => {
+      originalWindow = global.window;
+      originalNow = Date.now;
+      listeners = {};
+      tracked = [];
+      now = 0;
+      Date.now = () => now;
+
+      const addEventListener = (event, listener) => {
+        (listeners[event] ||= []).push(listener);
+      };
+      const removeEventListener = (event, listener) => {
+        listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+      };
+      global.window = {
+        location: { href: 'http://localhost/article' },
+        scrollY: 0,
+        innerHeight: 500,
+        addEventListener,
+        removeEventListener
+      };
+      Object.assign(global.document, {
+        visibilityState: 'visible',
+        documentElement: { scrollHeight: 2000 },
+        addEventListener,
+        removeEventListener
+      });
+
+      baseAnalytics.track = (type, properties, options) => { tracked.push({ type, properties, options }); };
+    });
+
+    afterEach(() => {
+      advanced.disableEngagementTracking();
+      Date.now = originalNow;
+      global.window = originalWindow;
+      for (const key of ['visibilityState', 'documentElement', 'addEventListener', 'removeEventListener']) {
+        delete global.document[key];
+      }
+    });
+
+    it('sends engaged time and scroll depth on page exit', () => {
+      advanced.enableEngagementTracking();
+
+      now = 4000;
+      window.scrollY = 1000;
+      dispatch('scroll');
+      window.scrollY = 200;
+      dispatch('scroll');
+      now = 6000;
+      dispatch('pagehide');
+
+      expect(tracked).toEqual([{
+        type: 'engagement',
+        properties: { url: 'http://localhost/article', engagedTime: 6000, scrollDepth: 75 },
+        options: { beacon: true }
+      }]);
+    });
+
+    it('does not count hidden or idle time', async () => {
+      advanced.enableEngagementTracking({ idleTimeout: 10 });
+
+      now = 1000;
+      document.visibilityState = 'hidden';
+      dispatch('visibilitychange');
+      now = 61000;
+      document.visibilityState = 'visible';
+      dispatch('visibilitychange');
+
+      now = 62000;
+      await wait(20);
+      now = 90000;
+      dispatch('keydown');
+      now = 91000;
+      dispatch('pagehide');
+
+      expect(tracked[0].properties.engagedTime).toBe(3000);
+    });
+
+    it('sends engagement for the previous route on client-side navigation', async () => {
+      window.history = {
+        pushState: (state, title, url) => { window.location.href = `http://localhost${url}`; }
+      };
+      document.readyState = 'complete';
+      advanced.enableAutomaticPageViews({ debounce: 0 });
+      advanced.enableEngagementTracking();
+
+      now = 5000;
+      window.history.pushState({}, '', '/next');
+      await wait(5);
+      advanced.disableAutomaticPageViews();
+      delete document.readyState;
+
+      const types = tracked.map(event => event.type);
+      expect(types).toEqual(['pageview', 'engagement', 'pageview']);
+      expect(tracked[1].properties).toMatchObject({ url: 'http://localhost/article', engagedTime: 5000 });
+    });
+
+    it('skips pages without engaged time and removes its listeners', () => {
+      advanced.enableEngagementTracking();
+      dispatch('pagehide');
+      expect(tracked).toHaveLength(0);
+
+      advanced.disableEngagementTracking();
+      expect(listeners.scroll).toHaveLength(0);
+      expect(listeners.visibilitychange).toHaveLength(0);
+      now = 5000;
+      dispatch('pagehide');
+      expect(tracked).toHaveLength(0);
+    });
+  });
+
+  describe('Auto Capture', () => {
+    let originalWindow;
+    let listeners;
+    let tracked;
+
+    const element = (tagName, attributes = {}) => ({
+      tagName,
+      href: attributes.href,
+      getAttribute: name => attributes[name] ?? null,
+      hasAttribute: name => name in attributes,
+      closest(selector) {
+        return selector === 'a[href]' && tagName === 'A' && attributes.href ? this : null;
+      }
+    });
+    const dispatch = async (type, target, extra = {}) => {
+      (listeners[type] || []).forEach(listener => listener({ type, target, ...extra }));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    beforeEach(() => {
+      originalWindow = global.window;
+      listeners = {};
+      tracked = [];
+
+      global.window = { location: { href: 'https://example.com/pricing' } };
+      Object.assign(global.document, {
+        addEventListener: (event, listener, capture) => {
+          expect(capture).toBe(true);
+          (listeners[event] ||= []).push(listener);
+        },
+        removeEventListener: (event, listener) => {
+          listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+        }
+      });
+
+      baseAnalytics.track = (type, properties, options) => { tracked.push({ type, properties, options }); };
+      advanced.privacy.sanitizeProperties = async properties => ({ ...properties, sanitized: true });
+      advanced.enableAutoCapture();
+    });
+
+    afterEach(() => {
+      advanced.disableAutoCapture();
+      global.window = originalWindow;
+      delete global.document.addEventListener;
+      delete global.document.removeEventListener;
+    });
+
+    it('records the domain of outbound links only', async () => {
+      await dispatch('click', element('A', { href: 'https://docs.other.org/guide?user=42' }));
+      await dispatch('click', element('A', { href: 'https://example.com/about' }));
+      await dispatch('click', element('A', { href: 'mailto:hello@example.com' }));
+
+      expect(tracked).toEqual([{
+        type: 'outbound_link',
+        properties: { domain: 'docs.other.org', sanitized: true },
+        options: { beacon: true }
+      }]);
+    });
+
+    it('records downloads by extension or download attribute', async () => {
+      await dispatch('click', element('A', { href: 'https://cdn.other.org/files/Report.PDF?token=secret' }));
+      await dispatch('auxclick', element('A', { href: '/export/data', download: '' }), { button: 1 });
+      await dispatch('auxclick', element('A', { href: '/files/guide.pdf' }), { button: 2 });
+
+      expect(tracked.map(event => [event.type, event.properties])).toEqual([
+        ['file_download', { url: 'https://cdn.other.org/files/Report.PDF', extension: 'pdf', sanitized: true }],
+        ['file_download', { url: 'https://example.com/export/data', sanitized: true }]
+      ]);
+    });
+
+    it('only counts the configured download extensions', async () => {
+      advanced.enableAutoCapture({ downloadExtensions: ['CSV'] });
+
+      await dispatch('click', element('A', { href: '/files/guide.pdf' }));
+      await dispatch('click', element('A', { href: '/files/data.csv' }));
+
+      expect(tracked.map(event => event.properties.extension)).toEqual(['csv']);
+    });
+
+    it('records form submissions by id and name without field values', async () => {
+      await dispatch('submit', element('FORM', { id: 'signup', name: 'newsletter', email: 'a@example.com' }));
+      await dispatch('submit', element('FORM', { name: 'newsletter' }));
+      await dispatch('submit', element('FORM'));
+
+      expect(tracked.map(event => [event.type, event.properties])).toEqual([
+        ['form_submit', { form: 'signup', sanitized: true }],
+        ['form_submit', { form: 'newsletter', sanitized: true }],
+        ['form_submit', { sanitized: true }]
+      ]);
+    });
+
+    it('removes its listeners', async () => {
+      advanced.disableAutoCapture();
+      await dispatch('click', element('A', { href: 'https://other.org/' }));
+
+      expect(listeners.click).toHaveLength(0);
+      expect(tracked).toHaveLength(0);
+    });
+  });
+
+  describe('Declarative Tracking', () => {
+    let originalError;
+    let errors;
+    let tracked;
+    let observer;
+    let root;
+
+    class FakeElement {
+      constructor(tagName, attributes = {}, children = []) {
+        this.nodeType = 1;
+        this.tagName = tagName;
+        this.attributes = Object.entries(attributes).map(([name, value]) => ({ name, value }));
+        this.children = children;
+        this.listeners = {};
+      }
+
+      getAttribute(name) {
+        return this.attributes.find(attribute => attribute.name === name)?.value ?? null;
+      }
+
+      hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+      }
+
+      querySelectorAll() {
+        return this.children.flatMap(child => [
+          ...(child.hasAttribute('data-simplitics-event') ? [child] : []),
+          ...child.querySelectorAll()
+        ]);
+      }
+
+      addEventListener(event, listener) {
+        (this.listeners[event] ||= []).push(listener);
+      }
+
+      removeEventListener(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(l => l !== listener);
+      }
+
+      async dispatch(event) {
+        (this.listeners[event] || []).forEach(listener => listener({ type: event, currentTarget: this }));
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    beforeEach(() => {
+      originalError = console.error;
+      errors = [];
+      console.error = (...args) => errors.push(args);
+      tracked = [];
+
+      root = new FakeElement('HTML');
+      global.document.documentElement = root;
+      global.document.querySelectorAll = selector => root.querySelectorAll(selector);
+      global.MutationObserver = class {
+        constructor(callback) {
+          this.callback = callback;
+          observer = this;
+        }
+
+        observe(target, options) {
+          this.options = options;
+        }
+
+        disconnect() {
+          this.disconnected = true;
+        }
+      };
+
+      baseAnalytics.track = (type, properties, options) => { tracked.push({ type, properties, options }); };
+    });
+
+    afterEach(() => {
+      advanced.disableDeclarativeTracking();
+      console.error = originalError;
+      delete global.document.documentElement;
+      delete global.document.querySelectorAll;
+      delete global.MutationObserver;
+    });
+
+    it('tracks clicks with the declared properties', async () => {
+      const button = new FakeElement('BUTTON', {
+        'data-simplitics-event': 'signup_click',
+        'data-simplitics-prop-billing-plan': 'pro',
+        class: 'cta'
+      });
+      root.children.push(button);
+
+      advanced.enableDeclarativeTracking();
+      await button.dispatch('click');
+
+      expect(tracked).toEqual([{
+        type: 'signup_click',
+        properties: { billing_plan: 'pro' },
+        options: { beacon: true }
+      }]);
+    });
+
+    it('tracks forms when submitted', async () => {
+      const form = new FakeElement('FORM', { 'data-simplitics-event': 'newsletter_signup' });
+      root.children.push(form);
+
+      advanced.enableDeclarativeTracking();
+      await form.dispatch('click');
+      await form.dispatch('submit');
+
+      expect(tracked.map(event => event.type)).toEqual(['newsletter_signup']);
+    });
+
+    it('binds elements added or marked up later', async () => {
+      advanced.enableDeclarativeTracking();
+      expect(observer.options.attributeFilter).toEqual(['data-simplitics-event']);
+
+      const link = new FakeElement('A', { 'data-simplitics-event': 'pricing_click' });
+      const added = new FakeElement('DIV', {}, [link]);
+      const marked = new FakeElement('A');
+      observer.callback([{ type: 'childList', addedNodes: [added, { nodeType: 3 }] }]);
+      marked.attributes.push({ name: 'data-simplitics-event', value: 'docs_click' });
+      observer.callback([{ type: 'attributes', target: marked }]);
+      observer.callback([{ type: 'childList', addedNodes: [added] }]);
+
+      await link.dispatch('click');
+      await marked.dispatch('click');
+
+      expect(tracked.map(event => event.type)).toEqual(['pricing_click', 'docs_click']);
+    });
+
+    it('reports malformed markup instead of throwing', async () => {
+      const badName = new FakeElement('BUTTON', { 'data-simplitics-event': 'sign up' });
+      const badProperty = new FakeElement('BUTTON', {
+        'data-simplitics-event': 'signup_click',
+        'data-simplitics-prop-plan.name': 'pro'
+      });
+      root.children.push(badName, badProperty);
+
+      expect(() => advanced.enableDeclarativeTracking()).not.toThrow();
+      await badName.dispatch('click');
+      await badProperty.dispatch('click');
+
+      expect(tracked).toHaveLength(0);
+      expect(errors).toHaveLength(2);
+      expect(errors[0][0]).toContain('Event name must contain only letters');
+      expect(errors[0][1]).toBe(badName);
+      expect(errors[1][0]).toContain('plan.name');
+    });
+
+    it('reports markup broken after binding when triggered', async () => {
+      const button = new FakeElement('BUTTON', { 'data-simplitics-event': 'signup_click' });
+      root.children.push(button);
+
+      advanced.enableDeclarativeTracking();
+      button.attributes[0].value = '';
+      await button.dispatch('click');
+
+      expect(tracked).toHaveLength(0);
+      expect(errors).toHaveLength(1);
+    });
+
+    it('disconnects the observer and unbinds elements', async () => {
+      const button = new FakeElement('BUTTON', { 'data-simplitics-event': 'signup_click' });
+      root.children.push(button);
+
+      advanced.enableDeclarativeTracking();
+      advanced.disableDeclarativeTracking();
+      await button.dispatch('click');
+
+      expect(observer.disconnected).toBe(true);
+      expect(button.listeners.click).toHaveLength(0);
+      expect(tracked).toHaveLength(0);
+    });
+  });
+
+  describe('Web Vitals', () => {
+    let originalWindow;
+    let originalGetEntriesByType;
+    let observers;
+    let listeners;
+    let tracked;
+
+    const report = (type, entries) => observers[type].callback({ getEntries: () => entries });
+    const dispatch = event => (listeners[event] || []).forEach(listener => listener());
+
+    beforeEach(() => {
+      originalWindow = global.window;
+      originalGetEntriesByType = global.performance.getEntriesByType;
+      observers = {};
+      listeners = {};
+      tracked = [];
+
+      const addEventListener = (event, listener) => {
+        (listeners[event] ||= []).push(listener);
+      };
+      const removeEventListener = (event, listener) => {
+        listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+      };
+      global.window = { location: { href: 'https://example.com/pricing' }, addEventListener, removeEventListener };
+      Object.assign(global.document, { visibilityState: 'visible', addEventListener, removeEventListener });
+      global.performance.getEntriesByType = type => type === 'navigation' ? [{ responseStart: 180.4 }] : [];
+      global.PerformanceObserver = class {
+        constructor(callback) {
+          this.callback = callback;
+        }
+
+        observe({ type }) {
+          if (type === 'first-input') throw new TypeError('Unsupported entry type');
+          observers[type] = this;
+        }
+
+        disconnect() {
+          this.disconnected = true;
+        }
+      };
+
+      baseAnalytics.track = (type, properties, options) => { tracked.push({ type, properties, options }); };
+    });
+
+    afterEach(() => {
+      advanced.disableWebVitals();
+      global.window = originalWindow;
+      global.performance.getEntriesByType = originalGetEntriesByType;
+      delete global.PerformanceObserver;
+      for (const key of ['visibilityState', 'addEventListener', 'removeEventListener']) {
+        delete global.document[key];
+      }
+    });
+
+    it('sends the measured metrics once the page is hidden', () => {
+      advanced.enableWebVitals();
+
+      report('paint', [{ name: 'first-paint', startTime: 400 }, { name: 'first-contentful-paint', startTime: 510.2 }]);
+      report('largest-contentful-paint', [{ startTime: 900 }, { startTime: 1250.7 }]);
+      report('event', [
+        { interactionId: 1, duration: 80 },
+        { interactionId: 1, duration: 120 },
+        { interactionId: 2, duration: 64 },
+        { interactionId: 0, duration: 500 }
+      ]);
+
+      document.visibilityState = 'hidden';
+      dispatch('visibilitychange');
+      dispatch('pagehide');
+
+      expect(tracked).toEqual([{
+        type: 'web_vitals',
+        properties: { url: 'https://example.com/pricing', ttfb: 180, fcp: 510, lcp: 1251, inp: 120 },
+        options: { beacon: true }
+      }]);
+      expect(Object.values(observers).every(observer => observer.disconnected)).toBe(true);
+    });
+
+    it('reports the worst window of layout shifts as CLS', () => {
+      advanced.enableWebVitals();
+
+      report('layout-shift', [
+        { startTime: 100, value: 0.05 },
+        { startTime: 600, value: 0.05 },
+        { startTime: 700, value: 0.5, hadRecentInput: true },
+        { startTime: 3000, value: 0.08 },
+        { startTime: 3500, value: 0.01 }
+      ]);
+      dispatch('pagehide');
+
+      expect(tracked[0].properties.cls).toBe(0.1);
+    });
+
+    it('uses the 98th percentile for INP on pages with many interactions', () => {
+      advanced.enableWebVitals();
+
+      report('event', Array.from({ length: 100 }, (_, i) => ({ interactionId: i + 1, duration: (i + 1) * 10 })));
+      dispatch('pagehide');
+
+      expect(tracked[0].properties.inp).toBe(980);
+    });
+
+    it('sends nothing when nothing was measured or tracking was disabled', () => {
+      global.performance.getEntriesByType = () => [];
+      advanced.enableWebVitals();
+      dispatch('pagehide');
+      expect(tracked).toHaveLength(0);
+
+      global.performance.getEntriesByType = type => type === 'navigation' ? [{ responseStart: 180 }] : [];
+      advanced.enableWebVitals();
+      advanced.disableWebVitals();
+      dispatch('pagehide');
+      expect(tracked).toHaveLength(0);
+    });
+  });
+
   describe('Session Tracking', () => {
     it('generates and stores session ID', async () => {
       await advanced.trackSession();
@@ -116,5 +729,13 @@ describe('AdvancedAnalytics', () => {
       expect(body.properties.sessionId).toBe('12345678-1234-1234-1234-123456789012');
       expect(body.properties.startTime).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/);
     });
+
+    it('tags later events with the session ID', async () => {
+      await advanced.trackSession();
+      await baseAnalytics.track('click', { buttonId: 'signup' });
+
+      const body = JSON.parse(fetchCalls[1].options.body);
+      expect(body.sessionId).toBe('12345678-1234-1234-1234-123456789012');
+    });
   });
 });
@@ -6,6 +6,7 @@ describe('BaseAnalytics', () => {
   let mockStorage = {};
   let fetchCalls = [];
   let mockResponses = new Map();
+  let defaultFetch;
 
   // Setup global mocks
   beforeAll(() => {
@@ -18,7 +19,7 @@ describe('BaseAnalytics', () => {
     };
 
     // Mock fetch with configurable responses
-    global.fetch = async (url, options) => {
+    global.fetch = defaultFetch = async (url, options) => {
       fetchCalls.push({ url, options });
       const response = mockResponses.get(url) || {
         status: 200,
@@ -67,6 +68,11 @@ describe('BaseAnalytics', () => {
     it('throws error if siteId is not provided', () => {
       expect(() => new BaseAnalytics({})).toThrow();
     });
+
+    it('rejects download extensions with dots', () => {
+      expect(() => new BaseAnalytics({ siteId: 'test-site', downloadExtensions: ['.pdf'] })).toThrow('downloadExtensions');
+      expect(() => new BaseAnalytics({ siteId: 'test-site', downloadExtensions: ['pdf'] })).not.toThrow();
+    });
   });
 
   describe('Consent Management', () => {
@@ -123,10 +129,24 @@ describe('BaseAnalytics', () => {
           'Content-Type': 'application/json',
           'X-Site-ID': 'test-site'
         },
-        body: expect.any(String)
+        body: expect.any(String),
+        keepalive: true
       });
     });
 
+    it('sends each event with keepalive by default, so it survives leaving the page', async () => {
+      analytics.init();
+      analytics.enableTracking();
+      await analytics.track('event1');
+      await analytics.track('event2');
+      expect(analytics.config.batchSize).toBe(1);
+      expect(fetchCalls.map(call => call.url)).toEqual([
+        'https://test-api.simplitics.com/events',
+        'https://test-api.simplitics.com/events'
+      ]);
+      expect(fetchCalls.every(call => call.options.keepalive === true)).toBe(true);
+    });
+
     it('processes queued events when consent is given', async () => {
       analytics.hasConsent = false;
       await analytics.track('event1', { value: 1 });
@@ -138,7 +158,9 @@ describe('BaseAnalytics', () => {
       await analytics.processQueue();
 
       expect(analytics.queue.length).toBe(0);
-      expect(fetchCalls.length).toBe(2);
+      expect(fetchCalls.length).toBe(1);
+      expect(fetchCalls[0].url).toBe('https://test-api.simplitics.com/events/batch');
+      expect(JSON.parse(fetchCalls[0].options.body).events.map(event => event.type)).toEqual(['event1', 'event2']);
     });
 
     it('handles API errors gracefully', async () => {
@@ -154,4 +176,217 @@ describe('BaseAnalytics', () => {
       await analytics.track('test_event', { value: 123 });
     });
   });
+
+  describe('Batching', () => {
+    let batched;
+
+    beforeEach(() => {
+      batched = new BaseAnalytics({
+        endpoint: 'https://test-api.simplitics.com',
+        siteId: 'test-site',
+        consentRequired: false,
+        batchSize: 3,
+        flushInterval: 10
+      });
+      batched.init();
+    });
+
+    it('buffers events until the batch is full', async () => {
+      await batched.track('event1', { value: 1 });
+      await batched.track('event2', { value: 2 });
+      expect(fetchCalls.length).toBe(0);
+
+      await batched.track('event3', { value: 3 });
+      expect(fetchCalls.length).toBe(1);
+      expect(fetchCalls[0].url).toBe('https://test-api.simplitics.com/events/batch');
+
+      const body = JSON.parse(fetchCalls[0].options.body);
+      expect(body.events.map(e => e.type)).toEqual(['event1', 'event2', 'event3']);
+    });
+
+    it('flushes a partial batch after the flush interval', async () => {
+      await batched.track('event1', { value: 1 });
+      expect(fetchCalls.length).toBe(0);
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(fetchCalls.length).toBe(1);
+      expect(batched.buffer.length).toBe(0);
+    });
+
+    it('flushes queued events in batches once consent is given', async () => {
+      const consentBatched = new BaseAnalytics({
+        endpoint: 'https://test-api.simplitics.com',
+        siteId: 'test-site',
+        batchSize: 2
+      });
+      for (let i = 0; i < 3; i++) {
+        await consentBatched.track('queued_event', { value: i });
+      }
+
+      consentBatched.init();
+      consentBatched.enableTracking();
+      await consentBatched.processQueue();
+
+      expect(fetchCalls.length).toBe(2);
+      expect(JSON.parse(fetchCalls[0].options.body).events.length).toBe(2);
+      expect(JSON.parse(fetchCalls[1].options.body).events.length).toBe(1);
+    });
+
+    it('uses sendBeacon when flushing on page exit', async () => {
+      const beacons = [];
+      global.navigator = {
+        sendBeacon: (url, data) => {
+          beacons.push({ url, data });
+          return true;
+        }
+      };
+
+      await batched.track('event1', { value: 1 });
+      await batched.flush({ useBeacon: true });
+
+      expect(fetchCalls.length).toBe(0);
+      expect(beacons.length).toBe(1);
+      expect(beacons[0].url).toBe('https://test-api.simplitics.com/events/batch?siteId=test-site');
+      const body = JSON.parse(await beacons[0].data.text());
+      expect(body.events[0].type).toBe('event1');
+
+      delete global.navigator;
+    });
+
+    it('falls back to keepalive fetch when sendBeacon is unavailable', async () => {
+      await batched.track('event1', { value: 1 });
+      await batched.flush({ useBeacon: true });
+
+      expect(fetchCalls.length).toBe(1);
+      expect(fetchCalls[0].options.keepalive).toBe(true);
+    });
+
+    it('sends beacon events right away with anything still buffered', async () => {
+      await batched.track('event1', { value: 1 });
+      await batched.track('engagement', { engagedTime: 1000 }, { beacon: true });
+
+      expect(fetchCalls.length).toBe(1);
+      expect(fetchCalls[0].options.keepalive).toBe(true);
+      const body = JSON.parse(fetchCalls[0].options.body);
+      expect(body.events.map(e => e.type)).toEqual(['event1', 'engagement']);
+    });
+
+    it('rejects an invalid batch size', () => {
+      expect(() => new BaseAnalytics({ siteId: 'test-site', batchSize: 0 })).toThrow();
+    });
+  });
+
+  describe('Offline Queue and Retry', () => {
+    it('persists events waiting for consent across page loads', async () => {
+      await analytics.track('queued_event', { value: 1 });
+
+      const reloaded = new BaseAnalytics({
+        endpoint: 'https://test-api.simplitics.com',
+        siteId: 'test-site'
+      });
+      expect(reloaded.queue.length).toBe(1);
+
+      reloaded.init();
+      reloaded.enableTracking();
+      await reloaded.processQueue();
+
+      expect(fetchCalls.length).toBe(1);
+      expect(JSON.parse(mockStorage.simplitics_queue)).toEqual([]);
+    });
+
+    it('stores failed events and retries them with backoff', async () => {
+      mockResponses.set('https://test-api.simplitics.com/events', { status: 500, body: {} });
+
+      const retrying = new BaseAnalytics({
+        endpoint: 'https://test-api.simplitics.com',
+        siteId: 'test-site',
+        consentRequired: false,
+        retryBaseDelay: 10,
+        retryMaxDelay: 10
+      });
+      retrying.init();
+      await retrying.track('test_event', { value: 123 });
+
+      expect(retrying.retryQueue.length).toBe(1);
+      expect(JSON.parse(mockStorage.simplitics_retry).length).toBe(1);
+
+      mockResponses.clear();
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      expect(fetchCalls.length).toBe(2);
+      expect(retrying.retryQueue.length).toBe(0);
+      expect(retrying.retryAttempt).toBe(0);
+    });
+
+    it('replays failed events from a previous page load on init', async () => {
+      mockStorage.simplitics_retry = JSON.stringify([{ type: 'lost_event', properties: {} }]);
+
+      const reloaded = new BaseAnalytics({
+        endpoint: 'https://test-api.simplitics.com',
+        siteId: 'test-site',
+        consentRequired: false
+      });
+      reloaded.init();
+      await reloaded.retryFailed();
+
+      expect(fetchCalls.length).toBe(1);
+      expect(fetchCalls[0].url).toBe('https://test-api.simplitics.com/events/batch');
+      expect(JSON.parse(fetchCalls[0].options.body).events[0].type).toBe('lost_event');
+    });
+
+    it('retries in batches, keeping each one stored until it is sent', async () => {
+      const lost = Array.from({ length: 150 }, (_, i) => ({ type: `lost_${i}`, properties: {} }));
+      mockStorage.simplitics_retry = JSON.stringify(lost);
+      const storedDuringSends = [];
+      global.fetch = async (url, options) => {
+        storedDuringSends.push(JSON.parse(mockStorage.simplitics_retry).length);
+        return defaultFetch(url, options);
+      };
+
+      const reloaded = new BaseAnalytics({
+        endpoint: 'https://test-api.simplitics.com',
+        siteId: 'test-site',
+        consentRequired: false
+      });
+      reloaded.initialized = true;
+      await reloaded.retryFailed();
+      global.fetch = defaultFetch;
+
+      expect(fetchCalls.map(call => JSON.parse(call.options.body).events.length)).toEqual([100, 50]);
+      expect(storedDuringSends).toEqual([150, 50]);
+      expect(JSON.parse(mockStorage.simplitics_retry)).toEqual([]);
+    });
+
+    it('keeps a batch that fails again for the next retry', async () => {
+      mockStorage.simplitics_retry = JSON.stringify([{ type: 'lost_event', properties: {} }]);
+      mockResponses.set('https://test-api.simplitics.com/events/batch', { status: 500, body: {} });
+
+      const reloaded = new BaseAnalytics({
+        endpoint: 'https://test-api.simplitics.com',
+        siteId: 'test-site',
+        consentRequired: false,
+        retryBaseDelay: 60000
+      });
+      reloaded.initialized = true;
+      await reloaded.retryFailed();
+      clearTimeout(reloaded.retryTimer);
+
+      expect(reloaded.retryQueue.map(event => event.type)).toEqual(['lost_event']);
+      expect(reloaded.retryAttempt).toBe(1);
+    });
+
+    it('does not retry events rejected by the server', async () => {
+      global.fetch = async (url, options) => {
+        fetchCalls.push({ url, options });
+        return new Response('{}', { status: 400 });
+      };
+
+      analytics.init();
+      analytics.enableTracking();
+      await analytics.track('test_event', { value: 123 });
+
+      expect(analytics.retryQueue.length).toBe(0);
+      global.fetch = defaultFetch;
+    });
+  });
 });
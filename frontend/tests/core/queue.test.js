@@ -0,0 +1,52 @@
+import { describe, expect, it, beforeEach, beforeAll } from 'bun:test';
+import { PersistentQueue, getRetryDelay } from '../../src/core/queue';
+
+describe('PersistentQueue', () => {
+  let mockStorage = {};
+
+  beforeAll(() => {
+    global.localStorage = {
+      getItem: (key) => mockStorage[key] || null,
+      setItem: (key, value) => { mockStorage[key] = value; }
+    };
+  });
+
+  beforeEach(() => {
+    mockStorage = {};
+  });
+
+  it('saves and loads events', () => {
+    const queue = new PersistentQueue('test_queue');
+    queue.save([{ type: 'event1' }, { type: 'event2' }]);
+
+    expect(new PersistentQueue('test_queue').load()).toEqual([{ type: 'event1' }, { type: 'event2' }]);
+  });
+
+  it('drops the oldest events beyond the size cap', () => {
+    const queue = new PersistentQueue('test_queue', 2);
+    const kept = queue.save([{ type: 'event1' }, { type: 'event2' }, { type: 'event3' }]);
+
+    expect(kept.map(e => e.type)).toEqual(['event2', 'event3']);
+    expect(queue.load().length).toBe(2);
+  });
+
+  it('returns an empty list for corrupt storage', () => {
+    mockStorage.test_queue = '{not json';
+    expect(new PersistentQueue('test_queue').load()).toEqual([]);
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('grows exponentially within jitter bounds', () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const delay = getRetryDelay(attempt, { baseDelay: 100, maxDelay: 10000 });
+      const expected = 100 * 2 ** attempt;
+      expect(delay).toBeGreaterThanOrEqual(expected / 2);
+      expect(delay).toBeLessThanOrEqual(expected);
+    }
+  });
+
+  it('never exceeds the maximum delay', () => {
+    expect(getRetryDelay(20, { baseDelay: 1000, maxDelay: 5000 })).toBeLessThanOrEqual(5000);
+  });
+});